@@ -3,10 +3,6 @@ import { CELL_SIZE } from './track.js';
 import { createGroundDecal } from './ground-decal.js';
 
 const PAD_SIZE = 6; // world units, square
-const PAD_TRIGGER_RADIUS = 4; // how close kart center needs to be
-const PAD_COOLDOWN = 1.5; // seconds before same pad can re-trigger per kart
-const BOOST_SPEED = 20; // same as max slide boost (level 3)
-const BOOST_DURATION = 1.2;
 
 /**
  * Create arrow texture for boost pad
@@ -42,18 +38,18 @@ function createArrowTexture() {
 }
 
 /**
- * Create boost pad meshes from map data
+ * Create boost pad meshes from map data.
+ * Triggering is simulation logic — see sim/boost-pads.js.
  * @param {object} mapData
- * @returns {{ meshes: THREE.Mesh[], update: (allKarts: any[], dt: number) => void }}
+ * @returns {{ meshes: THREE.Mesh[] }}
  */
 export function createBoostPads(mapData) {
   if (!mapData.boostPads || mapData.boostPads.length === 0) {
-    return { meshes: [], update() {} };
+    return { meshes: [] };
   }
 
   const tex = createArrowTexture();
   const meshes = [];
-  const pads = [];
 
   for (const pad of mapData.boostPads) {
     const wx = (pad.x - mapData.width / 2) * mapData.scale * CELL_SIZE;
@@ -74,39 +70,7 @@ export function createBoostPads(mapData) {
     });
     mesh.name = 'boostPad';
     meshes.push(mesh);
-
-    pads.push({
-      x: wx,
-      z: wz,
-      cooldowns: new Map(), // kart → remaining cooldown time
-    });
-  }
-
-  function update(allKarts, dt) {
-    for (const pad of pads) {
-      // Tick down cooldowns
-      for (const [kart, t] of pad.cooldowns) {
-        const remaining = t - dt;
-        if (remaining <= 0) pad.cooldowns.delete(kart);
-        else pad.cooldowns.set(kart, remaining);
-      }
-
-      // Check each kart
-      for (const kart of allKarts) {
-        if (pad.cooldowns.has(kart)) continue;
-
-        const dx = kart.position.x - pad.x;
-        const dz = kart.position.z - pad.z;
-        if (dx * dx + dz * dz < PAD_TRIGGER_RADIUS * PAD_TRIGGER_RADIUS) {
-          // Apply max boost
-          const ud = kart.userData;
-          ud.boostTimer = BOOST_DURATION;
-          ud.boostSpeed = BOOST_SPEED;
-          pad.cooldowns.set(kart, PAD_COOLDOWN);
-        }
-      }
-    }
   }
 
-  return { meshes, update };
+  return { meshes };
 }
@@ -1,6 +1,25 @@
 /**
  * Bot AI — fake InputManager + steering controller
  */
+import { passesCheckpoint } from './race.js';
+import { canUseItem } from './sim/item-slots.js';
+
+const CP_REACH_RADIUS = 30; // world units, for point checkpoints
+
+/**
+ * Bot skill levels, indexed by the botDifficulty race rule. Bots drive the
+ * same physics as everyone; skill is how they steer, brake and use items.
+ *   throttle - accelerator on straights
+ *   steerGain - steering per radian off the racing line
+ *   brakeAngle - how far off line (rad) before easing off for a corner
+ *   itemDelay - [min, max] seconds holding an item before using it
+ */
+export const BOT_DIFFICULTIES = [
+  { name: 'easy', throttle: 0.85, steerGain: 1.8, brakeAngle: 0.5, itemDelay: [1.5, 3] },
+  { name: 'normal', throttle: 1, steerGain: 2.5, brakeAngle: 0.6, itemDelay: [0.5, 2] },
+  { name: 'hard', throttle: 1, steerGain: 3.2, brakeAngle: 0.8, itemDelay: [0.2, 0.8] },
+];
+const DEFAULT_DIFFICULTY = BOT_DIFFICULTIES[1];
 
 /** Same interface as InputManager but with no-op poll() */
 export class BotInput {
@@ -16,6 +35,7 @@ export class BotInput {
     this.camRotate = 0;
     this.itemUse = false;
     this.itemUseTap = false;
+    this.itemSwapTap = false;
   }
 
   poll() {
@@ -25,11 +45,22 @@ export class BotInput {
 
 /** Drives a kart toward checkpoints */
 export class BotController {
-  constructor(kart, input, checkpoints) {
+  /**
+   * @param {object} kart
+   * @param {BotInput} input
+   * @param {Array<{x,z}>} checkpoints - world-space checkpoints (points or gates)
+   * @param {() => number} [rng] - random source; the simulation passes its seeded one
+   * @param {object} [skill] - one of BOT_DIFFICULTIES
+   */
+  constructor(kart, input, checkpoints, rng = Math.random, skill = DEFAULT_DIFFICULTY) {
     this.kart = kart;
     this.input = input;
     this.checkpoints = checkpoints;
+    this.rng = rng;
+    this.skill = skill;
     this.nextCP = 0;
+    this.prevX = kart.position.x; // position last update, for gate crossings
+    this.prevZ = kart.position.z;
     this.stuckTimer = 0;
     this.lastX = 0;
     this.lastZ = 0;
@@ -50,13 +81,11 @@ export class BotController {
 
     // Check if we reached our target checkpoint
     const cp = this.checkpoints[this.nextCP];
-    const dx = cp.x - kart.position.x;
-    const dz = cp.z - kart.position.z;
-    const dist = Math.sqrt(dx * dx + dz * dz);
-
-    if (dist < 30) {
+    if (passesCheckpoint(cp, this.prevX, this.prevZ, kart.position.x, kart.position.z, CP_REACH_RADIUS)) {
       this.nextCP = (this.nextCP + 1) % this.checkpoints.length;
     }
+    this.prevX = kart.position.x;
+    this.prevZ = kart.position.z;
 
     // Desired angle toward checkpoint
     const target = this.checkpoints[this.nextCP];
@@ -101,15 +130,15 @@ export class BotController {
     }
 
     // Steering: proportional control
-    const steerAmount = Math.max(-1, Math.min(1, angleDiff * 2.5));
+    const steerAmount = Math.max(-1, Math.min(1, angleDiff * this.skill.steerGain));
     inp.steer = steerAmount;
 
     // Throttle: slow down on sharp turns
     const absAngle = Math.abs(angleDiff);
-    if (absAngle > 0.6) {
+    if (absAngle > this.skill.brakeAngle) {
       inp.accel = 0.3 + 0.4 * (1 - Math.min(1, absAngle / Math.PI));
     } else {
-      inp.accel = 1;
+      inp.accel = this.skill.throttle;
     }
 
     // No hops — bots don't power-slide
@@ -118,11 +147,12 @@ export class BotController {
     inp.hopZTap = false;
     inp.hopXTap = false;
 
-    // Item use AI: use held item after random delay
+    // Item use AI: use held item after random delay, once the roulette stops
     inp.itemUseTap = false;
-    if (kart.userData.heldItem) {
+    if (canUseItem(kart.userData)) {
       if (this.itemUseDelay <= 0) {
-        this.itemUseDelay = 0.5 + Math.random() * 1.5;
+        const [min, max] = this.skill.itemDelay;
+        this.itemUseDelay = min + this.rng() * (max - min);
       }
       this.itemUseDelay -= dt;
       if (this.itemUseDelay <= 0) {
@@ -41,6 +41,16 @@ export class CameraController {
     );
   }
 
+  /** Follow another kart, cutting straight to it */
+  setTarget(target) {
+    this.target = target;
+    this.smoothY = target.position.y;
+    this.orbitAngle = 0;
+    this._computeIdeal();
+    this.currentPos.copy(_idealPos);
+    this.camera.position.copy(this.currentPos);
+  }
+
   update(dt, input) {
     // Q/E orbit
     if (input) {
@@ -0,0 +1,84 @@
+/**
+ * Grand Prix cups — a fixed run of maps with points per finishing position,
+ * standings carried from race to race. Shared by the menu, the single-player
+ * loop and the server's GameRoom, so both sides build the same cups.
+ */
+
+export const CUP_SIZE = 4; // maps per cup
+export const CUP_POINTS = [15, 12, 10, 8, 7, 6, 5, 4, 3, 2, 1, 0]; // by finishing position
+
+/**
+ * Group maps into cups of up to CUP_SIZE, in map id order
+ * @param {Array<{id: string}>} maps - from listMaps()
+ * @returns {Array<{id: string, name: string, mapIds: string[]}>}
+ */
+export function getCups(maps) {
+  const ids = maps.map(m => m.id).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const cups = [];
+  for (let i = 0; i < ids.length; i += CUP_SIZE) {
+    const n = cups.length + 1;
+    cups.push({ id: 'cup' + n, name: `Cup ${n}`, mapIds: ids.slice(i, i + CUP_SIZE) });
+  }
+  return cups;
+}
+
+/** Points and progress through one cup */
+export class CupState {
+  /** @param {{id, name, mapIds}} cup - from getCups() */
+  constructor(cup) {
+    this.cup = cup;
+    this.raceIndex = 0; // races completed
+    this.points = new Map(); // racer id → total points
+    this.lastPositions = new Map(); // racer id → position in the latest race, breaks ties
+    this.lastGained = new Map(); // racer id → points from the latest race
+  }
+
+  /** Map of the next race, null once the cup is over */
+  get mapId() {
+    return this.cup.mapIds[this.raceIndex] ?? null;
+  }
+
+  get done() {
+    return this.raceIndex >= this.cup.mapIds.length;
+  }
+
+  /**
+   * Award points for a finished race and move on to the next map.
+   * Racers still on track when the race ended score by their position too.
+   * @param {object[]} results - from RaceManager.getResults()
+   */
+  addRace(results) {
+    for (const r of results) {
+      const gained = CUP_POINTS[r.position - 1] || 0;
+      this.points.set(r.id, (this.points.get(r.id) || 0) + gained);
+      this.lastPositions.set(r.id, r.position);
+      this.lastGained.set(r.id, gained);
+    }
+    this.raceIndex++;
+  }
+
+  /** @returns {Array<{id, points, gained, position}>} best first */
+  getStandings() {
+    const standings = [...this.points].map(([id, points]) => ({
+      id,
+      points,
+      gained: this.lastGained.get(id) || 0,
+    }));
+    standings.sort((a, b) => b.points - a.points
+      || this.lastPositions.get(a.id) - this.lastPositions.get(b.id));
+    standings.forEach((s, i) => { s.position = i + 1; });
+    return standings;
+  }
+
+  /** Plain summary for the results screen and the network */
+  getSummary() {
+    return {
+      id: this.cup.id,
+      name: this.cup.name,
+      race: this.raceIndex,
+      races: this.cup.mapIds.length,
+      nextMapId: this.mapId,
+      standings: this.getStandings(),
+    };
+  }
+}
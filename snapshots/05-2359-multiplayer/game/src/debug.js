@@ -42,6 +42,7 @@ export class DebugGraph {
     this.slideActive = false;
     this.slideTimer = 0;
     this.slideMeterDuration = 1.5;
+    this.maxSpeed = 35;
     this.slideBoosts = 0;
     this.boostTimer = 0;
     this.boostSpeed = 0;
@@ -96,6 +97,7 @@ export class DebugGraph {
     this.slideActive = ud.slideActive;
     this.slideTimer = ud.slideTimer;
     this.slideMeterDuration = ud.stats.slideMeterDuration;
+    this.maxSpeed = ud.stats.maxSpeed;
     this.slideBoosts = ud.slideBoosts;
     this.boostTimer = ud.boostTimer;
     this.boostSpeed = ud.boostSpeed;
@@ -113,10 +115,10 @@ export class DebugGraph {
     // --- Speed line (separate scale: 0 to ~55) ---
     const spdMax = 55;
     this._drawLine(ctx, this.speed, 0, spdMax, graphW, graphH, '#ffaa00');
-    // Max speed reference line at 35
+    // Max speed reference line
     ctx.strokeStyle = 'rgba(255,170,0,0.2)';
     ctx.beginPath();
-    const maxSpeedY = PADDING + 14 + graphH * (1 - 35 / spdMax);
+    const maxSpeedY = PADDING + 14 + graphH * (1 - this.maxSpeed / spdMax);
     ctx.moveTo(PADDING, maxSpeedY);
     ctx.lineTo(PADDING + graphW, maxSpeedY);
     ctx.stroke();
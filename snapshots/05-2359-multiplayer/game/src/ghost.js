@@ -0,0 +1,129 @@
+/**
+ * Time-trial ghosts — the best run on a map, kept as a one-racer replay plus
+ * its times, and played back as a translucent kart in a simulation of its own.
+ *
+ * Stored per map in localStorage and shared as JSON files:
+ *   { type: 'kart-ghost', version, mapId, time, lapTimes, splits, replay: <encodeReplay() string> }
+ */
+import { createKart, updateKartFrame, getKartProfile } from './kart.js';
+import { kartStatsFromProfile } from './kart-stats.js';
+import { RaceSimulation, initKartState } from './sim/simulation.js';
+import { encodeReplay, decodeReplay, getReplayInputs } from './sim/replay.js';
+import { resolveRaceRules } from './race.js';
+
+export const GHOST_VERSION = 1;
+const STORAGE_PREFIX = 'kart.ghost.';
+const GHOST_OPACITY = 0.45;
+
+/**
+ * @typedef {object} Ghost
+ * @property {string} mapId
+ * @property {number} time - total race time in seconds
+ * @property {number[]} lapTimes
+ * @property {number[]} splits - race time at each checkpoint passed
+ * @property {object} replay - decoded one-racer replay
+ */
+
+/** @returns {string} */
+export function encodeGhost(ghost) {
+  return JSON.stringify({
+    type: 'kart-ghost',
+    version: GHOST_VERSION,
+    mapId: ghost.mapId,
+    time: ghost.time,
+    lapTimes: ghost.lapTimes,
+    splits: ghost.splits,
+    replay: encodeReplay(ghost.replay),
+  });
+}
+
+/**
+ * Parse a ghost file. Throws on anything that isn't a ghost we can play.
+ * @returns {Ghost}
+ */
+export function decodeGhost(text) {
+  const data = JSON.parse(text);
+  if (data.type !== 'kart-ghost') throw new Error('Not a ghost file');
+  if (data.version !== GHOST_VERSION) throw new Error(`Unsupported ghost version: ${data.version}`);
+  const replay = decodeReplay(data.replay);
+  if (replay.racers.length !== 1 || replay.mapId !== data.mapId) {
+    throw new Error('Malformed ghost file');
+  }
+  return {
+    mapId: data.mapId,
+    time: data.time,
+    lapTimes: data.lapTimes || [],
+    splits: data.splits || [],
+    replay,
+  };
+}
+
+/** @returns {Ghost|null} best ghost stored for a map */
+export function loadGhost(mapId) {
+  try {
+    const text = localStorage.getItem(STORAGE_PREFIX + mapId);
+    return text ? decodeGhost(text) : null;
+  } catch (e) {
+    console.warn(`Ignoring stored ghost for ${mapId}:`, e);
+    return null;
+  }
+}
+
+/** Store a ghost as the map's best run */
+export function saveGhost(ghost) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + ghost.mapId, encodeGhost(ghost));
+  } catch (e) {
+    console.warn('Could not store ghost:', e);
+  }
+}
+
+/**
+ * Translucent ghost kart driven by its own simulation, stepped in lockstep
+ * with the player's so both start on the same GO.
+ * @param {object} opts
+ * @param {THREE.Scene} opts.scene
+ * @param {Ghost} opts.ghost
+ * @param {object} opts.mapData
+ * @param {object} opts.trackData
+ * @param {{x, y, z}} opts.spawnPoint
+ * @param {number} opts.angle - start heading
+ * @returns {{ kart, step: () => void, updateFrame: (camera) => void, destroy: () => void }}
+ */
+export function createGhostRunner({ scene, ghost, mapData, trackData, spawnPoint, angle }) {
+  const { replay } = ghost;
+  const racer = replay.racers[0];
+  const kart = createKart(racer.kartIndex);
+  kart.getObjectByName('kartSprite').material.opacity = GHOST_OPACITY;
+  kart.position.set(spawnPoint.x, spawnPoint.y, spawnPoint.z);
+  kart.rotation.y = angle;
+  initKartState(kart, spawnPoint, kartStatsFromProfile(racer.profile || getKartProfile(racer.kartIndex)));
+  scene.add(kart);
+
+  const sim = new RaceSimulation({
+    mapData,
+    trackData,
+    racers: [{ id: racer.id, kart }],
+    seed: replay.seed,
+    items: replay.items,
+    rules: resolveRaceRules(mapData, replay.rules),
+  });
+
+  function step() {
+    if (sim.tick >= replay.ticks) return;
+    sim.step(getReplayInputs(replay, sim.tick));
+    kart.visible = sim.tick < replay.ticks; // vanish at the end of the run
+  }
+
+  function updateFrame(camera) {
+    updateKartFrame(kart, camera, sim.racers[0].input);
+  }
+
+  function destroy() {
+    scene.remove(kart);
+    kart.userData.spriteTexture.dispose();
+    kart.getObjectByName('kartSprite').material.dispose();
+  }
+
+  return { kart, step, updateFrame, destroy };
+}
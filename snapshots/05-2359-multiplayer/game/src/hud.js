@@ -1,11 +1,14 @@
 /**
- * Race HUD — HTML overlay for lap, position, boost, countdown, wrong-way, minimap
+ * Race HUD — HTML overlay for lap, position, boost, countdown, wrong-way, minimap,
+ * time-trial timer/splits, live spectator standings, the post-race results table,
+ * cup standings, the item roulette, the shield timer and incoming-missile warnings
  */
 
 import { FINISH_LINE_WIDTH } from './race.js';
 import { CELL_SIZE } from './track.js';
+import { ITEM_TABLE, getItemDef } from './sim/item-table.js';
 
-const POSITION_LABELS = ['1st', '2nd', '3rd', '4th'];
+const COMPACT_FIELD = 6; // more racers than this: smaller minimap dots and results rows
 
 // Sweet spot windows (must match physics.js)
 const SWEET_SPOTS = [
@@ -15,6 +18,44 @@ const SWEET_SPOTS = [
 ];
 
 const MINIMAP_SIZE = 160;
+const SPLIT_SHOW_MS = 2000; // checkpoint split popup duration
+const ROULETTE_SPIN_RATE = 12; // icons per second while the item roulette spins
+
+/** Held item as the HUD shows it: icon, name, uses left if more than one, and its hint */
+function itemSlotText(item, count) {
+  const def = getItemDef(item);
+  if (!def) return item.toUpperCase();
+  const stack = count > 1 && ITEM_TABLE.find(entry => entry.item === item && entry.count > 1);
+  const name = count > 1 ? `${def.name} ×${count}` : def.name;
+  const hint = stack ? stack.hint : def.hint;
+  return hint ? `${def.icon} ${name} · ${hint}` : `${def.icon} ${name}`;
+}
+
+/** Race position → 1st, 2nd, 3rd, 4th … 11th, 12th */
+export function ordinal(n) {
+  const teen = n % 100 >= 11 && n % 100 <= 13;
+  const suffix = teen ? 'th' : ['th', 'st', 'nd', 'rd'][n % 10] || 'th';
+  return n + suffix;
+}
+
+/** Seconds → m:ss.mmm */
+export function formatRaceTime(seconds) {
+  const m = Math.floor(seconds / 60);
+  const s = seconds - m * 60;
+  return `${m}:${s.toFixed(3).padStart(6, '0')}`;
+}
+
+/** Signed delta → +0.123 / -0.123 */
+function formatDelta(delta) {
+  return (delta >= 0 ? '+' : '-') + Math.abs(delta).toFixed(3);
+}
+
+/** Racer id → display name ('bot2' → 'CPU 2'); spectators have no localId */
+export function racerName(id, localId) {
+  if (id === localId) return 'YOU';
+  if (id.startsWith('bot')) return 'CPU ' + id.slice(3);
+  return id;
+}
 
 export class RaceHUD {
   constructor() {
@@ -69,6 +110,17 @@ export class RaceHUD {
     // Item indicator — bottom-center
     this.itemEl = this._el('bottom:80px;left:50%;transform:translateX(-50%);font-size:22px;font-weight:bold;color:#ffcc00;text-shadow:2px 2px 4px #000;font-family:monospace;text-align:center;display:none;background:rgba(0,0,0,0.4);padding:6px 16px;border-radius:8px;');
 
+    // Shield indicator — above the item
+    this.shieldEl = this._el('bottom:130px;left:50%;transform:translateX(-50%);font-size:18px;font-weight:bold;color:#66ccff;text-shadow:2px 2px 4px #000;font-family:monospace;display:none;');
+
+    // Incoming warning — under the wrong-way banner, arrow points where it's coming from
+    this.incomingEl = this._el('top:110px;left:50%;transform:translateX(-50%);font-size:24px;font-weight:bold;color:#ff5533;text-shadow:2px 2px 4px #000;font-family:monospace;display:none;');
+    this.incomingArrow = document.createElement('span');
+    this.incomingArrow.style.cssText = 'display:inline-block;margin-left:10px;';
+    this.incomingArrow.textContent = '⬆';
+    this.incomingEl.textContent = '⚠ MISSILE';
+    this.incomingEl.appendChild(this.incomingArrow);
+
     // Minimap
     this.minimapCanvas = null;
     this.minimapCtx = null;
@@ -168,14 +220,15 @@ export class RaceHUD {
     ctx.clearRect(0, 0, MINIMAP_SIZE, MINIMAP_SIZE);
     ctx.drawImage(this.minimapBg, 0, 0);
 
-    // Draw kart dots
+    // Draw kart dots — smaller in a big field so they don't merge
+    const dot = allKarts.length > COMPACT_FIELD ? 2 : 3;
     for (const kart of allKarts) {
       const mx = 4 + (kart.position.x + this.mapOffX) * this.mapScale;
       const my = 4 + (kart.position.z + this.mapOffZ) * this.mapScale;
       const isPlayer = kart === playerKart;
 
       ctx.beginPath();
-      ctx.arc(mx, my, isPlayer ? 5 : 3, 0, Math.PI * 2);
+      ctx.arc(mx, my, isPlayer ? dot + 2 : dot, 0, Math.PI * 2);
       ctx.fillStyle = isPlayer ? '#ff3333' : '#ffffff';
       ctx.fill();
     }
@@ -198,7 +251,7 @@ export class RaceHUD {
   }
 
   updatePosition(pos) {
-    this.posEl.textContent = POSITION_LABELS[pos - 1] || `${pos}th`;
+    this.posEl.textContent = ordinal(pos);
   }
 
   updateBoost(ud) {
@@ -241,19 +294,195 @@ export class RaceHUD {
     this.wrongWayEl.style.opacity = isWrongWay ? '1' : '0';
   }
 
-  updateItem(heldItem) {
-    if (heldItem) {
-      this.itemEl.style.display = 'block';
-      this.itemEl.textContent = heldItem.toUpperCase() + ' [F]';
-    } else {
+  /**
+   * Held item and count, then the reserve after ⇄. The roulette spins in
+   * whichever slot the newest item went to, and hides it until it stops.
+   * @param {{heldItem, heldCount, reserveItem, reserveCount, itemRoulette}} ud - kart.userData
+   */
+  updateItem({ heldItem, heldCount, reserveItem, reserveCount, itemRoulette }) {
+    if (!heldItem) {
       this.itemEl.style.display = 'none';
+      return;
+    }
+    this.itemEl.style.display = 'block';
+    let spin = null;
+    if (itemRoulette > 0) {
+      spin = `${ITEM_TABLE[Math.floor(itemRoulette * ROULETTE_SPIN_RATE) % ITEM_TABLE.length].icon} ???`;
+    }
+    let text = spin && !reserveItem ? spin : `${itemSlotText(heldItem, heldCount)} [F]`;
+    if (reserveItem) {
+      const def = getItemDef(reserveItem);
+      const icon = def ? def.icon : reserveItem.toUpperCase();
+      text += spin ? `  ⇄ ${spin}` : `  ⇄ ${icon}${reserveCount > 1 ? ' ×' + reserveCount : ''} [R]`;
+    }
+    if (this.itemEl.textContent !== text) this.itemEl.textContent = text;
+  }
+
+  /** @param {number} shieldTimer - seconds of shield left; 0 hides it */
+  updateShield(shieldTimer) {
+    if (!(shieldTimer > 0)) {
+      this.shieldEl.style.display = 'none';
+      return;
+    }
+    this.shieldEl.style.display = 'block';
+    const text = `${getItemDef('shield').icon} SHIELD ${shieldTimer.toFixed(1)}s`;
+    if (this.shieldEl.textContent !== text) this.shieldEl.textContent = text;
+  }
+
+  /**
+   * @param {THREE.Object3D} kart - the kart being followed
+   * @param {Array<{x, z}>} threats - what's headed for it; the closest sets the arrow
+   */
+  updateIncoming(kart, threats) {
+    if (!kart || threats.length === 0) {
+      this.incomingEl.style.display = 'none';
+      return;
+    }
+    let closest = null;
+    let closestDist = Infinity;
+    for (const t of threats) {
+      const dist = (t.x - kart.position.x) ** 2 + (t.z - kart.position.z) ** 2;
+      if (dist < closestDist) {
+        closestDist = dist;
+        closest = t;
+      }
+    }
+    // Angle from the kart's heading: 0 ahead, 180 behind, positive to the right
+    const dx = closest.x - kart.position.x;
+    const dz = closest.z - kart.position.z;
+    const ry = kart.rotation.y;
+    const ahead = -dx * Math.sin(ry) - dz * Math.cos(ry);
+    const right = dx * Math.cos(ry) - dz * Math.sin(ry);
+    const deg = Math.round(Math.atan2(right, ahead) * 180 / Math.PI);
+    this.incomingEl.style.display = 'block';
+    this.incomingArrow.style.transform = `rotate(${deg}deg)`;
+  }
+
+  /** Switch to time-trial layout: running timer and lap times instead of position */
+  setupTimeTrial() {
+    this.posEl.style.display = 'none';
+    this.timerEl = this._el('top:20px;right:20px;font-size:32px;font-weight:bold;color:#fff;text-shadow:2px 2px 4px #000;font-family:monospace;');
+    this.lapTimesEl = this._el('top:64px;right:20px;font-size:16px;color:#ddd;text-shadow:1px 1px 3px #000;font-family:monospace;text-align:right;white-space:pre;');
+    this.splitEl = this._el('top:22%;left:50%;transform:translateX(-50%);font-size:28px;font-weight:bold;text-shadow:2px 2px 4px #000;font-family:monospace;opacity:0;transition:opacity 0.4s;');
+    this._splitTimeout = null;
+  }
+
+  /** Spectator layout: live standings on the left, who the camera follows on top */
+  setupSpectator() {
+    this.standingsEl = this._el('top:20px;left:20px;font-size:16px;color:#fff;text-shadow:1px 1px 3px #000;font-family:monospace;white-space:pre;');
+    this.spectateEl = this._el('top:20px;left:50%;transform:translateX(-50%);font-size:16px;color:#ddd;text-shadow:1px 1px 3px #000;font-family:monospace;');
+    this._standingsHtml = '';
+  }
+
+  /**
+   * @param {Array<{kartId, position, lap, finished}>} racers - a snapshot's race.racers
+   * @param {string} focusId - racer the camera follows, highlighted
+   * @param {number} totalLaps
+   */
+  updateStandings(racers, focusId, totalLaps) {
+    const html = [...racers].sort((a, b) => a.position - b.position).map((r) => {
+      const pos = ordinal(r.position).padEnd(4);
+      const progress = r.finished ? 'FIN' : `L${Math.min(r.lap, totalLaps)}/${totalLaps}`;
+      const style = r.kartId === focusId ? ' style="color:#ffcc00;font-weight:bold;"' : '';
+      return `<div${style}>${pos} ${racerName(r.kartId, null).padEnd(8)} ${progress}</div>`;
+    }).join('');
+    if (html === this._standingsHtml) return;
+    this._standingsHtml = html;
+    this.standingsEl.innerHTML = html;
+  }
+
+  /** Line naming the followed racer, with the spectator controls */
+  updateSpectating(text) {
+    this.spectateEl.textContent = text;
+  }
+
+  /**
+   * Connection quality under the position, in ms
+   * @param {number} rtt - round trip to the server
+   * @param {number} jitter - variation in snapshot arrival
+   * @param {number} delay - how far remote karts are shown behind the server
+   */
+  updateNetStats(rtt, jitter, delay) {
+    if (!this.netEl) {
+      this.netEl = this._el('top:70px;right:20px;font-size:12px;color:#aaa;text-shadow:1px 1px 2px #000;font-family:monospace;text-align:right;');
+    }
+    const text = `RTT ${Math.round(rtt)}ms  JITTER ${Math.round(jitter)}ms  DELAY ${Math.round(delay)}ms`;
+    if (this.netEl.textContent !== text) this.netEl.textContent = text;
+  }
+
+  /** Server announcement line under the top bar; '' hides it */
+  setAnnouncement(text) {
+    if (!this.announcementEl) {
+      this.announcementEl = this._el('top:70px;left:50%;transform:translateX(-50%);font-size:20px;font-weight:bold;color:#ffcc00;text-shadow:2px 2px 4px #000;font-family:monospace;');
     }
+    if (this.announcementEl.textContent !== text) this.announcementEl.textContent = text;
   }
 
+  /** Big centred status line, e.g. while reconnecting; '' hides it */
+  setNotice(text) {
+    if (!this.noticeEl) {
+      this.noticeEl = this._el('top:45%;left:50%;transform:translate(-50%,-50%);font-size:32px;font-weight:bold;color:#fff;text-shadow:2px 2px 4px #000;font-family:monospace;');
+    }
+    if (this.noticeEl.textContent !== text) this.noticeEl.textContent = text;
+  }
+
+  updateTimer(seconds) {
+    this.timerEl.textContent = formatRaceTime(seconds);
+  }
+
+  /**
+   * @param {number[]} lapTimes - completed laps
+   * @param {number[]} [ghostLapTimes] - laps of the ghost run, for deltas
+   */
+  updateLapTimes(lapTimes, ghostLapTimes) {
+    this.lapTimesEl.textContent = lapTimes.map((t, i) => {
+      const ghost = ghostLapTimes && ghostLapTimes[i];
+      return `L${i + 1} ${formatRaceTime(t)}` + (ghost != null ? ` ${formatDelta(t - ghost)}` : '');
+    }).join('\n');
+  }
+
+  /**
+   * Flash a checkpoint split
+   * @param {number} time - race time at the checkpoint
+   * @param {number|null} delta - difference to the ghost at the same checkpoint
+   */
+  showSplit(time, delta) {
+    if (delta == null) {
+      this.splitEl.textContent = formatRaceTime(time);
+      this.splitEl.style.color = '#fff';
+    } else {
+      this.splitEl.textContent = `${formatRaceTime(time)}  ${formatDelta(delta)}`;
+      this.splitEl.style.color = delta <= 0 ? '#44ff44' : '#ff4444';
+    }
+    this.splitEl.style.opacity = '1';
+    clearTimeout(this._splitTimeout);
+    this._splitTimeout = setTimeout(() => { this.splitEl.style.opacity = '0'; }, SPLIT_SHOW_MS);
+  }
+
+  /**
+   * @param {number} time - total time
+   * @param {number|null} bestTime - previous best, null if none
+   * @param {number} secondsLeft
+   */
+  showTimeTrialFinish(time, bestTime, secondsLeft) {
+    this.showFinish(1, secondsLeft);
+    this.finishPlace.textContent = formatRaceTime(time);
+    const record = bestTime == null || time < bestTime;
+    const vs = bestTime == null ? '' : ` (${formatDelta(time - bestTime)})`;
+    this.finishLabel.textContent = `${record ? 'NEW RECORD!' : 'FINISH!'}${vs}\nReturning in ${secondsLeft}...`;
+    this.splitEl.style.opacity = '0';
+  }
+
+  /**
+   * @param {number} position
+   * @param {number|null} secondsLeft - null while waiting for the rest of the field
+   */
   showFinish(position, secondsLeft) {
     this.finishEl.style.display = 'block';
-    this.finishPlace.textContent = POSITION_LABELS[position - 1] || `${position}th`;
-    this.finishLabel.textContent = `FINISH!\nReturning in ${secondsLeft}...`;
+    this.finishPlace.textContent = ordinal(position);
+    this.finishLabel.textContent = secondsLeft == null
+      ? 'FINISH!\nWaiting for the other racers...'
+      : `FINISH!\nReturning in ${secondsLeft}...`;
     // Hide race elements
     this.lapEl.style.display = 'none';
     this.posEl.style.display = 'none';
@@ -261,9 +490,114 @@ export class RaceHUD {
     this.boostWrap.style.display = 'none';
     this.dotsEl.style.display = 'none';
     this.itemEl.style.display = 'none';
+    this.shieldEl.style.display = 'none';
+    this.incomingEl.style.display = 'none';
+  }
+
+  /**
+   * Replace the finish overlay with the full standings
+   * @param {object[]} results - from RaceManager.getResults()
+   * @param {string} localId - this player's racer id, highlighted
+   */
+  showResults(results, localId) {
+    this.showFinish(1, null);
+    this.finishPlace.style.display = 'none';
+    this.finishLabel.style.display = 'none';
+
+    this.resultsEl = document.createElement('div');
+    this.resultsEl.style.cssText = 'position:absolute;top:50%;left:50%;transform:translate(-50%,-50%);color:#fff;font-family:monospace;text-align:center;text-shadow:1px 1px 3px #000;max-height:95vh;overflow-y:auto;';
+    const title = document.createElement('div');
+    title.style.cssText = 'font-size:40px;font-weight:bold;color:#ffcc00;margin-bottom:16px;';
+    title.textContent = 'RESULTS';
+    this.resultsEl.appendChild(title);
+
+    const compact = results.length > COMPACT_FIELD;
+    const table = document.createElement('table');
+    table.style.cssText = `border-collapse:collapse;font-size:${compact ? 14 : 18}px;margin:0 auto;`;
+    const header = ['', 'RACER', 'TIME', 'BEST LAP', 'LAPS', 'ITEMS', 'HITS'];
+    const rows = [header, ...results.map(r => [
+      ordinal(r.position),
+      racerName(r.id, localId),
+      r.finished ? formatRaceTime(r.time) : 'DNF',
+      r.bestLap != null ? formatRaceTime(r.bestLap) : '-',
+      r.lapTimes.map(formatRaceTime).join('  ') || '-',
+      String(r.itemsUsed),
+      String(r.hitsTaken),
+    ])];
+    rows.forEach((cells, i) => {
+      const tr = document.createElement('tr');
+      if (i === 0) tr.style.cssText = 'color:#888;font-size:13px;';
+      else if (results[i - 1].id === localId) tr.style.cssText = 'color:#ffcc00;font-weight:bold;';
+      for (const text of cells) {
+        const td = document.createElement('td');
+        td.style.cssText = `padding:${compact ? 2 : 4}px 12px;text-align:left;`;
+        td.textContent = text;
+        tr.appendChild(td);
+      }
+      table.appendChild(tr);
+    });
+    this.resultsEl.appendChild(table);
+
+    this.resultsHint = document.createElement('div');
+    this.resultsHint.style.cssText = 'font-size:16px;color:#aaa;margin-top:16px;';
+    this.resultsEl.appendChild(this.resultsHint);
+    this.finishEl.appendChild(this.resultsEl);
+  }
+
+  /**
+   * Cup points under the race results; the final race shows the podium
+   * @param {object} cup - CupState.getSummary()
+   * @param {string} localId
+   */
+  showCupStandings(cup, localId) {
+    const final = cup.nextMapId === null;
+    const title = document.createElement('div');
+    title.style.cssText = 'font-size:24px;font-weight:bold;color:#ffcc00;margin:20px 0 8px;';
+    title.textContent = final
+      ? `${cup.name.toUpperCase()} — FINAL STANDINGS`
+      : `${cup.name.toUpperCase()} — RACE ${cup.race}/${cup.races}`;
+    this.resultsEl.insertBefore(title, this.resultsHint);
+
+    if (final) {
+      const podium = document.createElement('div');
+      podium.style.cssText = 'display:flex;justify-content:center;align-items:flex-end;gap:12px;margin-bottom:12px;';
+      // 2nd, 1st, 3rd — winner in the middle on the tallest step
+      for (const i of [1, 0, 2]) {
+        const s = cup.standings[i];
+        if (!s) continue;
+        const step = document.createElement('div');
+        step.style.cssText = `width:120px;height:${[90, 60, 40][i]}px;background:rgba(255,204,0,${[0.5, 0.35, 0.2][i]});`
+          + 'display:flex;flex-direction:column;justify-content:flex-end;padding:6px;font-size:16px;';
+        step.textContent = `${ordinal(i + 1)} ${racerName(s.id, localId)}`;
+        podium.appendChild(step);
+      }
+      this.resultsEl.insertBefore(podium, this.resultsHint);
+    }
+
+    const table = document.createElement('table');
+    const compact = cup.standings.length > COMPACT_FIELD;
+    table.style.cssText = `border-collapse:collapse;font-size:${compact ? 14 : 18}px;margin:0 auto;`;
+    for (const s of cup.standings) {
+      const tr = document.createElement('tr');
+      if (s.id === localId) tr.style.cssText = 'color:#ffcc00;font-weight:bold;';
+      for (const text of [ordinal(s.position), racerName(s.id, localId), `${s.points} pts`, `+${s.gained}`]) {
+        const td = document.createElement('td');
+        td.style.cssText = `padding:${compact ? 1 : 2}px 12px;text-align:left;`;
+        td.textContent = text;
+        tr.appendChild(td);
+      }
+      table.appendChild(tr);
+    }
+    this.resultsEl.insertBefore(table, this.resultsHint);
+  }
+
+  /** Line under the results, e.g. the return countdown */
+  setResultsHint(text) {
+    this.resultsHint.textContent = text;
   }
 
   destroy() {
+    clearTimeout(this._splitTimeout);
     this.root.remove();
   }
 }
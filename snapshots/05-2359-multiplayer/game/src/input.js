@@ -21,6 +21,10 @@ export class InputManager {
     this.itemUseTap = false;
     this._prevItemUse = false;
 
+    // Item swap button — held item ↔ reserve
+    this.itemSwapTap = false;
+    this._prevItemSwap = false;
+
     // Gamepad state
     this._gpPrevZ = false;
     this._gpPrevX = false;
@@ -54,6 +58,7 @@ export class InputManager {
     const kbZ = this.keys['KeyZ'] || false;
     const kbX = this.keys['KeyX'] || false;
     const kbItem = this.keys['KeyF'] || false;
+    const kbSwap = this.keys['KeyR'] || false;
 
     let kbCam = 0;
     if (this.keys['KeyQ']) kbCam += 1;
@@ -65,6 +70,7 @@ export class InputManager {
     let gpZ = false;
     let gpX = false;
     let gpItem = false;
+    let gpSwap = false;
     let gpCam = 0;
 
     const gp = navigator.getGamepads()[0];
@@ -89,6 +95,9 @@ export class InputManager {
       // Item use: Y/Triangle (button 3)
       gpItem = gp.buttons[3]?.pressed || false;
 
+      // Item swap: X/Square (button 2)
+      gpSwap = gp.buttons[2]?.pressed || false;
+
       // Camera: left/right on right stick (axis 2 or 3)
       const rStickX = gp.axes[2] || 0;
       if (Math.abs(rStickX) > 0.15) gpCam = -rStickX;
@@ -115,5 +124,9 @@ export class InputManager {
     this.itemUseTap = item && !this._prevItemUse;
     this.itemUse = item;
     this._prevItemUse = item;
+
+    const swap = kbSwap || gpSwap;
+    this.itemSwapTap = swap && !this._prevItemSwap;
+    this._prevItemSwap = swap;
   }
 }
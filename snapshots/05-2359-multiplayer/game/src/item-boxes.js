@@ -1,16 +1,13 @@
 import * as THREE from 'three';
 import { CELL_SIZE } from './track.js';
 import { getGroundHeight } from './track.js';
+import { RESPAWN_TIME } from './sim/item-boxes.js';
 
 const BOX_SIZE = 2;
 const BOX_HOVER_HEIGHT = 2.5;   // base height above ground
 const BOB_AMPLITUDE = 0.4;      // vertical bob range
 const BOB_SPEED = 2;            // bob cycles per second
 const ROTATE_SPEED = 1.5;       // radians per second
-const PICKUP_RADIUS = 4;        // proximity trigger
-const RESPAWN_TIME = 5;         // seconds
-
-const AVAILABLE_ITEMS = ['boost', 'tnt', 'missile'];
 
 /**
  * Create "?" texture for item box faces
@@ -90,13 +87,16 @@ function createShadowMesh(wx, wz, groundY, size) {
 }
 
 /**
- * Create item box meshes and update system
+ * Create item box meshes and their bob/spin animation.
+ * Pickups are simulation logic (sim/item-boxes.js); call pickup() on its
+ * item_pickup events to hide the box until it respawns.
  * @param {object} mapData
- * @returns {{ meshes: THREE.Mesh[], update: (allKarts: any[], dt: number) => void }}
+ * @returns {{ meshes: THREE.Mesh[], update: (dt: number) => void, pickup: (boxIndex: number) => void,
+ *   sync: (simBoxes: Array<{respawnTimer}>) => void }}
  */
 export function createItemBoxes(mapData) {
   if (!mapData.itemBoxes || mapData.itemBoxes.length === 0) {
-    return { meshes: [], update() {} };
+    return { meshes: [], update() {}, pickup() {}, sync() {} };
   }
 
   const tex = createQuestionTexture();
@@ -137,7 +137,7 @@ export function createItemBoxes(mapData) {
 
   let time = 0;
 
-  function update(allKarts, dt) {
+  function update(dt) {
     time += dt;
 
     for (const box of boxes) {
@@ -156,24 +156,26 @@ export function createItemBoxes(mapData) {
       const bobY = Math.sin(time * BOB_SPEED * Math.PI * 2 + box.phase) * BOB_AMPLITUDE;
       box.mesh.position.y = box.groundY + BOX_HOVER_HEIGHT + bobY;
       box.mesh.rotation.y += ROTATE_SPEED * dt;
+    }
+  }
 
-      // Proximity pickup check
-      for (const kart of allKarts) {
-        if (kart.userData.heldItem) continue; // already holding
-
-        const dx = kart.position.x - box.x;
-        const dz = kart.position.z - box.z;
-        if (dx * dx + dz * dz < PICKUP_RADIUS * PICKUP_RADIUS) {
-          // Grant random item
-          kart.userData.heldItem = AVAILABLE_ITEMS[Math.floor(Math.random() * AVAILABLE_ITEMS.length)];
-          box.mesh.visible = false;
-          box.shadow.visible = false;
-          box.respawnTimer = RESPAWN_TIME;
-          break; // only one kart picks up per frame
-        }
-      }
+  function pickup(boxIndex) {
+    const box = boxes[boxIndex];
+    if (!box) return;
+    box.mesh.visible = false;
+    box.shadow.visible = false;
+    box.respawnTimer = RESPAWN_TIME;
+  }
+
+  /** Match visibility and respawn timers to the simulation's boxes (after a replay seek) */
+  function sync(simBoxes) {
+    for (let i = 0; i < boxes.length; i++) {
+      const box = boxes[i];
+      box.respawnTimer = simBoxes[i] ? simBoxes[i].respawnTimer : 0;
+      box.mesh.visible = box.respawnTimer <= 0;
+      box.shadow.visible = box.respawnTimer <= 0;
     }
   }
 
-  return { meshes, update };
+  return { meshes, update, pickup, sync };
 }
@@ -0,0 +1,89 @@
+/**
+ * Item visuals — meshes for what items leave on the track, driven by the
+ * simulation's item_use / item_hit / item_block / item_destroy events
+ * (sim/item-registry.js), and for what they do to karts.
+ *
+ * An item with visuals registers a factory here: (scene) → {
+ *   update(dt, karts), destroy(),
+ *   add?(entity), remove?(id), clear?(), sync?(entities), threats?(kartId) }
+ * add() takes its item_use event, or an entity from the sim's entities() when
+ * resyncing. sync() also takes the server's item_sync events for `synced`
+ * items. update() gets every kart, for anything drawn from kart state (a
+ * shield bubble, TNT held behind). threats() lists what's after a kart, for
+ * the HUD's incoming warning. Items without an entry (boost) have nothing to
+ * draw.
+ */
+import { createTNTVisuals } from './items/tnt.js';
+import { createMissileVisuals } from './items/missile.js';
+import { createShieldVisuals } from './items/shield.js';
+
+const ITEM_VISUALS = {
+  tnt: createTNTVisuals,
+  missile: createMissileVisuals,
+  shield: createShieldVisuals,
+};
+
+const REMOVE_EVENTS = new Set(['item_hit', 'item_block', 'item_destroy']);
+
+/**
+ * @param {THREE.Scene} scene
+ * @returns {{ handleEvent: (evt: object) => void, update: (dt: number, karts: THREE.Object3D[]) => void,
+ *   sync: (simItems: object) => void, reset: (entities: Object<string, object[]>) => void,
+ *   threats: (kartId: string) => Array<{x, z}>, destroy: () => void }}
+ */
+export function createItemVisuals(scene) {
+  const visuals = new Map(Object.entries(ITEM_VISUALS).map(([itemId, create]) => [itemId, create(scene)]));
+
+  function handleEvent(evt) {
+    if (evt.type === 'item_sync') {
+      for (const [itemId, entities] of Object.entries(evt.items)) {
+        const v = visuals.get(itemId);
+        if (v && v.sync) v.sync(entities);
+      }
+      return;
+    }
+    const v = visuals.get(evt.item);
+    if (!v) return;
+    if (evt.type === 'item_use' && v.add) v.add(evt);
+    else if (REMOVE_EVENTS.has(evt.type) && v.remove) v.remove(evt.id);
+  }
+
+  function update(dt, karts) {
+    for (const v of visuals.values()) v.update(dt, karts);
+  }
+
+  /** Snap visuals to a local simulation's items (single-player and replays) */
+  function sync(simItems) {
+    for (const [itemId, v] of visuals) {
+      const item = simItems.get(itemId);
+      if (v.sync && item && item.entities) v.sync(item.entities());
+    }
+  }
+
+  /**
+   * Rebuild from item entities — after a replay seek, or when joining mid-race
+   * @param {Object<string, object[]>} entities - from the sim's items.entities()
+   */
+  function reset(entities) {
+    for (const [itemId, v] of visuals) {
+      if (!v.add) continue;
+      v.clear();
+      for (const e of entities[itemId] || []) v.add(e);
+    }
+  }
+
+  /** Positions of everything headed for `kartId` */
+  function threats(kartId) {
+    const out = [];
+    for (const v of visuals.values()) {
+      if (v.threats) out.push(...v.threats(kartId));
+    }
+    return out;
+  }
+
+  function destroy() {
+    for (const v of visuals.values()) v.destroy();
+  }
+
+  return { handleEvent, update, sync, reset, threats, destroy };
+}
@@ -1,12 +1,8 @@
 import * as THREE from 'three';
-import { getGroundHeight } from './track.js';
+import { getGroundHeight } from '../track.js';
+import { MISSILE_SPEED, LIFETIME } from '../sim/items/missile.js';
 
-const MISSILE_SPEED = 55;
-const TURN_RATE = 1.8;          // rad/s homing strength
-const HIT_RADIUS = 2.5;
-const LIFETIME = 6;
 const FLY_HEIGHT = 1.2;         // height above ground
-const EXPLODE_VEL_Y = 20;
 
 function createMissileTexture() {
   const size = 32;
@@ -47,7 +43,12 @@ function createTrailTexture() {
   return tex;
 }
 
-export function createMissileSystem(scene) {
+/**
+ * Missile meshes + trails — follow the simulation's missile item_use /
+ * item_hit / item_destroy events (sim/items/missile.js owns the path, homing
+ * and hits). Between sync() calls missiles keep flying along their last heading.
+ */
+export function createMissileVisuals(scene) {
   const bodyGeo = new THREE.ConeGeometry(0.4, 1.6, 6);
   bodyGeo.rotateX(Math.PI / 2); // point forward along +Z
   const bodyMat = new THREE.MeshStandardMaterial({
@@ -60,12 +61,9 @@ export function createMissileSystem(scene) {
 
   const active = [];
 
-  function fire(kart, allKarts) {
-    const angle = kart.rotation.y;
-    // Fire from front of kart
-    const spawnDist = 2.5;
-    const wx = kart.position.x - Math.sin(angle) * spawnDist;
-    const wz = kart.position.z - Math.cos(angle) * spawnDist;
+  /** @param {{id, x, z, angle, targetId, lifetime?}} evt - item_use event (or sim missile entity when resyncing) */
+  function add(evt) {
+    const { x: wx, z: wz, angle } = evt;
     const groundY = getGroundHeight(wx, wz);
 
     const mesh = new THREE.Mesh(bodyGeo, bodyMat);
@@ -86,18 +84,46 @@ export function createMissileSystem(scene) {
     scene.add(trail);
 
     active.push({
+      id: evt.id,
       mesh,
       trail,
       trailMat,
-      owner: kart,
       angle,
-      lifetime: LIFETIME,
+      targetId: evt.targetId,
+      lifetime: evt.lifetime ?? LIFETIME,
       x: wx,
       z: wz,
     });
   }
 
-  function update(allKarts, dt) {
+  /** Remove a missile after it hit a kart or a wall */
+  function remove(id) {
+    const i = active.findIndex(m => m.id === id);
+    if (i >= 0) _remove(i);
+  }
+
+  /**
+   * Snap visuals to authoritative missile state (single-player has the
+   * simulation locally; multiplayer gets it in item_sync events).
+   * @param {Array<{id, x, z, angle, targetId}>} states
+   */
+  function sync(states) {
+    for (const s of states) {
+      const m = active.find(a => a.id === s.id);
+      if (!m) continue;
+      m.x = s.x;
+      m.z = s.z;
+      m.angle = s.angle;
+      m.targetId = s.targetId;
+    }
+  }
+
+  /** Missiles chasing `kartId` */
+  function threats(kartId) {
+    return active.filter(m => m.targetId === kartId).map(m => ({ x: m.x, z: m.z }));
+  }
+
+  function update(dt) {
     for (let i = active.length - 1; i >= 0; i--) {
       const m = active[i];
       m.lifetime -= dt;
@@ -107,34 +133,6 @@ export function createMissileSystem(scene) {
         continue;
       }
 
-      // Find closest kart in front of missile (120° cone)
-      const fwdX = -Math.sin(m.angle);
-      const fwdZ = -Math.cos(m.angle);
-      const CONE_COS = Math.cos(Math.PI / 3); // 60° half-angle = 120° total
-      let closestDist = Infinity;
-      let closestAngle = m.angle;
-      for (const kart of allKarts) {
-        if (kart === m.owner) continue;
-        const dx = kart.position.x - m.x;
-        const dz = kart.position.z - m.z;
-        const dist = dx * dx + dz * dz;
-        if (dist < 0.01) continue;
-        // Check if kart is within forward cone
-        const len = Math.sqrt(dist);
-        const dot = (dx * fwdX + dz * fwdZ) / len;
-        if (dot < CONE_COS) continue;
-        if (dist < closestDist) {
-          closestDist = dist;
-          closestAngle = Math.atan2(-dx, -dz);
-        }
-      }
-
-      // Steer toward target
-      let angleDiff = closestAngle - m.angle;
-      // Normalize to -PI..PI
-      angleDiff = ((angleDiff + Math.PI) % (Math.PI * 2) + Math.PI * 2) % (Math.PI * 2) - Math.PI;
-      m.angle += Math.sign(angleDiff) * Math.min(Math.abs(angleDiff), TURN_RATE * dt);
-
       // Move forward
       m.x -= Math.sin(m.angle) * MISSILE_SPEED * dt;
       m.z -= Math.cos(m.angle) * MISSILE_SPEED * dt;
@@ -151,35 +149,6 @@ export function createMissileSystem(scene) {
         m.z + Math.cos(m.angle) * trailDist,
       );
       m.trail.scale.set(1 + Math.random() * 0.5, 1 + Math.random() * 0.5, 1);
-
-      // Hit detection
-      let hit = false;
-      for (const kart of allKarts) {
-        if (kart === m.owner) continue;
-        const dx = kart.position.x - m.x;
-        const dz = kart.position.z - m.z;
-        if (dx * dx + dz * dz < HIT_RADIUS * HIT_RADIUS) {
-          const ud = kart.userData;
-          ud.velocity.set(0, EXPLODE_VEL_Y, 0);
-          kart.position.y += 0.5;
-          ud.speed = 0;
-          ud.grounded = false;
-          ud.slideActive = false;
-          ud.slideButton = null;
-          ud.slideDir = 0;
-          ud.slideAngle = 0;
-          ud.slideTimer = 0;
-          ud.slideBoosts = 0;
-          ud.boostTimer = 0;
-          ud.boostSpeed = 0;
-          hit = true;
-          break;
-        }
-      }
-
-      if (hit) {
-        _remove(i);
-      }
     }
   }
 
@@ -191,14 +160,19 @@ export function createMissileSystem(scene) {
     active.splice(index, 1);
   }
 
-  function destroy() {
+  /** Remove every missile (e.g. before resyncing from simulation state) */
+  function clear() {
     for (let i = active.length - 1; i >= 0; i--) {
       _remove(i);
     }
+  }
+
+  function destroy() {
+    clear();
     bodyGeo.dispose();
     bodyMat.dispose();
     trailTex.dispose();
   }
 
-  return { fire, update, destroy };
+  return { add, remove, sync, update, threats, clear, destroy };
 }
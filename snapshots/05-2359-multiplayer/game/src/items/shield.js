@@ -0,0 +1,55 @@
+import * as THREE from 'three';
+
+const BUBBLE_RADIUS = 2.2;
+const BUBBLE_HEIGHT = 1.2;      // center above the kart's origin
+const BLINK_TIME = 1.5;         // seconds left when the bubble starts blinking
+const BLINK_RATE = 8;           // blinks per second
+
+/**
+ * Shield bubbles — drawn around every kart whose shieldTimer is running
+ * (sim/items/shield.js owns the timer and what it blocks).
+ */
+export function createShieldVisuals(scene) {
+  const geometry = new THREE.SphereGeometry(BUBBLE_RADIUS, 16, 12);
+  const material = new THREE.MeshBasicMaterial({
+    color: 0x66ccff,
+    transparent: true,
+    opacity: 0.3,
+    depthWrite: false,
+  });
+
+  const bubbles = new Map(); // kart → mesh
+  let time = 0;
+
+  /**
+   * @param {number} dt
+   * @param {THREE.Object3D[]} [karts]
+   */
+  function update(dt, karts = []) {
+    time += dt;
+    for (const kart of karts) {
+      const left = kart.userData.shieldTimer || 0;
+      let mesh = bubbles.get(kart);
+      if (left <= 0) {
+        if (mesh) mesh.visible = false;
+        continue;
+      }
+      if (!mesh) {
+        mesh = new THREE.Mesh(geometry, material);
+        scene.add(mesh);
+        bubbles.set(kart, mesh);
+      }
+      mesh.position.set(kart.position.x, kart.position.y + BUBBLE_HEIGHT, kart.position.z);
+      mesh.visible = left > BLINK_TIME || Math.floor(time * BLINK_RATE) % 2 === 0;
+    }
+  }
+
+  function destroy() {
+    for (const mesh of bubbles.values()) scene.remove(mesh);
+    bubbles.clear();
+    geometry.dispose();
+    material.dispose();
+  }
+
+  return { update, destroy };
+}
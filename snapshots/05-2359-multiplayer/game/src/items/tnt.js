@@ -1,10 +1,9 @@
 import * as THREE from 'three';
-import { getGroundHeight } from './track.js';
+import { getGroundHeight } from '../track.js';
+import { LIFETIME, HOLD_DISTANCE, isHoldingTNT, isOrbitingTNT } from '../sim/items/tnt.js';
 
 const TNT_SIZE = 1.5;
-const TRIGGER_RADIUS = 2.5;
-const EXPLODE_VEL_Y = 22;       // upward launch force
-const LIFETIME = 30;             // seconds before auto-despawn
+const ORBIT_RATE = 3; // rad/s, stacked TNT circling the kart
 
 function createTNTTexture() {
   const size = 64;
@@ -60,7 +59,12 @@ function createTNTShadow(shadowTex, wx, wz) {
   return mesh;
 }
 
-export function createTNTSystem(scene) {
+/**
+ * TNT meshes — added on the simulation's TNT item_use events and removed on
+ * its item_hit events (sim/items/tnt.js owns placement and collision), plus
+ * the TNT each kart holds: one behind it, or a stack orbiting it.
+ */
+export function createTNTVisuals(scene) {
   const tex = createTNTTexture();
   const geometry = new THREE.BoxGeometry(TNT_SIZE, TNT_SIZE, TNT_SIZE);
   const material = new THREE.MeshStandardMaterial({
@@ -83,13 +87,13 @@ export function createTNTSystem(scene) {
   const shadowTex = new THREE.CanvasTexture(shadowCanvas);
 
   const placed = []; // active TNT boxes
+  const held = new Map(); // kart → meshes trailing behind or orbiting it
+  let time = 0;
 
-  function place(kart) {
-    const angle = kart.rotation.y;
-    // Place behind the kart
-    const behindDist = 3;
-    const wx = kart.position.x + Math.sin(angle) * behindDist;
-    const wz = kart.position.z + Math.cos(angle) * behindDist;
+  /** @param {{id, x, z, lifetime?}} evt - item_use event (or sim TNT entity when resyncing) */
+  function add(evt) {
+    const wx = evt.x;
+    const wz = evt.z;
     const groundY = getGroundHeight(wx, wz);
 
     const mesh = new THREE.Mesh(geometry, material);
@@ -100,79 +104,86 @@ export function createTNTSystem(scene) {
     scene.add(shadow);
 
     placed.push({
+      id: evt.id,
       mesh,
       shadow,
-      x: wx,
-      z: wz,
-      groundY,
-      owner: kart, // kart that placed it (immune briefly)
-      immuneTimer: 0.8, // seconds of immunity for the placer
-      lifetime: LIFETIME,
+      lifetime: evt.lifetime ?? LIFETIME,
     });
   }
 
-  function update(allKarts, dt) {
+  /** Remove a TNT box after it detonated */
+  function remove(id) {
+    const i = placed.findIndex(t => t.id === id);
+    if (i < 0) return;
+    _remove(i);
+  }
+
+  /**
+   * @param {number} dt
+   * @param {THREE.Object3D[]} [karts] - karts to draw held TNT around
+   */
+  function update(dt, karts = []) {
+    time += dt;
     for (let i = placed.length - 1; i >= 0; i--) {
       const tnt = placed[i];
       tnt.lifetime -= dt;
-      if (tnt.immuneTimer > 0) tnt.immuneTimer -= dt;
-
-      // Despawn check
-      if (tnt.lifetime <= 0) {
-        scene.remove(tnt.mesh);
-        scene.remove(tnt.shadow);
-        placed.splice(i, 1);
-        continue;
-      }
+      if (tnt.lifetime <= 0) _remove(i);
+    }
 
-      // Collision check against all karts
-      let triggered = false;
-      for (const kart of allKarts) {
-        // Skip owner during immunity
-        if (tnt.immuneTimer > 0 && kart === tnt.owner) continue;
-
-        const dx = kart.position.x - tnt.x;
-        const dz = kart.position.z - tnt.z;
-        if (dx * dx + dz * dz < TRIGGER_RADIUS * TRIGGER_RADIUS) {
-          // Explode the kart
-          const ud = kart.userData;
-          ud.velocity.set(0, EXPLODE_VEL_Y, 0);
-          kart.position.y += 0.5; // escape ground snap zone
-          ud.speed = 0;
-          ud.grounded = false;
-          ud.slideActive = false;
-          ud.slideButton = null;
-          ud.slideDir = 0;
-          ud.slideAngle = 0;
-          ud.slideTimer = 0;
-          ud.slideBoosts = 0;
-          ud.boostTimer = 0;
-          ud.boostSpeed = 0;
-
-          triggered = true;
-          break;
-        }
+    for (const kart of karts) {
+      let meshes = held.get(kart);
+      if (!meshes) {
+        meshes = [];
+        held.set(kart, meshes);
       }
-
-      if (triggered) {
-        scene.remove(tnt.mesh);
-        scene.remove(tnt.shadow);
-        placed.splice(i, 1);
+      const count = isHoldingTNT(kart) ? kart.userData.heldCount : 0;
+      while (meshes.length < count) {
+        const mesh = new THREE.Mesh(geometry, material);
+        scene.add(mesh);
+        meshes.push(mesh);
+      }
+      const orbiting = isOrbitingTNT(kart);
+      for (let i = 0; i < meshes.length; i++) {
+        const mesh = meshes[i];
+        mesh.visible = i < count;
+        if (!mesh.visible) continue;
+        // Straight behind the kart, or spread evenly around it
+        const angle = orbiting ? time * ORBIT_RATE + i * Math.PI * 2 / count : kart.rotation.y;
+        const wx = kart.position.x + Math.sin(angle) * HOLD_DISTANCE;
+        const wz = kart.position.z + Math.cos(angle) * HOLD_DISTANCE;
+        mesh.position.set(wx, getGroundHeight(wx, wz) + TNT_SIZE / 2 + 0.05, wz);
+        mesh.rotation.y = angle;
       }
     }
   }
 
-  function destroy() {
+  function _remove(index) {
+    const tnt = placed[index];
+    scene.remove(tnt.mesh);
+    scene.remove(tnt.shadow);
+    placed.splice(index, 1);
+  }
+
+  /** Remove every TNT box (e.g. before resyncing from simulation state) */
+  function clear() {
     for (const tnt of placed) {
       scene.remove(tnt.mesh);
       scene.remove(tnt.shadow);
     }
     placed.length = 0;
+  }
+
+  function destroy() {
+    clear();
+    for (const meshes of held.values()) {
+      for (const mesh of meshes) scene.remove(mesh);
+    }
+    held.clear();
     tex.dispose();
     geometry.dispose();
     material.dispose();
     shadowTex.dispose();
   }
 
-  return { place, update, destroy };
+  return { add, remove, update, clear, destroy };
 }
@@ -1,62 +1,111 @@
 /**
- * Kart-to-kart sphere collision resolution
+ * Kart-to-kart sphere collision resolution — the lighter kart (stats.weight)
+ * takes the larger share of the push and bounce.
+ *
+ * A uniform grid broadphase picks the pairs worth testing, so a full field
+ * doesn't pay for every pair every step. Candidates come from where the karts
+ * were before any push this step, and are resolved in ascending i < j order:
+ * deterministic, but not equivalent to the O(n²) loop — two karts pushed
+ * into contact from non-neighbouring cells aren't tested until the next step.
  */
 
 const KART_RADIUS = 1.5;
 const BOUNCE_SLOWDOWN = 0.85;
 const SEPARATION_FORCE = 8; // extra push-apart velocity
+const CELL_SIZE = KART_RADIUS * 4; // broadphase cell — twice the contact distance
 
 /**
  * Resolve collisions between all kart pairs
- * @param {Array} karts - array of kart groups with .position and .userData.velocity/.speed
+ * @param {Array} karts - array of kart groups with .position and .userData.velocity/.speed/.stats
  */
 export function resolveKartCollisions(karts) {
-  for (let i = 0; i < karts.length; i++) {
-    for (let j = i + 1; j < karts.length; j++) {
-      const a = karts[i];
-      const b = karts[j];
-
-      const dx = b.position.x - a.position.x;
-      const dz = b.position.z - a.position.z;
-      const distSq = dx * dx + dz * dz;
-      const minDist = KART_RADIUS * 2;
-
-      if (distSq < minDist * minDist && distSq > 0.0001) {
-        const dist = Math.sqrt(distSq);
-        const overlap = minDist - dist;
-
-        // Normal from a to b
-        const nx = dx / dist;
-        const nz = dz / dist;
-
-        // Push apart — extra margin to prevent sticking
-        const push = overlap * 0.5 + 0.15;
-        a.position.x -= nx * push;
-        a.position.z -= nz * push;
-        b.position.x += nx * push;
-        b.position.z += nz * push;
-
-        // Bounce: swap velocity component along collision normal
-        const va = a.userData.velocity;
-        const vb = b.userData.velocity;
-        const relVelN = (vb.x - va.x) * nx + (vb.z - va.z) * nz;
-
-        if (relVelN < 0) {
-          va.x += nx * relVelN * 0.5;
-          va.z += nz * relVelN * 0.5;
-          vb.x -= nx * relVelN * 0.5;
-          vb.z -= nz * relVelN * 0.5;
-        }
-
-        // Always apply a separation impulse so karts bounce apart
-        va.x -= nx * SEPARATION_FORCE;
-        va.z -= nz * SEPARATION_FORCE;
-        vb.x += nx * SEPARATION_FORCE;
-        vb.z += nz * SEPARATION_FORCE;
-
-        a.userData.speed *= BOUNCE_SLOWDOWN;
-        b.userData.speed *= BOUNCE_SLOWDOWN;
+  for (const pair of candidatePairs(karts)) {
+    const i = Math.floor(pair / karts.length);
+    resolvePair(karts[i], karts[pair - i * karts.length]);
+  }
+}
+
+/**
+ * Pairs of karts in the same or neighbouring grid cells — everything within
+ * CELL_SIZE of each other, twice the contact distance.
+ * @returns {number[]} pairs encoded as i * karts.length + j (i < j), ascending
+ */
+function candidatePairs(karts) {
+  const n = karts.length;
+  const cells = new Map(); // "cx,cz" → kart indices
+  const coords = [];
+  for (let i = 0; i < n; i++) {
+    const cx = Math.floor(karts[i].position.x / CELL_SIZE);
+    const cz = Math.floor(karts[i].position.z / CELL_SIZE);
+    coords.push(cx, cz);
+    const key = cx + ',' + cz;
+    const cell = cells.get(key);
+    if (cell) cell.push(i);
+    else cells.set(key, [i]);
+  }
+
+  const pairs = [];
+  for (let i = 0; i < n; i++) {
+    const cx = coords[i * 2];
+    const cz = coords[i * 2 + 1];
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dz = -1; dz <= 1; dz++) {
+        const cell = cells.get((cx + dx) + ',' + (cz + dz));
+        if (!cell) continue;
+        for (const j of cell) if (j > i) pairs.push(i * n + j);
       }
     }
   }
+  return pairs.sort((a, b) => a - b);
+}
+
+/** Push apart and bounce one pair if they overlap */
+function resolvePair(a, b) {
+  const dx = b.position.x - a.position.x;
+  const dz = b.position.z - a.position.z;
+  const distSq = dx * dx + dz * dz;
+  const minDist = KART_RADIUS * 2;
+
+  if (distSq < minDist * minDist && distSq > 0.0001) {
+    const dist = Math.sqrt(distSq);
+    const overlap = minDist - dist;
+
+    // Normal from a to b
+    const nx = dx / dist;
+    const nz = dz / dist;
+
+    // Share of the response each kart takes: 1 each for equal weights
+    const wa = a.userData.stats.weight;
+    const wb = b.userData.stats.weight;
+    const ka = (2 * wb) / (wa + wb);
+    const kb = (2 * wa) / (wa + wb);
+
+    // Push apart — extra margin to prevent sticking
+    const push = overlap * 0.5 + 0.15;
+    a.position.x -= nx * push * ka;
+    a.position.z -= nz * push * ka;
+    b.position.x += nx * push * kb;
+    b.position.z += nz * push * kb;
+
+    // Bounce: swap velocity component along collision normal
+    const va = a.userData.velocity;
+    const vb = b.userData.velocity;
+    const relVelN = (vb.x - va.x) * nx + (vb.z - va.z) * nz;
+
+    if (relVelN < 0) {
+      va.x += nx * relVelN * 0.5 * ka;
+      va.z += nz * relVelN * 0.5 * ka;
+      vb.x -= nx * relVelN * 0.5 * kb;
+      vb.z -= nz * relVelN * 0.5 * kb;
+    }
+
+    // Always apply a separation impulse so karts bounce apart
+    va.x -= nx * SEPARATION_FORCE * ka;
+    va.z -= nz * SEPARATION_FORCE * ka;
+    vb.x += nx * SEPARATION_FORCE * kb;
+    vb.z += nz * SEPARATION_FORCE * kb;
+
+    a.userData.speed *= BOUNCE_SLOWDOWN;
+    b.userData.speed *= BOUNCE_SLOWDOWN;
+  }
 }
@@ -0,0 +1,301 @@
+/**
+ * Kart selection — a picker showing each sprite sheet kart turning through
+ * its 16 directions with its stat bars, used full-screen from the menu and
+ * inline in the multiplayer lobby. The last pick is remembered.
+ */
+import sheetUrl from '@sprites/sprites.png';
+import sheetMeta from '@sprites/sprites.json';
+import { getKartProfile } from './kart.js';
+import { STAT_NAMES, STAT_MAX } from './kart-stats.js';
+
+export const KART_COUNT = sheetMeta.karts.length;
+export const DEFAULT_KART = Math.min(1, KART_COUNT - 1);
+const STORAGE_KEY = 'kart.kartIndex';
+const PREVIEW_SIZE = 128; // px per frame on screen
+const PREVIEW_FRAME_MS = 120; // time per direction while turning
+const TOTAL_ROWS = sheetMeta.karts.length * sheetMeta.rowsPerKart;
+
+const STYLE = `
+.kart-picker {
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  font-family: monospace;
+  color: #eee;
+}
+.kart-picker-row {
+  display: flex;
+  align-items: center;
+  gap: 12px;
+}
+.kart-picker-arrow {
+  background: #222;
+  border: 1px solid #444;
+  color: #eee;
+  font-family: monospace;
+  font-size: 18px;
+  padding: 8px 12px;
+  cursor: pointer;
+}
+.kart-picker-arrow:hover {
+  background: #333;
+  border-color: #888;
+}
+.kart-preview {
+  width: ${PREVIEW_SIZE}px;
+  height: ${PREVIEW_SIZE}px;
+  background-repeat: no-repeat;
+  image-rendering: pixelated;
+}
+.kart-picker.taken .kart-preview {
+  opacity: 0.3;
+}
+.kart-picker-name {
+  font-size: 16px;
+  margin: 6px 0;
+  letter-spacing: 2px;
+}
+.kart-picker-taken {
+  color: #a44;
+  font-size: 12px;
+  height: 14px;
+}
+.kart-stat {
+  display: flex;
+  align-items: center;
+  gap: 8px;
+  font-size: 12px;
+  color: #888;
+  margin: 2px 0;
+}
+.kart-stat-label {
+  width: 64px;
+  text-transform: uppercase;
+}
+.kart-stat-pip {
+  display: inline-block;
+  width: 14px;
+  height: 8px;
+  background: #333;
+  margin-right: 2px;
+}
+.kart-stat-pip.on {
+  background: #4a8;
+}
+#kart-select {
+  position: fixed;
+  inset: 0;
+  background: #111;
+  display: flex;
+  flex-direction: column;
+  align-items: center;
+  justify-content: center;
+  font-family: monospace;
+  color: #eee;
+  z-index: 110;
+}
+#kart-select h2 {
+  font-size: 32px;
+  margin-bottom: 24px;
+  letter-spacing: 4px;
+}
+#kart-select-hint {
+  margin-top: 24px;
+  color: #555;
+  font-size: 12px;
+}
+`;
+
+let styleInjected = false;
+function injectStyle() {
+  if (styleInjected) return;
+  const style = document.createElement('style');
+  style.textContent = STYLE;
+  document.head.appendChild(style);
+  styleInjected = true;
+}
+
+/** @returns {string} */
+export function getKartName(kartIndex) {
+  const def = sheetMeta.karts[kartIndex];
+  return def ? def.name : `Kart ${kartIndex + 1}`;
+}
+
+/** Last kart picked on this browser */
+export function loadKartChoice() {
+  const stored = localStorage.getItem(STORAGE_KEY);
+  const i = stored === null ? NaN : Number(stored);
+  return Number.isInteger(i) && i >= 0 && i < KART_COUNT ? i : DEFAULT_KART;
+}
+
+export function saveKartChoice(kartIndex) {
+  try {
+    localStorage.setItem(STORAGE_KEY, String(kartIndex));
+  } catch (e) {
+    console.warn('Could not store kart choice:', e);
+  }
+}
+
+/** Stat bars for a profile — one row of pips per stat */
+export function createStatBars(profile) {
+  const el = document.createElement('div');
+  for (const name of STAT_NAMES) {
+    let pips = '';
+    for (let i = 1; i <= STAT_MAX; i++) {
+      pips += `<span class="kart-stat-pip${i <= profile[name] ? ' on' : ''}"></span>`;
+    }
+    const row = document.createElement('div');
+    row.className = 'kart-stat';
+    row.innerHTML = `<span class="kart-stat-label">${name}</span><span>${pips}</span>`;
+    el.appendChild(row);
+  }
+  return el;
+}
+
+/**
+ * Kart picker: ◀ turning preview ▶, name and stat bars.
+ * Browsing skips karts marked taken.
+ * @param {object} [opts]
+ * @param {number} [opts.kartIndex] - initial kart
+ * @param {(kartIndex: number) => void} [opts.onChange] - user browsed to a kart
+ * @returns {{ el, readonly kartIndex: number, setKart, setTaken, step, destroy }}
+ */
+export function createKartPicker({ kartIndex = DEFAULT_KART, onChange } = {}) {
+  injectStyle();
+
+  const el = document.createElement('div');
+  el.className = 'kart-picker';
+  el.innerHTML = `
+    <div class="kart-picker-row">
+      <button class="kart-picker-arrow" data-dir="-1">&lt;</button>
+      <div class="kart-preview"></div>
+      <button class="kart-picker-arrow" data-dir="1">&gt;</button>
+    </div>
+    <div class="kart-picker-name"></div>
+    <div class="kart-picker-taken"></div>
+    <div class="kart-picker-stats"></div>
+  `;
+  const preview = el.querySelector('.kart-preview');
+  preview.style.backgroundImage = `url(${sheetUrl})`;
+  preview.style.backgroundSize = `${sheetMeta.columns * PREVIEW_SIZE}px ${TOTAL_ROWS * PREVIEW_SIZE}px`;
+
+  let current = kartIndex;
+  let taken = new Set();
+  let column = 0;
+
+  function drawFrame() {
+    const row = sheetMeta.karts[current].rows[0].row; // straight variant
+    preview.style.backgroundPosition = `-${column * PREVIEW_SIZE}px -${row * PREVIEW_SIZE}px`;
+  }
+
+  function render() {
+    el.querySelector('.kart-picker-name').textContent = getKartName(current);
+    el.querySelector('.kart-picker-taken').textContent = taken.has(current) ? 'TAKEN' : '';
+    el.classList.toggle('taken', taken.has(current));
+    const stats = el.querySelector('.kart-picker-stats');
+    stats.innerHTML = '';
+    stats.appendChild(createStatBars(getKartProfile(current)));
+    drawFrame();
+  }
+
+  // Clockwise through the sheet's directions, i.e. the kart turning in place
+  const timer = setInterval(() => {
+    column = (column + 1) % sheetMeta.columns;
+    drawFrame();
+  }, PREVIEW_FRAME_MS);
+
+  /** Browse to the next (dir 1) or previous (dir -1) kart that isn't taken */
+  function step(dir) {
+    for (let n = 1; n < KART_COUNT; n++) {
+      const i = (((current + dir * n) % KART_COUNT) + KART_COUNT) % KART_COUNT;
+      if (taken.has(i)) continue;
+      current = i;
+      render();
+      if (onChange) onChange(current);
+      return;
+    }
+  }
+
+  for (const btn of el.querySelectorAll('.kart-picker-arrow')) {
+    btn.onclick = () => step(Number(btn.dataset.dir));
+  }
+
+  render();
+
+  return {
+    el,
+    get kartIndex() {
+      return current;
+    },
+    /** Show a kart without firing onChange (e.g. the server's assignment) */
+    setKart(i) {
+      if (i === current || i < 0 || i >= KART_COUNT) return;
+      current = i;
+      render();
+    },
+    /** @param {Iterable<number>} indices - karts other players hold */
+    setTaken(indices) {
+      taken = new Set(indices);
+      render();
+    },
+    step,
+    destroy() {
+      clearInterval(timer);
+      el.remove();
+    },
+  };
+}
+
+/**
+ * Full-screen kart select. ←/→ browse, Enter picks, Esc backs out.
+ * The pick is remembered for next time.
+ * @param {object} opts
+ * @param {number} [opts.kartIndex] - initially shown kart
+ * @param {(kartIndex: number) => void} opts.onConfirm
+ * @param {() => void} [opts.onCancel]
+ * @returns {{ close: () => void }}
+ */
+export function openKartSelect({ kartIndex = loadKartChoice(), onConfirm, onCancel }) {
+  injectStyle();
+
+  const el = document.createElement('div');
+  el.id = 'kart-select';
+  el.innerHTML = `
+    <h2>SELECT KART</h2>
+    <div id="kart-select-hint">&larr;/&rarr; choose &middot; Enter or click to confirm &middot; Esc back</div>
+  `;
+  const picker = createKartPicker({ kartIndex });
+  el.insertBefore(picker.el, el.querySelector('#kart-select-hint'));
+  picker.el.querySelector('.kart-preview').onclick = confirm;
+  document.body.appendChild(el);
+
+  function onKeyDown(e) {
+    if (e.key === 'ArrowLeft' || e.key === 'a' || e.key === 'A') picker.step(-1);
+    else if (e.key === 'ArrowRight' || e.key === 'd' || e.key === 'D') picker.step(1);
+    else if (e.key === 'Enter') confirm();
+    else if (e.key === 'Escape') cancel();
+    else return;
+    e.preventDefault();
+  }
+  window.addEventListener('keydown', onKeyDown);
+
+  function close() {
+    window.removeEventListener('keydown', onKeyDown);
+    picker.destroy();
+    el.remove();
+  }
+
+  function confirm() {
+    const i = picker.kartIndex;
+    saveKartChoice(i);
+    close();
+    onConfirm(i);
+  }
+
+  function cancel() {
+    close();
+    if (onCancel) onCancel();
+  }
+
+  return { close };
+}
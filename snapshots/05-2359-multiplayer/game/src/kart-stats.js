@@ -0,0 +1,58 @@
+/**
+ * Per-kart stats profiles — speed, accel, handling and weight rated 1-5,
+ * kept in kart-sprites/stats.json by kart name (the sprite sheet's
+ * `karts[i].name`) so re-exporting the sheet doesn't touch them:
+ *   { "Cart": { "speed": 3, "accel": 3, "handling": 3, "weight": 3 }, ... }
+ *
+ * Shared by the client and the server's GameRoom, which load the two JSON
+ * files their own way and turn a kart index into physics stats here.
+ */
+import { KART_DEFAULTS } from './physics.js';
+
+export const STAT_NAMES = ['speed', 'accel', 'handling', 'weight'];
+export const STAT_MIN = 1;
+export const STAT_MAX = 5;
+const STAT_NEUTRAL = 3; // a rating of 3 everywhere = KART_DEFAULTS
+
+// Rating → physics stat, as the fraction of the default gained per point above 3
+const STAT_EFFECTS = {
+  speed: { key: 'maxSpeed', perPoint: 0.06 },
+  accel: { key: 'accel', perPoint: 0.15 },
+  handling: { key: 'turnRate', perPoint: 0.1 },
+  weight: { key: 'weight', perPoint: 0.25 },
+};
+
+export const DEFAULT_PROFILE = Object.freeze({ speed: 3, accel: 3, handling: 3, weight: 3 });
+
+/** Clamp a profile to whole ratings in [STAT_MIN, STAT_MAX]; missing ratings are neutral */
+export function sanitizeProfile(profile) {
+  const out = {};
+  for (const name of STAT_NAMES) {
+    const v = Math.round(Number(profile && profile[name]));
+    out[name] = Number.isFinite(v) ? Math.max(STAT_MIN, Math.min(STAT_MAX, v)) : STAT_NEUTRAL;
+  }
+  return out;
+}
+
+/**
+ * Profile of the kart at a sprite sheet index
+ * @param {object} sheetMeta - parsed sprites.json
+ * @param {object} statsTable - parsed stats.json, kart name → profile
+ * @param {number} kartIndex
+ */
+export function lookupKartProfile(sheetMeta, statsTable, kartIndex) {
+  const def = sheetMeta && sheetMeta.karts && sheetMeta.karts[kartIndex];
+  const profile = def && statsTable && statsTable[def.name];
+  return profile ? sanitizeProfile(profile) : { ...DEFAULT_PROFILE };
+}
+
+/** Profile → kart.userData.stats */
+export function kartStatsFromProfile(profile) {
+  const p = sanitizeProfile(profile);
+  const stats = { ...KART_DEFAULTS };
+  for (const name of STAT_NAMES) {
+    const { key, perPoint } = STAT_EFFECTS[name];
+    stats[key] = KART_DEFAULTS[key] * (1 + (p[name] - STAT_NEUTRAL) * perPoint);
+  }
+  return stats;
+}
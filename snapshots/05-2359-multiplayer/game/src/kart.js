@@ -1,6 +1,8 @@
 import * as THREE from 'three';
 import sheetUrl from '@sprites/sprites.png';
 import sheetMeta from '@sprites/sprites.json';
+import statsTable from '@sprites/stats.json';
+import { lookupKartProfile } from './kart-stats.js';
 
 const FRAME_W = sheetMeta.frameWidth;
 const FRAME_H = sheetMeta.frameHeight;
@@ -9,6 +11,11 @@ const TOTAL_ROWS = sheetMeta.karts.length * sheetMeta.rowsPerKart;
 const SHEET_W = FRAME_W * COLUMNS;       // 4096
 const SHEET_H = FRAME_H * TOTAL_ROWS;    // 2304
 
+/** @returns {{speed, accel, handling, weight}} 1-5 ratings of a sprite sheet kart */
+export function getKartProfile(kartIndex) {
+  return lookupKartProfile(sheetMeta, statsTable, kartIndex);
+}
+
 export function createKart(kartIndex = 1) {
   const group = new THREE.Group();
   group.name = 'kart';
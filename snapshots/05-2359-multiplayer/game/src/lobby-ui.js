@@ -1,6 +1,16 @@
 /**
- * DOM overlay for lobby (room list, create, join, ready)
+ * DOM overlay for lobby (room list, create, join or watch, room settings and
+ * map votes, kart pick, ready). Only the host edits the settings; everyone
+ * else sees them and votes on the map.
  */
+import { getCups } from './cup.js';
+import { createKartPicker, getKartName, loadKartChoice, saveKartChoice } from './kart-select.js';
+import { ITEMS } from './sim/item-registry.js';
+import { BOT_DIFFICULTIES } from './bot-input.js';
+import { MAX_RACERS } from './sim/simulation.js';
+
+const MAX_LOBBY_LAPS = 10;
+const BROWSE_HINT = 'Create or join a room to play, or watch one';
 
 const STYLE = `
 #lobby {
@@ -56,6 +66,16 @@ const STYLE = `
   color: #888;
   font-size: 12px;
 }
+.room-item .room-racing {
+  color: #ffcc00;
+  font-size: 12px;
+  margin-left: 8px;
+}
+.room-item .room-watch {
+  font-size: 12px;
+  padding: 2px 8px;
+  margin: 0 0 0 8px;
+}
 .lobby-btn {
   background: #222;
   border: 1px solid #444;
@@ -125,6 +145,47 @@ const STYLE = `
   color: #888;
   font-size: 12px;
 }
+.player-item .player-kart {
+  color: #888;
+  font-size: 12px;
+  margin-left: 8px;
+}
+#lobby-spectators {
+  color: #888;
+  font-size: 12px;
+  margin-top: 4px;
+}
+.player-item .host-badge {
+  color: #ffcc00;
+  font-size: 12px;
+  margin-left: 8px;
+}
+.lobby-setting {
+  display: flex;
+  align-items: center;
+  margin-top: 4px;
+}
+.lobby-setting > label:first-child {
+  color: #888;
+  font-size: 12px;
+  width: 90px;
+}
+.lobby-setting .lobby-select,
+.lobby-setting .lobby-input {
+  margin-bottom: 0;
+}
+#map-votes {
+  color: #888;
+  font-size: 12px;
+}
+.lobby-check {
+  color: #888;
+  font-size: 12px;
+  margin-right: 8px;
+}
+#lobby-kart {
+  margin-top: 12px;
+}
 #lobby-hint {
   margin-top: 16px;
   color: #555;
@@ -148,15 +209,52 @@ export function createLobbyUI(maps) {
         <div id="room-list">No rooms available</div>
         <div style="margin-top: 8px">
           <input id="room-name-input" class="lobby-input" placeholder="Room name" />
+          <input id="password-input" class="lobby-input" type="password" placeholder="Password (optional)" />
           <select id="map-select" class="lobby-select"></select>
           <button id="create-room-btn" class="lobby-btn primary">Create</button>
+          <label class="lobby-check"><input id="unique-karts-check" type="checkbox" /> Unique karts</label>
         </div>
         <button id="refresh-btn" class="lobby-btn">Refresh</button>
       </div>
       <div id="lobby-room" class="lobby-section" style="display:none">
-        <h3>Room: <span id="lobby-room-name"></span></h3>
+        <h3>Room: <span id="lobby-room-name"></span> <span id="lobby-room-lock"></span></h3>
         <div id="lobby-players"></div>
-        <div style="margin-top: 12px">
+        <div id="lobby-spectators"></div>
+        <div id="lobby-racer-controls">
+          <div id="lobby-kart"></div>
+          <div id="lobby-settings" style="margin: 12px 0">
+            <div class="lobby-setting">
+              <label for="room-map-select">MAP</label>
+              <select id="room-map-select" class="lobby-select"></select>
+              <span id="map-votes"></span>
+            </div>
+            <div class="lobby-setting">
+              <label for="laps-select">LAPS</label>
+              <select id="laps-select" class="lobby-select"></select>
+            </div>
+            <div class="lobby-setting">
+              <label for="racers-select">RACERS</label>
+              <select id="racers-select" class="lobby-select"></select>
+            </div>
+            <div class="lobby-setting">
+              <label for="bots-select">BOTS</label>
+              <select id="bots-select" class="lobby-select"></select>
+            </div>
+            <div class="lobby-setting">
+              <label for="difficulty-select">DIFFICULTY</label>
+              <select id="difficulty-select" class="lobby-select"></select>
+            </div>
+            <div class="lobby-setting">
+              <label>ITEMS</label>
+              <span id="items-checks"></span>
+            </div>
+            <div class="lobby-setting" id="room-password-row">
+              <label for="room-password-input">PASSWORD</label>
+              <input id="room-password-input" class="lobby-input" type="password" placeholder="none" />
+            </div>
+          </div>
+        </div>
+        <div style="margin-top: 4px">
           <button id="ready-btn" class="lobby-btn primary">Ready</button>
           <button id="leave-btn" class="lobby-btn danger">Leave</button>
         </div>
@@ -165,11 +263,11 @@ export function createLobbyUI(maps) {
         <button id="back-btn" class="lobby-btn">Back to Menu</button>
       </div>
     </div>
-    <div id="lobby-hint">Create or join a room to play</div>
+    <div id="lobby-hint">${BROWSE_HINT}</div>
   `;
   document.body.appendChild(el);
 
-  // Populate map select
+  // Populate map select — single maps, then whole cups
   const mapSelect = el.querySelector('#map-select');
   for (const map of maps) {
     const opt = document.createElement('option');
@@ -177,9 +275,66 @@ export function createLobbyUI(maps) {
     opt.textContent = map.name || map.id;
     mapSelect.appendChild(opt);
   }
+  const cupGroup = document.createElement('optgroup');
+  cupGroup.label = 'Grand Prix';
+  for (const cup of getCups(maps)) {
+    const opt = document.createElement('option');
+    opt.value = cup.mapIds[0];
+    opt.dataset.cupId = cup.id;
+    opt.textContent = `${cup.name} (${cup.mapIds.length} races)`;
+    cupGroup.appendChild(opt);
+  }
+  if (cupGroup.children.length > 0) mapSelect.appendChild(cupGroup);
+
+  // Populate laps select — empty value = map default
+  const lapsSelect = el.querySelector('#laps-select');
+  lapsSelect.innerHTML = '<option value="">Map default</option>';
+  for (let laps = 1; laps <= MAX_LOBBY_LAPS; laps++) {
+    const opt = document.createElement('option');
+    opt.value = String(laps);
+    opt.textContent = String(laps);
+    lapsSelect.appendChild(opt);
+  }
+
+  // Room settings controls — map (host) or map vote (everyone else), grid size, bots, difficulty, items
+  const roomMapSelect = el.querySelector('#room-map-select');
+  for (const map of maps) {
+    const opt = document.createElement('option');
+    opt.value = map.id;
+    opt.textContent = map.name || map.id;
+    roomMapSelect.appendChild(opt);
+  }
+  const racersSelect = el.querySelector('#racers-select');
+  for (let n = 2; n <= MAX_RACERS; n++) {
+    racersSelect.appendChild(new Option(String(n), String(n)));
+  }
+  // Filled in updateSettings() — up to one less than the grid size
+  const botsSelect = el.querySelector('#bots-select');
+  const difficultySelect = el.querySelector('#difficulty-select');
+  BOT_DIFFICULTIES.forEach((d, i) => difficultySelect.appendChild(new Option(d.name, String(i))));
+  const itemChecks = ITEMS.map((item) => {
+    const label = document.createElement('label');
+    label.className = 'lobby-check';
+    label.innerHTML = `<input type="checkbox" value="${item.id}" checked /> ${item.icon} ${item.id}`;
+    el.querySelector('#items-checks').appendChild(label);
+    return label.querySelector('input');
+  });
+  const roomPasswordInput = el.querySelector('#room-password-input');
 
   let currentRoomId = null;
   let callbacks = {};
+  let isHost = false;
+  let currentRules = {}; // the room's rule overrides, changed one at a time
+
+  // Our kart — changes go to the server, which echoes the accepted pick back
+  const kartPicker = createKartPicker({
+    kartIndex: loadKartChoice(),
+    onChange(kartIndex) {
+      saveKartChoice(kartIndex);
+      if (callbacks.onKartChange) callbacks.onKartChange(kartIndex);
+    },
+  });
+  el.querySelector('#lobby-kart').appendChild(kartPicker.el);
 
   function setCallbacks(cbs) {
     callbacks = cbs;
@@ -189,13 +344,40 @@ export function createLobbyUI(maps) {
   el.querySelector('#create-room-btn').onclick = () => {
     const name = el.querySelector('#room-name-input').value || 'Race Room';
     const mapId = mapSelect.value;
-    if (callbacks.onCreate) callbacks.onCreate(name, mapId);
+    const cupId = mapSelect.selectedOptions[0]?.dataset.cupId;
+    const uniqueKarts = el.querySelector('#unique-karts-check').checked;
+    const password = el.querySelector('#password-input').value;
+    if (callbacks.onCreate) callbacks.onCreate(name, mapId, cupId, { uniqueKarts, password });
   };
 
   el.querySelector('#refresh-btn').onclick = () => {
     if (callbacks.onRefresh) callbacks.onRefresh();
   };
 
+  function changeSettings(settings) {
+    if (callbacks.onSettingsChange) callbacks.onSettingsChange(settings);
+  }
+
+  function changeRule(key, value) {
+    const rules = { ...currentRules };
+    if (value === null) delete rules[key];
+    else rules[key] = value;
+    changeSettings({ rules });
+  }
+
+  roomMapSelect.onchange = () => {
+    if (isHost) changeSettings({ mapId: roomMapSelect.value });
+    else if (callbacks.onVote) callbacks.onVote(roomMapSelect.value);
+  };
+  lapsSelect.onchange = () => changeRule('laps', lapsSelect.value ? Number(lapsSelect.value) : null);
+  difficultySelect.onchange = () => changeRule('botDifficulty', Number(difficultySelect.value));
+  racersSelect.onchange = () => changeSettings({ maxRacers: Number(racersSelect.value) });
+  botsSelect.onchange = () => changeSettings({ bots: Number(botsSelect.value) });
+  for (const check of itemChecks) {
+    check.onchange = () => changeSettings({ items: itemChecks.filter(c => c.checked).map(c => c.value) });
+  }
+  roomPasswordInput.onchange = () => changeSettings({ password: roomPasswordInput.value });
+
   el.querySelector('#ready-btn').onclick = () => {
     if (callbacks.onReady) callbacks.onReady();
   };
@@ -212,13 +394,18 @@ export function createLobbyUI(maps) {
   function showBrowse() {
     el.querySelector('#lobby-browse').style.display = '';
     el.querySelector('#lobby-room').style.display = 'none';
+    setHint(BROWSE_HINT);
     currentRoomId = null;
   }
 
-  function showRoom(roomId, roomName) {
+  /** @param {boolean} [spectator] - watching: no kart, rules or ready button */
+  function showRoom(roomId, roomName, spectator = false) {
     el.querySelector('#lobby-browse').style.display = 'none';
     el.querySelector('#lobby-room').style.display = '';
     el.querySelector('#lobby-room-name').textContent = roomName || roomId;
+    el.querySelector('#lobby-racer-controls').style.display = spectator ? 'none' : '';
+    el.querySelector('#ready-btn').style.display = spectator ? 'none' : '';
+    if (spectator) setHint('Watching — the race shows as soon as it starts');
     currentRoomId = roomId;
   }
 
@@ -232,30 +419,98 @@ export function createLobbyUI(maps) {
     for (const room of rooms) {
       const div = document.createElement('div');
       div.className = 'room-item';
+      const joinable = !room.running && room.players < room.maxPlayers;
       div.innerHTML = `
-        <span>${room.name} <span style="color:#666">(${room.mapId})</span></span>
-        <span class="room-players">${room.players}/${room.maxPlayers}</span>
+        <span>${room.locked ? '[locked] ' : ''}${room.name} <span style="color:#666">(${room.cupName || room.mapId}${room.uniqueKarts ? ' · unique karts' : ''})</span>${room.running ? '<span class="room-racing">RACING</span>' : ''}</span>
+        <span>
+          <span class="room-players">${room.players}/${room.maxPlayers}${room.spectators ? ` +${room.spectators} watching` : ''}</span>
+          <button class="lobby-btn room-watch">Watch</button>
+        </span>
       `;
+      // Racing or full rooms can only be watched
+      const password = () => el.querySelector('#password-input').value;
       div.onclick = () => {
-        if (callbacks.onJoin) callbacks.onJoin(room.id);
+        if (joinable && callbacks.onJoin) callbacks.onJoin(room.id, password());
+      };
+      if (!joinable) div.style.cursor = 'default';
+      const watchBtn = div.querySelector('.room-watch');
+      watchBtn.disabled = room.spectators >= room.maxSpectators;
+      watchBtn.onclick = (e) => {
+        e.stopPropagation();
+        if (callbacks.onWatch) callbacks.onWatch(room.id, password());
       };
       list.appendChild(div);
     }
   }
 
-  function updatePlayers(players, myPlayerId) {
+  /**
+   * @param {Array<{id, ready, slot, kartIndex}>} players
+   * @param {string} myPlayerId
+   * @param {boolean} uniqueKarts - other players' karts can't be picked
+   * @param {number} [spectators] - clients watching the room
+   * @param {string} [hostId]
+   */
+  function updatePlayers(players, myPlayerId, uniqueKarts, spectators = 0, hostId = null) {
+    el.querySelector('#lobby-spectators').textContent = spectators > 0 ? `${spectators} watching` : '';
     const container = el.querySelector('#lobby-players');
     container.innerHTML = '';
+    const taken = [];
     for (const p of players) {
       const div = document.createElement('div');
       div.className = 'player-item';
       const isMe = p.id === myPlayerId;
       div.innerHTML = `
-        <span>${isMe ? '> ' : ''}Player ${p.slot + 1}${isMe ? ' (you)' : ''}</span>
+        <span>${isMe ? '> ' : ''}Player ${p.slot + 1}${isMe ? ' (you)' : ''}<span class="player-kart">${getKartName(p.kartIndex)}</span>${p.id === hostId ? '<span class="host-badge">HOST</span>' : ''}</span>
         <span class="${p.ready ? 'ready-badge' : 'not-ready'}">${p.ready ? 'READY' : 'waiting'}</span>
       `;
       container.appendChild(div);
+      if (isMe) kartPicker.setKart(p.kartIndex);
+      else if (uniqueKarts) taken.push(p.kartIndex);
+    }
+    kartPicker.setTaken(taken);
+  }
+
+  /**
+   * Show the room's settings (changing them resets ready state). The host
+   * gets editable controls; everyone else only the map vote.
+   * @param {object} settings - { hostId, mapId, cupName, rules, maxRacers, bots, items, locked, votes }
+   * @param {string} myPlayerId
+   */
+  function updateSettings(settings, myPlayerId) {
+    isHost = settings.hostId === myPlayerId;
+    currentRules = settings.rules || {};
+    lapsSelect.value = currentRules.laps ? String(currentRules.laps) : '';
+    difficultySelect.value = String(currentRules.botDifficulty ?? 1);
+    racersSelect.value = String(settings.maxRacers);
+    const maxBots = settings.maxRacers - 1;
+    if (botsSelect.options.length !== maxBots + 1) {
+      botsSelect.replaceChildren();
+      for (let n = 0; n <= maxBots; n++) botsSelect.appendChild(new Option(String(n), String(n)));
     }
+    botsSelect.value = String(Math.min(settings.bots, maxBots));
+    for (const check of itemChecks) check.checked = settings.items.includes(check.value);
+    el.querySelector('#lobby-room-lock').textContent = settings.locked ? '[locked]' : '';
+
+    // Cups race their own maps — no map to pick or vote on
+    const mapRow = roomMapSelect.parentElement;
+    mapRow.style.display = settings.cupName ? 'none' : '';
+    mapRow.querySelector('label').textContent = isHost ? 'MAP' : 'VOTE MAP';
+    const myVote = settings.votes[myPlayerId];
+    roomMapSelect.value = isHost ? settings.mapId : (myVote || settings.mapId);
+    const tally = {};
+    for (const mapId of Object.values(settings.votes)) tally[mapId] = (tally[mapId] || 0) + 1;
+    el.querySelector('#map-votes').textContent = Object.entries(tally)
+      .map(([mapId, n]) => `${mapId}: ${n} vote${n > 1 ? 's' : ''}`).join(', ');
+
+    for (const control of [lapsSelect, racersSelect, botsSelect, difficultySelect, ...itemChecks]) {
+      control.disabled = !isHost;
+    }
+    el.querySelector('#room-password-row').style.display = isHost ? '' : 'none';
+  }
+
+  /** Status or error line under the lobby */
+  function setHint(text) {
+    el.querySelector('#lobby-hint').textContent = text;
   }
 
   function show() {
@@ -268,6 +523,7 @@ export function createLobbyUI(maps) {
   }
 
   function destroy() {
+    kartPicker.destroy();
     el.remove();
     style.remove();
   }
@@ -279,6 +535,8 @@ export function createLobbyUI(maps) {
     showRoom,
     updateRoomList,
     updatePlayers,
+    updateSettings,
+    setHint,
     show,
     hide,
     destroy,
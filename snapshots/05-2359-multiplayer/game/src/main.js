@@ -1,23 +1,30 @@
 import * as THREE from 'three';
-import { createTrackMesh, getGroundHeight, CELL_SIZE } from './track.js';
-import { createKart, updateKartFrame } from './kart.js';
+import { createTrackMesh, getGroundHeight, TrackData } from './track.js';
+import { createKart, updateKartFrame, getKartProfile } from './kart.js';
+import { kartStatsFromProfile } from './kart-stats.js';
 import { InputManager } from './input.js';
-import { KartPhysics, KART_DEFAULTS } from './physics.js';
 import { CameraController } from './camera.js';
 import { DebugGraph } from './debug.js';
 import { listMaps, loadMap } from './map-loader.js';
 import { createMenu } from './menu.js';
-import { BotInput, BotController } from './bot-input.js';
-import { RaceManager } from './race.js';
-import { resolveKartCollisions } from './kart-collision.js';
+import { KART_COUNT, DEFAULT_KART, loadKartChoice } from './kart-select.js';
+import {
+  RaceSimulation, FixedStepLoop, InputLatch, SIM_RATE,
+  getStartPose, getGridPositions, getWorldCheckpoints, initKartState,
+} from './sim/simulation.js';
+import { randomSeed } from './sim/rng.js';
+import { ReplayRecorder, encodeReplay, decodeReplay } from './sim/replay.js';
+import { startReplay } from './replay-player.js';
+import { loadGhost, saveGhost, encodeGhost, decodeGhost, createGhostRunner } from './ghost.js';
 import { createStartLine } from './start-line.js';
-import { RaceHUD } from './hud.js';
+import { RaceHUD, formatRaceTime } from './hud.js';
+import { resolveRaceRules } from './race.js';
+import { getCups, CupState } from './cup.js';
 import { createBoostPads } from './boost-pad.js';
 import { createItemBoxes } from './item-boxes.js';
 import { createSkidMarks } from './skid-marks.js';
 import { createBoostVisuals } from './boost-visual.js';
-import { createTNTSystem } from './tnt.js';
-import { createMissileSystem } from './missile.js';
+import { createItemVisuals } from './item-visuals.js';
 import { updateKartVisuals } from './kart-visuals.js';
 import { Connection } from './net/connection.js';
 import { LobbyClient } from './net/lobby-client.js';
@@ -38,9 +45,17 @@ debug.canvas.style.display = 'none';
 
 let gameCleanup = null;
 let cachedMaps = [];
+let activeCup = null; // { state: CupState, ruleOverrides, kartIndex } during a single-player Grand Prix
 
 // --- Menu ---
-const menu = createMenu(selectMap, enterMultiplayer);
+const menu = createMenu(onMenuSelect, enterMultiplayer, openReplays, {
+  getBestTime(mapId) {
+    const ghost = loadGhost(mapId);
+    return ghost ? formatRaceTime(ghost.time) : null;
+  },
+  onExport: exportGhost,
+  onImport: importGhost,
+});
 
 async function init() {
   try {
@@ -51,7 +66,27 @@ async function init() {
   }
 }
 
-async function selectMap(mapId) {
+/** Menu pick: a map, or a cup id in cup mode */
+function onMenuSelect(id, mode, ruleOverrides, kartIndex) {
+  if (mode === 'cup') startCup(id, ruleOverrides, kartIndex);
+  else selectMap(id, mode, ruleOverrides, kartIndex);
+}
+
+/** Single-player Grand Prix: the cup's maps back to back, points carried over */
+function startCup(cupId, ruleOverrides, kartIndex) {
+  const cup = getCups(cachedMaps).find(c => c.id === cupId);
+  if (!cup) return;
+  activeCup = { state: new CupState(cup), ruleOverrides, kartIndex };
+  selectMap(activeCup.state.mapId, 'cup', ruleOverrides, kartIndex);
+}
+
+/**
+ * @param {string} mapId
+ * @param {'race'|'timeTrial'|'cup'} [mode] - cup: next race of activeCup
+ * @param {object} [ruleOverrides] - per-race rules from the menu, e.g. { laps }
+ * @param {number} [kartIndex] - the player's kart
+ */
+async function selectMap(mapId, mode = 'race', ruleOverrides = {}, kartIndex = DEFAULT_KART) {
   menu.showLoading(mapId);
 
   if (gameCleanup) {
@@ -62,9 +97,11 @@ async function selectMap(mapId) {
   try {
     const mapData = await loadMap(mapId);
     menu.hide();
-    startGame(mapData);
+    startGame(mapData, mode, resolveRaceRules(mapData, ruleOverrides), kartIndex);
   } catch (e) {
     console.error('Failed to load map:', e);
+    activeCup = null;
+    menu.show();
     menu.showMaps(cachedMaps);
   }
 }
@@ -74,50 +111,25 @@ function returnToMenu() {
     gameCleanup();
     gameCleanup = null;
   }
+  activeCup = null;
   renderer.clear();
   menu.show();
   menu.showMaps(cachedMaps);
 }
 
-// --- Helper: init kart game state ---
-function initKartState(kart, sx, sy, sz) {
-  kart.userData.velocity = new THREE.Vector3();
-  kart.userData.speed = 0;
-  kart.userData.steerAngle = 0;
-  kart.userData.grounded = false;
-  kart.userData.stats = { ...KART_DEFAULTS };
-  kart.userData.spawnPoint = { x: sx, y: sy, z: sz };
-  kart.userData.slideActive = false;
-  kart.userData.slideButton = null;
-  kart.userData.slideDir = 0;
-  kart.userData.slideAngle = 0;
-  kart.userData.slideTimer = 0;
-  kart.userData.slideBoosts = 0;
-  kart.userData.boostTimer = 0;
-  kart.userData.boostSpeed = 0;
-  kart.userData.heldItem = null;
-}
+// --- Game ---
 
-function activateItem(kart, tntSystem, missileSystem, allKarts) {
-  const item = kart.userData.heldItem;
-  kart.userData.heldItem = null;
-
-  switch (item) {
-    case 'boost':
-      kart.userData.boostSpeed = 15;
-      kart.userData.boostTimer = 1.6;
-      break;
-    case 'tnt':
-      tntSystem.place(kart);
-      break;
-    case 'missile':
-      missileSystem.fire(kart, allKarts);
-      break;
-  }
-}
+/**
+ * @param {object} mapData
+ * @param {'race'|'timeTrial'|'cup'} mode - time trial: player alone, no item boxes, racing the
+ *   map's best ghost; cup: a race whose results count toward activeCup
+ * @param {object} rules - from resolveRaceRules()
+ * @param {number} playerKart - sprite sheet index of the player's kart
+ */
+function startGame(mapData, mode, rules, playerKart) {
+  const timeTrial = mode === 'timeTrial';
+  const cup = mode === 'cup' ? activeCup.state : null;
 
-// --- Game ---
-function startGame(mapData) {
   const scene = new THREE.Scene();
   scene.background = new THREE.Color(0x87ceeb);
 
@@ -138,17 +150,7 @@ function startGame(mapData) {
   // Track
   const track = createTrackMesh(mapData);
   scene.add(track);
-
-  // Extract obstacle data for physics (plain objects, no Three.js dependency)
-  const obstacles = [];
-  track.traverse((child) => {
-    if (child.isMesh && child.userData.isObstacle) {
-      obstacles.push({
-        position: { x: child.position.x, y: child.position.y, z: child.position.z },
-        halfExtents: { x: child.userData.halfExtents.x, y: child.userData.halfExtents.y, z: child.userData.halfExtents.z },
-      });
-    }
-  });
+  const trackData = new TrackData(mapData);
 
   // Start/finish line
   const startLine = createStartLine(mapData);
@@ -159,84 +161,74 @@ function startGame(mapData) {
   for (const mesh of boostPads.meshes) scene.add(mesh);
 
   // Item boxes
-  const itemBoxes = createItemBoxes(mapData);
+  const itemBoxes = createItemBoxes(timeTrial ? { itemBoxes: [] } : mapData);
   for (const mesh of itemBoxes.meshes) scene.add(mesh);
 
   // World checkpoints
-  let worldCPs = [];
-  if (mapData.checkpoints && mapData.checkpoints.length >= 2) {
-    worldCPs = mapData.checkpoints.map(cp => ({
-      x: (cp.x - mapData.width / 2) * mapData.scale * CELL_SIZE,
-      z: (cp.y - mapData.height / 2) * mapData.scale * CELL_SIZE,
-    }));
-  }
-  debug.setCheckpoints(worldCPs);
-
-  // Spawn position from map start or center
-  let spawnX = 0, spawnZ = 0, spawnAngle = 0;
-  if (mapData.start) {
-    spawnX = (mapData.start.x - mapData.width / 2) * mapData.scale * CELL_SIZE;
-    spawnZ = (mapData.start.y - mapData.height / 2) * mapData.scale * CELL_SIZE;
-    // Map editor stores atan2(dy,dx) where 0=+X; convert to Three.js rotation.y where 0=-Z
-    spawnAngle = -(mapData.start.angle || 0) - Math.PI / 2;
+  debug.setCheckpoints(getWorldCheckpoints(mapData));
+
+  // Grid: player on pole, bots fill the other three slots (none in time trial)
+  // and take turns with the karts the player didn't pick
+  const start = getStartPose(mapData);
+  const gridPositions = getGridPositions(start, getGroundHeight);
+  const slotCount = timeTrial ? 1 : gridPositions.length;
+  const botKarts = [];
+  for (let i = 0; i < KART_COUNT; i++) if (i !== playerKart) botKarts.push(i);
+  if (botKarts.length === 0) botKarts.push(playerKart);
+  const kartIndices = [playerKart];
+  for (let slot = 1; slot < slotCount; slot++) kartIndices.push(botKarts[(slot - 1) % botKarts.length]);
+
+  const racers = [];
+  const allKarts = [];
+  for (let slot = 0; slot < slotCount; slot++) {
+    const sp = gridPositions[slot];
+    const kartIndex = kartIndices[slot];
+    const profile = getKartProfile(kartIndex);
+    const k = createKart(kartIndex);
+    k.position.set(sp.x, sp.y, sp.z);
+    k.rotation.y = start.angle;
+    scene.add(k);
+    scene.add(k.userData.shadow);
+    initKartState(k, sp, kartStatsFromProfile(profile));
+
+    const isPlayer = slot === 0;
+    racers.push({ id: isPlayer ? 'player' : 'bot' + slot, kart: k, isPlayer, isBot: !isPlayer, kartIndex, profile });
+    allKarts.push(k);
   }
+  const kart = allKarts[0];
+
+  // Simulation — fixed-step, seeded; the render loop only feeds it input
+  const seed = randomSeed();
+  const sim = new RaceSimulation({ mapData, trackData, racers, seed, items: !timeTrial, rules });
+  const race = sim.race;
+  const playerInput = new InputLatch();
+  const recorder = new ReplayRecorder({
+    mapId: mapData.id,
+    seed,
+    racers,
+    items: !timeTrial,
+    rules,
+  });
 
-  // Grid offsets: perpendicular and parallel to start angle
-  const perpX = Math.cos(spawnAngle);
-  const perpZ = -Math.sin(spawnAngle);
-  const paraX = -Math.sin(spawnAngle);
-  const paraZ = -Math.cos(spawnAngle);
-  const LATERAL = 3;
-  const FORWARD = 4;
-
-  // Grid positions: [lateral offset, forward offset]
-  // Player front-left, Bot1 front-right, Bot2 back-left, Bot3 back-right
-  const gridSlots = [
-    [-LATERAL, 0],           // player: front-left
-    [LATERAL, 0],            // bot 1: front-right
-    [-LATERAL, -FORWARD],    // bot 2: back-left
-    [LATERAL, -FORWARD],     // bot 3: back-right
-  ];
-
-  // Player kart (kartIndex 1)
-  const kart = createKart(1);
-  const playerSlot = gridSlots[0];
-  const psx = spawnX + perpX * playerSlot[0] + paraX * playerSlot[1];
-  const psz = spawnZ + perpZ * playerSlot[0] + paraZ * playerSlot[1];
-  const psy = getGroundHeight(psx, psz) + 1;
-  kart.position.set(psx, psy, psz);
-  kart.rotation.y = spawnAngle;
-  scene.add(kart);
-  scene.add(kart.userData.shadow);
-  initKartState(kart, psx, psy, psz);
-
-  // Player physics
-  const playerPhysics = new KartPhysics(obstacles);
-
-  // Bot karts
-  const botKartIndices = [0, 2, 0];
-  const bots = [];
-  const allKarts = [kart];
-
-  for (let i = 0; i < 3; i++) {
-    const botKart = createKart(botKartIndices[i]);
-    const slot = gridSlots[i + 1];
-    const bx = spawnX + perpX * slot[0] + paraX * slot[1];
-    const bz = spawnZ + perpZ * slot[0] + paraZ * slot[1];
-    const by = getGroundHeight(bx, bz) + 1;
-    botKart.position.set(bx, by, bz);
-    botKart.rotation.y = spawnAngle;
-    scene.add(botKart);
-    scene.add(botKart.userData.shadow);
-    initKartState(botKart, bx, by, bz);
-
-    const botInput = new BotInput();
-    const botPhysics = new KartPhysics(obstacles);
-    const botCtrl = new BotController(botKart, botInput, worldCPs);
-
-    bots.push({ kart: botKart, input: botInput, physics: botPhysics, controller: botCtrl });
-    allKarts.push(botKart);
-  }
+  // Time trial: the map's best run drives alongside as a ghost (if it ran the same laps)
+  let bestGhost = timeTrial ? loadGhost(mapData.id) : null;
+  if (bestGhost && bestGhost.replay.rules && bestGhost.replay.rules.laps !== rules.laps) bestGhost = null;
+  const ghost = bestGhost && createGhostRunner({
+    scene,
+    ghost: bestGhost,
+    mapData,
+    trackData,
+    spawnPoint: gridPositions[0],
+    angle: start.angle,
+  });
+  const minimapKarts = ghost ? [...allKarts, ghost.kart] : allKarts;
+
+  const stepLoop = new FixedStepLoop(() => {
+    const events = sim.step(new Map([['player', playerInput.take()]]));
+    recorder.capture(sim);
+    if (ghost) ghost.step();
+    for (const evt of events) handleEvent(evt);
+  });
 
   // Skid marks + boost visuals
   const skidMarks = createSkidMarks(allKarts);
@@ -245,35 +237,21 @@ function startGame(mapData) {
   const boostVisuals = createBoostVisuals(allKarts);
   for (const mesh of boostVisuals.meshes) scene.add(mesh);
 
-  // TNT + missile systems
-  const tntSystem = createTNTSystem(scene);
-  const missileSystem = createMissileSystem(scene);
+  // TNT, missiles and anything else items leave on the track
+  const itemVisuals = createItemVisuals(scene);
 
   // Camera
   const camera = new THREE.PerspectiveCamera(65, window.innerWidth / window.innerHeight, 0.1, 2000);
   const cameraCtrl = new CameraController(camera, kart);
 
-  // Finish line: perpendicular to start direction, at spawn position
-  // Normal points in the race-forward direction (the way karts face at start)
-  const finishLine = {
-    x: spawnX,
-    z: spawnZ,
-    nx: -Math.sin(spawnAngle),
-    nz: -Math.cos(spawnAngle),
-  };
-
-  // Race manager
-  const racers = [
-    { kart, isPlayer: true },
-    ...bots.map(b => ({ kart: b.kart, isPlayer: false })),
-  ];
-  const race = new RaceManager(worldCPs, racers, finishLine);
-
   // HUD
   const hud = new RaceHUD();
   hud.updateLap(1, race.totalLaps);
   hud.updatePosition(1);
-  hud.setupMinimap(mapData, finishLine);
+  hud.setupMinimap(mapData, sim.finishLine);
+  if (timeTrial) hud.setupTimeTrial();
+  let shownSplits = 0;
+  let shownLaps = 0;
 
   // Event handlers
   const onResize = () => {
@@ -285,6 +263,7 @@ function startGame(mapData) {
 
   const onKeyDown = (e) => {
     if (e.key === 'Escape') returnToMenu();
+    if (e.key === 'Enter' && resultsTimer >= 0) leaveResults();
     if (e.key === 'F3') {
       e.preventDefault();
       debugVisible = !debugVisible;
@@ -302,22 +281,45 @@ function startGame(mapData) {
   };
   window.addEventListener('keydown', onKeyDown);
 
+  function handleEvent(evt) {
+    if (evt.type === 'item_pickup') itemBoxes.pickup(evt.boxIndex);
+    itemVisuals.handleEvent(evt);
+  }
+
   // Game loop
   let lastTime = performance.now();
   let animFrame = null;
-  let finishTimer = -1; // -1 = not finished yet
+  let finishTimer = -1; // -1 = not finished yet (time trial)
+  let resultsTimer = -1; // -1 = results not shown yet
+  let playerFinished = false;
   const FINISH_DELAY = 5;
+  const RESULTS_DELAY = 15;
 
   function gameLoop(now) {
     animFrame = requestAnimationFrame(gameLoop);
     const dt = Math.min((now - lastTime) / 1000, 0.05);
     lastTime = now;
 
+    // Results screen → return to menu
+    if (resultsTimer >= 0) {
+      resultsTimer -= dt;
+      const secondsLeft = Math.ceil(Math.max(0, resultsTimer));
+      hud.setResultsHint(cup && !cup.done
+        ? `Next race in ${secondsLeft}... (Enter to continue)`
+        : `Returning in ${secondsLeft}... (Enter to continue)`);
+      cameraCtrl.update(dt, input);
+      renderer.render(scene, camera);
+      if (resultsTimer <= 0) leaveResults();
+      return;
+    }
+
     // Finish countdown → return to menu
     if (finishTimer >= 0) {
       finishTimer -= dt;
       const playerState = race.getPlayerState();
-      hud.showFinish(playerState.position, Math.ceil(Math.max(0, finishTimer)));
+      const secondsLeft = Math.ceil(Math.max(0, finishTimer));
+      if (timeTrial) hud.showTimeTrialFinish(playerState.finishTime, bestGhost ? bestGhost.time : null, secondsLeft);
+      else hud.showFinish(playerState.position, secondsLeft);
       cameraCtrl.update(dt, input);
       renderer.render(scene, camera);
       if (finishTimer <= 0) {
@@ -327,96 +329,95 @@ function startGame(mapData) {
       return;
     }
 
-    // 1. Race state (countdown, checkpoints, positions)
-    race.update(dt);
-
-    // 2. Countdown HUD
-    hud.updateCountdown(race.countdownValue);
-
-    // 3. If not frozen: update physics for all karts
-    if (!race.isFrozen()) {
-      // Bot AI
-      for (const bot of bots) {
-        bot.controller.update(dt);
-      }
-
-      // Poll input before physics
-      input.poll();
-
-      // Player physics
-      playerPhysics.update(kart, input, dt);
-
-      // Bot physics
-      for (const bot of bots) {
-        bot.physics.update(bot.kart, bot.input, dt);
+    // 1. Poll input (also during countdown, to consume key events)
+    input.poll();
+    playerInput.sample(input);
+
+    // 2. Simulation: race state, bots, physics, collisions, items — fixed steps
+    stepLoop.advance(dt);
+    if (race.over && !timeTrial) {
+      resultsTimer = RESULTS_DELAY;
+      const results = race.getResults();
+      hud.showResults(results, 'player');
+      if (cup) {
+        cup.addRace(results);
+        hud.showCupStandings(cup.getSummary(), 'player');
       }
+      return;
+    }
 
-      // Kart-to-kart collisions
-      resolveKartCollisions(allKarts);
-
-      // Boost pads
-      boostPads.update(allKarts, dt);
-
-      // Item boxes
-      itemBoxes.update(allKarts, dt);
-
-      // Item activation — player
-      if (input.itemUseTap && kart.userData.heldItem) {
-        activateItem(kart, tntSystem, missileSystem, allKarts);
-      }
-      // Item activation — bots
-      for (const bot of bots) {
-        if (bot.input.itemUseTap && bot.kart.userData.heldItem) {
-          activateItem(bot.kart, tntSystem, missileSystem, allKarts);
-        }
-      }
+    // 3. Countdown HUD
+    hud.updateCountdown(race.countdownValue);
 
-      // TNT boxes + missiles
-      tntSystem.update(allKarts, dt);
-      missileSystem.update(allKarts, dt);
-    } else {
-      // During countdown: still poll input (to consume key events) but don't move
-      input.poll();
-    }
+    // 4. Item visuals
+    itemBoxes.update(dt);
+    itemVisuals.sync(sim.items);
+    itemVisuals.update(dt, allKarts);
 
-    // 4. Camera follows player
+    // 5. Camera follows player
     cameraCtrl.update(dt, input);
 
-    // 5. Sprite frame updates for all karts
-    updateKartFrame(kart, camera, input);
-    for (const bot of bots) {
-      updateKartFrame(bot.kart, camera, bot.input);
+    // 6. Sprite frame updates for all karts
+    for (const r of sim.racers) {
+      updateKartFrame(r.kart, camera, r.bot ? r.bot.input : input);
     }
+    if (ghost) ghost.updateFrame(camera);
 
-    // 5b. Kart visuals (shadows, occlusion)
+    // 6b. Kart visuals (shadows, occlusion)
     for (const k of allKarts) {
       updateKartVisuals(k, camera);
     }
 
-    // 5c. Visual effects
+    // 6c. Visual effects
     skidMarks.update(allKarts, dt);
     boostVisuals.update(allKarts, dt);
 
-    // 6. Render
+    // 7. Render
     renderer.render(scene, camera);
 
-    // 7. HUD updates
+    // 8. HUD updates
     const playerState = race.getPlayerState();
     if (playerState) {
       // Check if player just finished
-      if (playerState.finished && finishTimer < 0) {
+      if (playerState.finished && timeTrial && finishTimer < 0) {
         finishTimer = FINISH_DELAY;
+        recordTimeTrial(playerState);
         return;
       }
+      if (playerState.finished && !playerFinished) {
+        // The kart drives itself while the rest of the field finishes
+        playerFinished = true;
+        sim.setBot('player');
+      }
+    }
+    if (playerFinished) {
+      hud.showFinish(playerState.position, null);
+    } else if (playerState) {
       hud.updateLap(playerState.lap, race.totalLaps);
       hud.updatePosition(playerState.position);
       hud.updateWrongWay(playerState.wrongWay);
+
+      if (timeTrial) {
+        hud.updateTimer(race.raceTime);
+        if (playerState.splits.length > shownSplits) {
+          shownSplits = playerState.splits.length;
+          const i = shownSplits - 1;
+          const ghostSplit = bestGhost ? bestGhost.splits[i] : undefined;
+          hud.showSplit(playerState.splits[i], ghostSplit != null ? playerState.splits[i] - ghostSplit : null);
+        }
+        if (playerState.lapTimes.length > shownLaps) {
+          shownLaps = playerState.lapTimes.length;
+          hud.updateLapTimes(playerState.lapTimes, bestGhost && bestGhost.lapTimes);
+        }
+      }
+      hud.updateBoost(kart.userData);
+      hud.updateItem(kart.userData);
+      hud.updateShield(kart.userData.shieldTimer);
+      hud.updateIncoming(kart, itemVisuals.threats('player'));
     }
-    hud.updateBoost(kart.userData);
-    hud.updateItem(kart.userData.heldItem);
-    hud.updateMinimap(allKarts, kart);
+    hud.updateMinimap(minimapKarts, kart);
 
-    // 8. Debug overlay (if visible)
+    // 9. Debug overlay (if visible)
     if (debugVisible) {
       const fwd = new THREE.Vector3(0, 0, -1).applyQuaternion(kart.quaternion);
       debug.updateDirection(kart.position.x, kart.position.z, fwd.x, fwd.z);
@@ -426,6 +427,24 @@ function startGame(mapData) {
     }
   }
 
+  /** Off the results screen: on to the cup's next race, or back to the menu */
+  function leaveResults() {
+    if (cup && !cup.done) selectMap(cup.mapId, 'cup', activeCup.ruleOverrides, activeCup.kartIndex);
+    else returnToMenu();
+  }
+
+  /** Finished time trial — keep the run as the map's ghost if it beat the best */
+  function recordTimeTrial(playerState) {
+    if (bestGhost && bestGhost.time <= playerState.finishTime) return;
+    saveGhost({
+      mapId: mapData.id,
+      time: playerState.finishTime,
+      lapTimes: playerState.lapTimes.slice(),
+      splits: playerState.splits.slice(),
+      replay: recorder.finish(),
+    });
+  }
+
   animFrame = requestAnimationFrame(gameLoop);
 
   gameCleanup = () => {
@@ -434,15 +453,118 @@ function startGame(mapData) {
     window.removeEventListener('keydown', onKeyDown);
     hud.destroy();
     boostVisuals.destroy();
-    tntSystem.destroy();
-    missileSystem.destroy();
+    itemVisuals.destroy();
+    if (ghost) ghost.destroy();
+    if (recorder.ticks > 0) storeLastReplay(recorder.finish());
   };
 }
 
+// --- Time-trial ghosts ---
+function exportGhost(mapId) {
+  const ghost = loadGhost(mapId);
+  if (!ghost) return;
+  const blob = new Blob([encodeGhost(ghost)], { type: 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `ghost-${mapId}-${formatRaceTime(ghost.time).replace(/[:.]/g, '-')}.json`;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+/** Imported ghosts replace the map's stored ghost, so you race a teammate's run next */
+function importGhost(text) {
+  let ghost;
+  try {
+    ghost = decodeGhost(text);
+  } catch (e) {
+    console.error('Failed to read ghost:', e);
+    menu.setHint(`Could not read ghost: ${e.message}`);
+    return;
+  }
+  if (!cachedMaps.some(m => m.id === ghost.mapId)) {
+    menu.setHint(`Ghost is for unknown map "${ghost.mapId}"`);
+    return;
+  }
+  saveGhost(ghost);
+  menu.showMaps(cachedMaps);
+  menu.setHint(`Imported ${formatRaceTime(ghost.time)} ghost for ${ghost.mapId}`);
+}
+
+// --- Replays ---
+const LAST_REPLAY_KEY = 'kart.lastReplay';
+let lastReplay = null;
+
+try {
+  const saved = localStorage.getItem(LAST_REPLAY_KEY);
+  if (saved) lastReplay = decodeReplay(saved);
+} catch (e) {
+  console.warn('Ignoring stored replay:', e);
+}
+
+function storeLastReplay(replay) {
+  lastReplay = replay;
+  try {
+    localStorage.setItem(LAST_REPLAY_KEY, encodeReplay(replay));
+  } catch (e) {
+    console.warn('Could not store replay:', e);
+  }
+}
+
+function openReplays(error) {
+  const lastLabel = lastReplay
+    ? `${lastReplay.mapId} · ${(lastReplay.ticks / SIM_RATE).toFixed(1)}s`
+    : null;
+  menu.showReplays({
+    lastLabel,
+    error,
+    onWatchLast: () => playReplay(lastReplay),
+    onSaveLast: () => downloadReplay(lastReplay),
+    onLoadFile: (text) => {
+      let replay;
+      try {
+        replay = decodeReplay(text);
+      } catch (e) {
+        console.error('Failed to read replay:', e);
+        openReplays(`Could not read replay: ${e.message}`);
+        return;
+      }
+      playReplay(replay);
+    },
+  });
+}
+
+function downloadReplay(replay) {
+  const blob = new Blob([encodeReplay(replay)], { type: 'application/json' });
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = `replay-${replay.mapId}-${replay.seed.toString(16)}.json`;
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+async function playReplay(replay) {
+  menu.showLoading(replay.mapId);
+
+  if (gameCleanup) {
+    gameCleanup();
+    gameCleanup = null;
+  }
+
+  try {
+    const mapData = await loadMap(replay.mapId);
+    menu.hide();
+    gameCleanup = startReplay({ renderer, input, replay, mapData, onExit: returnToMenu });
+  } catch (e) {
+    console.error('Failed to load replay map:', e);
+    openReplays(`Map "${replay.mapId}" could not be loaded`);
+  }
+}
+
 // --- Multiplayer ---
 let mpConnection = null;
 let mpLobbyUI = null;
 let mpLobbyClient = null;
+let mpGameCleanup = null;
 
 async function enterMultiplayer() {
   menu.hide();
@@ -463,6 +585,12 @@ async function enterMultiplayer() {
     return;
   }
 
+  // Lost for good — a dropped race is only given up on once the server has let the kart go
+  mpConnection.onClose = () => {
+    if (mpGameCleanup) mpGameCleanup();
+    exitMultiplayer();
+  };
+
   // Create lobby UI
   mpLobbyUI = createLobbyUI(cachedMaps);
   mpLobbyUI.show();
@@ -471,11 +599,17 @@ async function enterMultiplayer() {
   mpLobbyClient = new LobbyClient(mpConnection);
 
   mpLobbyUI.setCallbacks({
-    onCreate(name, mapId) {
-      mpLobbyClient.createRoom(name, mapId);
+    onCreate(name, mapId, cupId, { uniqueKarts, password }) {
+      mpLobbyClient.createRoom(name, mapId, cupId, { kartIndex: loadKartChoice(), uniqueKarts, password });
+    },
+    onJoin(roomId, password) {
+      mpLobbyClient.joinRoom(roomId, loadKartChoice(), password);
     },
-    onJoin(roomId) {
-      mpLobbyClient.joinRoom(roomId);
+    onWatch(roomId, password) {
+      mpLobbyClient.watchRoom(roomId, password);
+    },
+    onKartChange(kartIndex) {
+      mpLobbyClient.setKart(kartIndex);
     },
     onRefresh() {
       mpLobbyClient.listRooms();
@@ -483,6 +617,12 @@ async function enterMultiplayer() {
     onReady() {
       mpLobbyClient.toggleReady();
     },
+    onSettingsChange(settings) {
+      mpLobbyClient.setSettings(settings);
+    },
+    onVote(mapId) {
+      mpLobbyClient.voteMap(mapId);
+    },
     onLeave() {
       mpLobbyClient.leaveRoom();
       mpLobbyClient.listRooms();
@@ -496,17 +636,44 @@ async function enterMultiplayer() {
     mpLobbyUI.updateRoomList(rooms);
   };
 
-  mpLobbyClient.onJoined = (roomId) => {
-    mpLobbyUI.showRoom(roomId, roomId);
+  mpLobbyClient.onJoined = (roomId, playerId, spectator) => {
+    mpLobbyUI.showRoom(roomId, roomId, spectator);
   };
 
-  mpLobbyClient.onUpdate = (players) => {
-    mpLobbyUI.updatePlayers(players, mpConnection.playerId);
+  mpLobbyClient.onUpdate = (players, settings, uniqueKarts, spectators) => {
+    mpLobbyUI.updatePlayers(players, mpConnection.playerId, uniqueKarts, spectators, settings.hostId);
+    mpLobbyUI.updateSettings(settings, mpConnection.playerId);
   };
 
+  // Also mid-race, when an admin closes the room
+  mpLobbyClient.onClosed = () => {
+    if (mpGameCleanup) {
+      mpGameCleanup();
+      mpGameCleanup = null;
+      mpLobbyUI.show();
+    }
+    mpLobbyUI.showBrowse();
+    mpLobbyUI.setHint('The room closed');
+    mpLobbyClient.listRooms();
+  };
+
+  mpLobbyClient.onError = (message) => {
+    mpLobbyUI.setHint(message);
+  };
+
+  // Admin announcements; the race HUD picks them up from the connection itself
+  mpConnection.on('server:message', (msg) => {
+    mpLobbyUI.setHint(`Server: ${msg.text}`);
+  });
+
   mpLobbyClient.onGameInit = async (initData) => {
     mpLobbyUI.hide();
-    await startMultiplayerGame({
+    // A cup's next race arrives while the last one's results are still up
+    if (mpGameCleanup) {
+      mpGameCleanup();
+      mpGameCleanup = null;
+    }
+    mpGameCleanup = await startMultiplayerGame({
       renderer,
       input,
       connection: mpConnection,
@@ -520,6 +687,7 @@ async function enterMultiplayer() {
 }
 
 function exitMultiplayer() {
+  mpGameCleanup = null; // the game has already cleaned up after itself
   if (mpLobbyClient) {
     mpLobbyClient.destroy();
     mpLobbyClient = null;
@@ -55,7 +55,7 @@ export async function loadMap(mapId) {
     loadImage(`/maps/${mapId}/heightmap.png`),
   ]);
 
-  const { width, height, scale, start, checkpoints, name } = meta;
+  const { width, height, scale, start, checkpoints, name, laps, checkpointRadius } = meta;
 
   // Parse terrain image
   const terrainData = getImageData(terrainImg);
@@ -112,6 +112,8 @@ export async function loadMap(mapId) {
     scale: scale || 1,
     start,
     checkpoints,
+    laps,
+    checkpointRadius,
     boostPads: boostPads || [],
     itemBoxes: itemBoxes || [],
     terrain,
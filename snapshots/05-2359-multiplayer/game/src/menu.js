@@ -1,7 +1,15 @@
 /**
  * Minimal level-select menu.
- * Dark, monospace, debug-friendly. Number keys for quick select.
+ * Dark, monospace, debug-friendly. Number keys for quick select, T cycles
+ * race / time trial / Grand Prix cups, L cycles the race lap count, K opens
+ * kart select.
  */
+import { getCups } from './cup.js';
+import { openKartSelect, loadKartChoice, getKartName } from './kart-select.js';
+
+const MAX_MENU_LAPS = 9;
+const MODES = ['race', 'timeTrial', 'cup'];
+const MODE_LABELS = { race: 'RACE', timeTrial: 'TIME TRIAL', cup: 'GRAND PRIX' };
 
 const STYLE = `
 #menu {
@@ -52,6 +60,70 @@ const STYLE = `
   font-size: 12px;
   margin-top: 2px;
 }
+.map-row {
+  display: flex;
+  gap: 6px;
+}
+.map-row .map-btn {
+  flex: 1;
+}
+.ghost-btn {
+  background: #222;
+  border: 1px solid #444;
+  color: #888;
+  font-family: monospace;
+  font-size: 12px;
+  padding: 0 10px;
+  cursor: pointer;
+}
+.ghost-btn:hover {
+  border-color: #888;
+  color: #eee;
+}
+#mode-btn {
+  background: #222;
+  border: 1px solid #666;
+  color: #eee;
+  font-family: monospace;
+  font-size: 14px;
+  padding: 8px 16px;
+  cursor: pointer;
+  margin-bottom: 12px;
+  min-width: 300px;
+  letter-spacing: 2px;
+}
+#mode-btn:hover {
+  border-color: #aaa;
+}
+#laps-btn {
+  background: #222;
+  border: 1px solid #444;
+  color: #aaa;
+  font-family: monospace;
+  font-size: 12px;
+  padding: 6px 16px;
+  cursor: pointer;
+  margin-bottom: 12px;
+  min-width: 300px;
+}
+#laps-btn:disabled {
+  color: #555;
+  cursor: default;
+}
+#kart-btn {
+  background: #222;
+  border: 1px solid #444;
+  color: #aaa;
+  font-family: monospace;
+  font-size: 12px;
+  padding: 6px 16px;
+  cursor: pointer;
+  margin-bottom: 12px;
+  min-width: 300px;
+}
+#kart-btn:hover {
+  border-color: #888;
+}
 #mp-btn {
   background: #1a2a3a;
   border: 1px solid #4a8;
@@ -69,6 +141,23 @@ const STYLE = `
   background: #2a3a4a;
   border-color: #6ca;
 }
+#replay-btn {
+  background: #2a2a1a;
+  border: 1px solid #a84;
+  color: #ca6;
+  font-family: monospace;
+  font-size: 16px;
+  padding: 12px 16px;
+  cursor: pointer;
+  text-align: center;
+  margin-top: 8px;
+  min-width: 300px;
+  letter-spacing: 2px;
+}
+#replay-btn:hover {
+  background: #3a3a2a;
+  border-color: #ca6;
+}
 #menu-hint {
   margin-top: 24px;
   color: #555;
@@ -76,7 +165,19 @@ const STYLE = `
 }
 `;
 
-export function createMenu(onSelect, onMultiplayer) {
+/**
+ * @param {(id: string, mode: 'race'|'timeTrial'|'cup', rules: object, kartIndex: number) => void} onSelect
+ *   - id: map id, or cup id (from getCups()) in cup mode
+ *   - rules: per-race overrides (e.g. { laps }); time trials always get {}
+ *   - kartIndex: the player's kart in the sprite sheet
+ * @param {() => void} onMultiplayer
+ * @param {() => void} onReplay
+ * @param {object} [timeTrial] - ghost hooks for time-trial mode
+ * @param {(mapId: string) => string|null} timeTrial.getBestTime - formatted best time, null if no ghost
+ * @param {(mapId: string) => void} timeTrial.onExport
+ * @param {(text: string) => void} timeTrial.onImport - contents of a chosen ghost file
+ */
+export function createMenu(onSelect, onMultiplayer, onReplay, timeTrial) {
   // Inject styles once
   const style = document.createElement('style');
   style.textContent = STYLE;
@@ -86,8 +187,12 @@ export function createMenu(onSelect, onMultiplayer) {
   el.id = 'menu';
   el.innerHTML = `
     <h1>KART</h1>
+    <button id="mode-btn"></button>
+    <button id="laps-btn"></button>
+    <button id="kart-btn"></button>
     <div id="map-list">Loading maps...</div>
     <button id="mp-btn">MULTIPLAYER</button>
+    <button id="replay-btn">REPLAY</button>
     <div id="menu-hint"></div>
   `;
   document.body.appendChild(el);
@@ -95,15 +200,82 @@ export function createMenu(onSelect, onMultiplayer) {
   el.querySelector('#mp-btn').onclick = () => {
     if (onMultiplayer) onMultiplayer();
   };
+  el.querySelector('#replay-btn').onclick = () => {
+    if (onReplay) onReplay();
+  };
 
   let currentMaps = [];
+  let cachedMaps = []; // last list passed to showMaps(), for returning from sub-views
   let loading = false;
+  let mode = 'race';
+  let laps = null; // null = the map's default
+  let kartIndex = loadKartChoice();
+
+  const modeBtn = el.querySelector('#mode-btn');
+  const lapsBtn = el.querySelector('#laps-btn');
+  function updateModeButton() {
+    modeBtn.textContent = `MODE: ${MODE_LABELS[mode]} [T]`;
+    // Time trials always use the map's rules so ghosts stay comparable
+    lapsBtn.disabled = mode === 'timeTrial';
+    lapsBtn.textContent = mode === 'timeTrial' || laps === null
+      ? 'LAPS: MAP DEFAULT [L]'
+      : `LAPS: ${laps} [L]`;
+  }
+  function toggleMode() {
+    mode = MODES[(MODES.indexOf(mode) + 1) % MODES.length];
+    updateModeButton();
+    if (currentMaps.length > 0) menu.showMaps(currentMaps);
+  }
+  function cycleLaps() {
+    if (mode === 'timeTrial') return;
+    laps = laps === null ? 1 : laps >= MAX_MENU_LAPS ? null : laps + 1;
+    updateModeButton();
+  }
+  function select(id) {
+    onSelect(id, mode, mode !== 'timeTrial' && laps !== null ? { laps } : {}, kartIndex);
+  }
+
+  const kartBtn = el.querySelector('#kart-btn');
+  function updateKartButton() {
+    kartBtn.textContent = `KART: ${getKartName(kartIndex).toUpperCase()} [K]`;
+  }
+  function chooseKart() {
+    unbindKeys(); // the select screen takes the keyboard until it closes
+    openKartSelect({
+      kartIndex,
+      onConfirm(i) {
+        kartIndex = i;
+        updateKartButton();
+        bindKeys();
+      },
+      onCancel: bindKeys,
+    });
+  }
+
+  modeBtn.onclick = toggleMode;
+  lapsBtn.onclick = cycleLaps;
+  kartBtn.onclick = chooseKart;
+  updateModeButton();
+  updateKartButton();
 
   function onKeyDown(e) {
     if (loading) return;
+    if (e.key === 't' || e.key === 'T') {
+      toggleMode();
+      return;
+    }
+    if (e.key === 'l' || e.key === 'L') {
+      cycleLaps();
+      return;
+    }
+    if (e.key === 'k' || e.key === 'K') {
+      chooseKart();
+      return;
+    }
     const n = parseInt(e.key);
-    if (n >= 1 && n <= currentMaps.length) {
-      onSelect(currentMaps[n - 1].id);
+    const items = mode === 'cup' ? getCups(currentMaps) : currentMaps;
+    if (n >= 1 && n <= items.length) {
+      select(items[n - 1].id);
     }
   }
 
@@ -116,12 +288,29 @@ export function createMenu(onSelect, onMultiplayer) {
 
   bindKeys();
 
-  return {
+  /** Cup list for Grand Prix mode — each cup's maps under its name */
+  function showCups(list, maps) {
+    const names = new Map(maps.map(m => [m.id, m.name || m.id]));
+    getCups(maps).forEach((cup, i) => {
+      const btn = document.createElement('button');
+      btn.className = 'map-btn';
+      const num = i + 1;
+      btn.innerHTML = `
+        <span class="key">[${num <= 9 ? num : '-'}]</span>${cup.name}
+        <div class="meta">${cup.mapIds.map(id => names.get(id)).join(' &middot; ')}</div>
+      `;
+      btn.onclick = () => select(cup.id);
+      list.appendChild(btn);
+    });
+  }
+
+  const menu = {
     el,
 
     showMaps(maps) {
       loading = false;
       currentMaps = maps;
+      cachedMaps = maps;
       const list = el.querySelector('#map-list');
       const hint = el.querySelector('#menu-hint');
 
@@ -132,24 +321,114 @@ export function createMenu(onSelect, onMultiplayer) {
       }
 
       list.innerHTML = '';
+      if (mode === 'cup') {
+        showCups(list, maps);
+        hint.textContent = 'Press 1-9 to select a cup · T mode · L laps · K kart · ESC during game to return';
+        return;
+      }
+
+      const showGhosts = mode === 'timeTrial' && timeTrial;
+
       maps.forEach((map, i) => {
         const btn = document.createElement('button');
         btn.className = 'map-btn';
         const num = i + 1;
+        const best = showGhosts ? timeTrial.getBestTime(map.id) : null;
         btn.innerHTML = `
           <span class="key">[${num <= 9 ? num : '-'}]</span>${map.name || map.id}
-          <div class="meta">${map.width || '?'}x${map.height || '?'} &middot; ${map.id}/</div>
+          <div class="meta">${map.width || '?'}x${map.height || '?'} &middot; ${map.id}/${best ? ` &middot; best ${best}` : ''}</div>
         `;
-        btn.onclick = () => onSelect(map.id);
-        list.appendChild(btn);
+        btn.onclick = () => select(map.id);
+
+        if (!best) {
+          list.appendChild(btn);
+          return;
+        }
+        const row = document.createElement('div');
+        row.className = 'map-row';
+        row.appendChild(btn);
+        const exportBtn = document.createElement('button');
+        exportBtn.className = 'ghost-btn';
+        exportBtn.textContent = 'export ghost';
+        exportBtn.onclick = () => timeTrial.onExport(map.id);
+        row.appendChild(exportBtn);
+        list.appendChild(row);
       });
 
-      hint.textContent = 'Press 1-9 to select · ESC during game to return';
+      if (showGhosts) {
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.style.display = 'none';
+        fileInput.onchange = async () => {
+          const file = fileInput.files[0];
+          if (file) timeTrial.onImport(await file.text());
+        };
+        list.appendChild(fileInput);
+
+        const importBtn = document.createElement('button');
+        importBtn.className = 'map-btn';
+        importBtn.textContent = 'Import ghost file...';
+        importBtn.onclick = () => fileInput.click();
+        list.appendChild(importBtn);
+      }
+
+      hint.textContent = 'Press 1-9 to select · T mode · L laps · K kart · ESC during game to return';
+    },
+
+    /** Status or error line under the menu */
+    setHint(text) {
+      el.querySelector('#menu-hint').textContent = text;
+    },
+
+    /**
+     * Replay options in place of the map list
+     * @param {object} opts
+     * @param {string|null} opts.lastLabel - description of the last race, null if none
+     * @param {() => void} opts.onWatchLast
+     * @param {() => void} opts.onSaveLast
+     * @param {(text: string) => void} opts.onLoadFile - contents of a chosen replay file
+     * @param {string} [opts.error]
+     */
+    showReplays({ lastLabel, onWatchLast, onSaveLast, onLoadFile, error }) {
+      loading = false;
+      currentMaps = [];
+      const list = el.querySelector('#map-list');
+      const hint = el.querySelector('#menu-hint');
+      list.innerHTML = '';
+
+      const addButton = (label, meta, onClick) => {
+        const btn = document.createElement('button');
+        btn.className = 'map-btn';
+        btn.innerHTML = `${label}${meta ? `<div class="meta">${meta}</div>` : ''}`;
+        btn.onclick = onClick;
+        list.appendChild(btn);
+      };
+
+      if (lastLabel) {
+        addButton('Watch last race', lastLabel, onWatchLast);
+        addButton('Save last race', 'download replay file', onSaveLast);
+      }
+
+      const fileInput = document.createElement('input');
+      fileInput.type = 'file';
+      fileInput.accept = '.json,application/json';
+      fileInput.style.display = 'none';
+      fileInput.onchange = async () => {
+        const file = fileInput.files[0];
+        if (file) onLoadFile(await file.text());
+      };
+      list.appendChild(fileInput);
+      addButton('Load replay file...', null, () => fileInput.click());
+      addButton('Back', null, () => menu.showMaps(cachedMaps));
+
+      hint.textContent = error || (lastLabel ? '' : 'No race recorded yet — finish or quit a race first');
     },
 
     showLoading(mapId) {
       loading = true;
       el.querySelector('#map-list').textContent = `Loading ${mapId}...`;
+      el.querySelector('#menu-hint').textContent = '';
     },
 
     hide() {
@@ -162,4 +441,6 @@ export function createMenu(onSelect, onMultiplayer) {
       bindKeys();
     },
   };
+
+  return menu;
 }
@@ -1,31 +1,37 @@
 /**
- * Multiplayer game loop — parallel to singleplayer startGame()
+ * Multiplayer game loop — parallel to singleplayer startGame().
+ * Spectators (game:init with spectator set) have no kart: every kart is
+ * interpolated, the camera follows any racer or shows the whole track, and
+ * the HUD lists the live standings.
  */
 import * as THREE from 'three';
 import { createTrackMesh, getGroundHeight, CELL_SIZE } from './track.js';
-import { createKart, updateKartFrame } from './kart.js';
+import { createKart, updateKartFrame, getKartProfile } from './kart.js';
+import { kartStatsFromProfile } from './kart-stats.js';
 import { InputManager } from './input.js';
-import { KART_DEFAULTS } from './physics.js';
+import { initKartState, FixedStepLoop, InputLatch, quantizeInput } from './sim/simulation.js';
 import { CameraController } from './camera.js';
 import { loadMap } from './map-loader.js';
-import { RaceHUD } from './hud.js';
+import { RaceHUD, racerName } from './hud.js';
 import { createBoostPads } from './boost-pad.js';
 import { createItemBoxes } from './item-boxes.js';
 import { createSkidMarks } from './skid-marks.js';
 import { createBoostVisuals } from './boost-visual.js';
-import { createTNTSystem } from './tnt.js';
-import { createMissileSystem } from './missile.js';
+import { createItemVisuals } from './item-visuals.js';
 import { createStartLine } from './start-line.js';
 import { updateKartVisuals } from './kart-visuals.js';
 import { GameClient } from './net/game-client.js';
 import { InterpolationBuffer } from './net/interpolation.js';
 import { Prediction } from './net/prediction.js';
 
+const ANNOUNCEMENT_MS = 6000; // how long an admin announcement stays on the HUD
+
 /**
  * Start the multiplayer game loop
  */
 export async function startMultiplayerGame({ renderer, input, connection, initData, onExit }) {
-  const { mapId, playerId, kartAssignments, spawnPositions, spawnAngle } = initData;
+  const { mapId, playerId, kartAssignments, spawnPositions, spawnAngle, rules } = initData;
+  const spectator = !!initData.spectator;
 
   // Load map
   const mapData = await loadMap(mapId);
@@ -69,7 +75,7 @@ export async function startMultiplayerGame({ renderer, input, connection, initDa
   // Boost pads + item boxes (visual only — server handles logic)
   const boostPads = createBoostPads(mapData);
   for (const mesh of boostPads.meshes) scene.add(mesh);
-  const itemBoxes = createItemBoxes(mapData);
+  const itemBoxes = createItemBoxes(initData.items && initData.items.length === 0 ? { itemBoxes: [] } : mapData);
   for (const mesh of itemBoxes.meshes) scene.add(mesh);
 
   // Create karts for all assignments
@@ -85,22 +91,7 @@ export async function startMultiplayerGame({ renderer, input, connection, initDa
     scene.add(kart);
     scene.add(kart.userData.shadow);
 
-    // Init kart state
-    kart.userData.velocity = new THREE.Vector3();
-    kart.userData.speed = 0;
-    kart.userData.steerAngle = 0;
-    kart.userData.grounded = false;
-    kart.userData.stats = { ...KART_DEFAULTS };
-    kart.userData.spawnPoint = { x: sp.x, y: sp.y, z: sp.z };
-    kart.userData.slideActive = false;
-    kart.userData.slideButton = null;
-    kart.userData.slideDir = 0;
-    kart.userData.slideAngle = 0;
-    kart.userData.slideTimer = 0;
-    kart.userData.slideBoosts = 0;
-    kart.userData.boostTimer = 0;
-    kart.userData.boostSpeed = 0;
-    kart.userData.heldItem = null;
+    initKartState(kart, sp, kartStatsFromProfile(assignment.profile || getKartProfile(assignment.kartIndex)));
 
     const isLocal = assignment.playerId === playerId;
     kartMap.set(assignment.playerId, { kart, isLocal });
@@ -116,12 +107,36 @@ export async function startMultiplayerGame({ renderer, input, connection, initDa
   for (const mesh of skidMarks.meshes) scene.add(mesh);
   const boostVisuals = createBoostVisuals(allKarts);
   for (const mesh of boostVisuals.meshes) scene.add(mesh);
-  const tntSystem = createTNTSystem(scene);
-  const missileSystem = createMissileSystem(scene);
+  const itemVisuals = createItemVisuals(scene);
+
+  // Joined mid-race (a reconnect or a late spectator) — the item events before now were missed
+  if (initData.state) {
+    itemBoxes.sync(initData.state.itemBoxes);
+    itemVisuals.reset(initData.state.items);
+  }
 
-  // Camera
+  // Camera — spectators follow a racer of their choice or look down on the track
+  const racerIds = kartAssignments.map(a => a.playerId);
+  let followIndex = 0;
+  let overview = false;
   const camera = new THREE.PerspectiveCamera(65, window.innerWidth / window.innerHeight, 0.1, 2000);
-  const cameraCtrl = new CameraController(camera, localKart);
+  const cameraCtrl = new CameraController(camera, localKart || kartMap.get(racerIds[0]).kart);
+
+  function followRacer(step) {
+    followIndex = (followIndex + step + racerIds.length) % racerIds.length;
+    overview = false;
+    cameraCtrl.setTarget(kartMap.get(racerIds[followIndex]).kart);
+  }
+
+  // High above the track's centre (maps are centred on the origin), framing all of it
+  function placeOverviewCamera() {
+    const worldW = mapData.width * mapData.scale * CELL_SIZE;
+    const worldD = mapData.height * mapData.scale * CELL_SIZE;
+    const halfFov = THREE.MathUtils.degToRad(camera.fov / 2);
+    const height = Math.max(worldD, worldW / camera.aspect) / 2 / Math.tan(halfFov) * 1.1;
+    camera.position.set(0, height, height * 0.3);
+    camera.lookAt(0, 0, 0);
+  }
 
   // Finish line for HUD
   let spawnX = 0, spawnZ = 0;
@@ -138,19 +153,39 @@ export async function startMultiplayerGame({ renderer, input, connection, initDa
 
   // HUD
   const hud = new RaceHUD();
-  hud.updateLap(1, 3);
+  hud.updateLap(1, rules.laps);
   hud.updatePosition(1);
   hud.setupMinimap(mapData, finishLine);
+  if (spectator) hud.setupSpectator();
 
   // Networking
   const gameClient = new GameClient(connection);
-  const interpBuffer = new InterpolationBuffer();
+  const interpBuffer = new InterpolationBuffer(kartAssignments.map(a => a.playerId), () => connection.serverNow());
   const prediction = new Prediction(obstacles);
 
   gameClient.onSnapshot = (snapshot) => {
-    interpBuffer.push(snapshot);
+    const tick = interpBuffer.push(snapshot);
+    if (tick !== null) gameClient.ackSnapshot(tick);
   };
 
+  // Server-authoritative standings once the race is over
+  let results = null;
+  let cup = null; // cup summary, when the room is racing a cup
+  gameClient.onResults = (r, c) => {
+    results = r;
+    cup = c;
+  };
+
+  // Local prediction runs in fixed simulation steps, one input (seq) per step
+  const localInput = new InputLatch();
+  let serverFrozen = true; // countdown running on the server
+  const predictLoop = new FixedStepLoop(() => {
+    const seq = gameClient.nextSeq();
+    const stepInput = quantizeInput(localInput.take()); // same values the server will simulate
+    if (localKart) prediction.step(localKart, seq, stepInput, serverFrozen);
+    gameClient.queueInput(seq, stepInput);
+  });
+
   // Events
   const onResize = () => {
     camera.aspect = window.innerWidth / window.innerHeight;
@@ -161,8 +196,12 @@ export async function startMultiplayerGame({ renderer, input, connection, initDa
 
   let exitRequested = false;
   const onKeyDown = (e) => {
-    if (e.key === 'Escape') {
+    if (e.key === 'Escape' || (e.key === 'Enter' && resultsTimer >= 0 && !(cup && cup.nextMapId))) {
       exitRequested = true;
+    } else if (spectator && resultsTimer < 0) {
+      if (e.key === 'ArrowLeft' || e.key === 'a' || e.key === 'A') followRacer(-1);
+      else if (e.key === 'ArrowRight' || e.key === 'd' || e.key === 'D') followRacer(1);
+      else if (e.key === 'v' || e.key === 'V') overview = !overview;
     }
   };
   window.addEventListener('keydown', onKeyDown);
@@ -170,8 +209,9 @@ export async function startMultiplayerGame({ renderer, input, connection, initDa
   // Game loop
   let lastTime = performance.now();
   let animFrame = null;
-  let finishTimer = -1;
-  const FINISH_DELAY = 5;
+  let finished = false;
+  let resultsTimer = -1; // -1 = results not shown yet
+  const RESULTS_DELAY = 15;
   let latestRace = null;
 
   function gameLoop(now) {
@@ -185,30 +225,61 @@ export async function startMultiplayerGame({ renderer, input, connection, initDa
       return;
     }
 
+    // Results screen → exit
+    if (results && resultsTimer < 0) {
+      resultsTimer = RESULTS_DELAY;
+      const localId = spectator ? null : playerId;
+      hud.showResults(results, localId);
+      if (cup) hud.showCupStandings(cup, localId);
+    }
+    if (resultsTimer >= 0) {
+      cameraCtrl.update(dt, input);
+      renderer.render(scene, camera);
+      // Mid-cup the server sends the next game:init; main.js swaps games then
+      if (cup && cup.nextMapId) {
+        hud.setResultsHint(`Next race: ${cup.nextMapId} — starting soon... (Esc to leave)`);
+        return;
+      }
+      resultsTimer -= dt;
+      hud.setResultsHint(`Returning in ${Math.ceil(Math.max(0, resultsTimer))}... (Enter to continue)`);
+      if (resultsTimer <= 0) {
+        cleanup();
+        onExit();
+      }
+      return;
+    }
+
     // 1. Poll input
     input.poll();
+    localInput.sample(input);
 
-    // 2. Send input to server (rate-limited)
-    gameClient.maybeSendInput(input, now);
+    // 2. Prediction: one fixed step per input for instant feedback (spectators send none)
+    // While the connection is resuming the server's bot drives; the new game:init takes over
+    if (!spectator && !connection.reconnecting) predictLoop.advance(dt);
+    hud.setNotice(connection.reconnecting ? 'RECONNECTING...' : '');
+    const announcement = connection.announcement;
+    hud.setAnnouncement(announcement && now - announcement.time < ANNOUNCEMENT_MS ? announcement.text : '');
 
-    // 3. Prediction: apply local physics for instant feedback + blend corrections
-    if (localKart) {
-      prediction.applyLocal(localKart, input, dt);
-    }
+    // 3. Send queued inputs to server (rate-limited) — or just the snapshot ack
+    gameClient.flush(now);
 
-    // 4. Check for new server snapshot → compare with prediction
+    // 4. New server snapshot → rewind to it and replay unacknowledged inputs
     const rawSnap = interpBuffer.getLatestForReconciliation();
-    if (rawSnap && localKart) {
-      const localState = rawSnap.karts.find(k => k.id === playerId);
+    if (rawSnap) {
+      if (rawSnap.race) serverFrozen = rawSnap.race.frozen;
+      const localState = localKart && rawSnap.karts.find(k => k.id === playerId);
       if (localState) {
-        prediction.onServerState(localKart, localState);
+        prediction.onServerState(localKart, localState, rawSnap.lastInputSeq, serverFrozen);
       }
     }
+    if (localKart) prediction.updateVisual(localKart, dt);
 
     // 5. Get interpolated state for remote karts + events + race HUD
     const interpState = interpBuffer.getInterpolatedState();
 
     if (interpState) {
+      gameClient.viewTick = interpState.renderTick; // reported with our inputs for lag compensation
+
       // Apply interpolated positions to remote karts only
       for (const kartState of interpState.karts) {
         const entry = kartMap.get(kartState.id);
@@ -226,6 +297,11 @@ export async function startMultiplayerGame({ renderer, input, connection, initDa
         kart.userData.boostTimer = kartState.boostTimer;
         kart.userData.grounded = kartState.grounded;
         kart.userData.heldItem = kartState.heldItem;
+        kart.userData.heldCount = kartState.heldCount;
+        kart.userData.reserveItem = kartState.reserveItem;
+        kart.userData.reserveCount = kartState.reserveCount;
+        kart.userData.itemRoulette = kartState.itemRoulette;
+        kart.userData.shieldTimer = kartState.shieldTimer;
       }
 
       // Handle events (fired exactly once per event)
@@ -239,44 +315,36 @@ export async function startMultiplayerGame({ renderer, input, connection, initDa
       }
     }
 
-    // HUD from latest race state
+    // HUD from latest race state — our racer, or the one a spectator follows
+    const focusId = spectator ? racerIds[followIndex] : playerId;
     if (latestRace) {
       hud.updateCountdown(latestRace.countdownValue);
-      const myRacer = latestRace.racers.find(r => r.kartId === playerId);
+      const myRacer = latestRace.racers.find(r => r.kartId === focusId);
       if (myRacer) {
-        if (myRacer.finished && finishTimer < 0) {
-          finishTimer = FINISH_DELAY;
+        // Finished: wait for the server's results, the race goes on behind the overlay
+        if (myRacer.finished && !spectator) finished = true;
+        if (finished) {
+          hud.showFinish(myRacer.position, null);
+        } else {
+          hud.updateLap(Math.min(myRacer.lap, rules.laps), rules.laps);
+          hud.updatePosition(myRacer.position);
+          hud.updateWrongWay(myRacer.wrongWay);
         }
-        hud.updateLap(myRacer.lap, 3);
-        hud.updatePosition(myRacer.position);
-        hud.updateWrongWay(myRacer.wrongWay);
       }
+      if (spectator) hud.updateStandings(latestRace.racers, focusId, rules.laps);
     }
-
-    // Finish countdown
-    if (finishTimer >= 0) {
-      finishTimer -= dt;
-      const myRacer = latestRace?.racers?.find(r => r.kartId === playerId);
-      if (myRacer) {
-        hud.showFinish(myRacer.position, Math.ceil(Math.max(0, finishTimer)));
-      }
-      cameraCtrl.update(dt, input);
-      renderer.render(scene, camera);
-      if (finishTimer <= 0) {
-        cleanup();
-        onExit();
-        return;
-      }
-      return;
+    if (spectator) {
+      hud.updateSpectating((overview ? 'OVERVIEW' : `WATCHING ${racerName(focusId, null)}`)
+        + '  ·  ←/→ racer  ·  V overview  ·  Esc leave');
     }
 
-    // 6. Update visual-only item systems (missiles move, TNTs tick lifetime)
-    //    Pass empty array for collision so they don't modify kart state.
-    tntSystem.update([], dt);
-    missileSystem.update([], dt);
+    // 6. Update visual-only item systems (boxes bob, missiles fly, TNTs tick lifetime)
+    itemBoxes.update(dt);
+    itemVisuals.update(dt, allKarts);
 
-    // 7. Camera follows local kart
-    cameraCtrl.update(dt, input);
+    // 7. Camera follows local kart (or the followed racer)
+    if (overview) placeOverviewCamera();
+    else cameraCtrl.update(dt, input);
 
     // 8. Sprite frame updates
     for (const [id, entry] of kartMap) {
@@ -297,34 +365,24 @@ export async function startMultiplayerGame({ renderer, input, connection, initDa
     renderer.render(scene, camera);
 
     // 12. HUD extras
-    if (localKart) {
+    const focusKart = spectator ? kartMap.get(focusId).kart : localKart;
+    if (localKart && !finished) {
       hud.updateBoost(localKart.userData);
-      hud.updateItem(localKart.userData.heldItem);
+      hud.updateItem(localKart.userData);
+      hud.updateShield(localKart.userData.shieldTimer);
+      hud.updateIncoming(localKart, itemVisuals.threats(playerId));
+    } else if (spectator) {
+      hud.updateItem(focusKart.userData);
+      hud.updateShield(focusKart.userData.shieldTimer);
+      hud.updateIncoming(focusKart, itemVisuals.threats(focusId));
     }
-    hud.updateMinimap(allKarts, localKart);
+    hud.updateMinimap(allKarts, focusKart);
+    hud.updateNetStats(connection.rtt, interpBuffer.jitter, interpBuffer.delay);
   }
 
   function handleEvent(evt) {
-    switch (evt.type) {
-      case 'tnt_place': {
-        const entry = kartMap.get(evt.kartId);
-        if (entry) tntSystem.place(entry.kart);
-        break;
-      }
-      case 'tnt_detonate': {
-        // Server handled the explosion — TNT visual will auto-despawn via lifetime
-        break;
-      }
-      case 'missile_fire': {
-        const entry = kartMap.get(evt.kartId);
-        if (entry) missileSystem.fire(entry.kart, allKarts);
-        break;
-      }
-      case 'missile_hit': {
-        // Server handled the hit — missile visual will auto-despawn via lifetime
-        break;
-      }
-    }
+    if (evt.type === 'item_pickup') itemBoxes.pickup(evt.boxIndex);
+    itemVisuals.handleEvent(evt);
   }
 
   animFrame = requestAnimationFrame(gameLoop);
@@ -335,8 +393,7 @@ export async function startMultiplayerGame({ renderer, input, connection, initDa
     window.removeEventListener('keydown', onKeyDown);
     hud.destroy();
     boostVisuals.destroy();
-    tntSystem.destroy();
-    missileSystem.destroy();
+    itemVisuals.destroy();
     gameClient.destroy();
   }
 
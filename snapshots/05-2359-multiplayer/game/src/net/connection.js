@@ -1,40 +1,202 @@
 /**
- * WebSocket wrapper — connect, send, typed message handlers
+ * WebSocket wrapper — connect, send, typed message handlers.
+ * Binary frames (snapshots) go to the 'binary' handler as ArrayBuffers.
+ *
+ * Snapshots arrive in the compact binary format unless the page is opened
+ * with ?netjson, which asks the server for plain JSON to read in devtools.
+ *
+ * If the socket drops, the connection keeps reconnecting for as long as the
+ * server holds our kart (welcome's reconnectGraceMs) and hands the session
+ * token back in its hello; handlers stay registered across the reconnect.
+ * onClose only fires once the connection is lost for good — straight away
+ * if the server kicked us.
+ *
+ * The latest server:message (an admin announcement) is kept in `announcement`
+ * for whichever screen is up to show.
+ *
+ * Clock sync: pings carry an id, pongs the server's performance.now(). Of the
+ * last few exchanges, the one with the shortest round trip gives the clock
+ * offset (its one-way delays are the most likely to be even); serverNow()
+ * applies it. The welcome's serverTime is the first guess.
  */
+import { SNAPSHOT_VERSION } from './snapshot-codec.js';
+
+const RECONNECT_INTERVAL = 1000; // ms between reconnect attempts
+const KICK_CLOSE_CODE = 4001; // must match server/lobby.js
+const PING_INTERVAL = 2000; // ms between clock-sync pings
+const FAST_PINGS = 5; // the first pings after connecting go out quicker...
+const FAST_PING_INTERVAL = 200; // ...this often
+const CLOCK_SAMPLES = 8; // round trips kept; the shortest sets the offset
+
 export class Connection {
   constructor() {
     this.ws = null;
+    this.url = null;
     this.handlers = new Map();
     this.onClose = null;
     this.playerId = null;
+    this.token = null; // session token from the welcome
+    this.reconnectGraceMs = 0;
+    this.snapshotFormat = 'json'; // settled in the welcome handshake
+    this._resumeToken = null; // set while reconnecting
+    this.announcement = null; // { text, time } of the latest server:message
+    this.rtt = 0; // ms, mean of the kept clock samples
+    this._clockOffset = 0; // server clock - our clock, ms
+    this._clockSamples = []; // { rtt, offset }, oldest first
+    this._pingsSent = new Map(); // ping id → performance.now() when sent
+    this._nextPingId = 1;
+    this._pingTimer = null;
+    this._closed = false;
   }
 
   connect(url) {
-    return new Promise((resolve, reject) => {
-      this.ws = new WebSocket(url);
+    this.url = url;
+    return this._open();
+  }
 
-      this.ws.onopen = () => resolve();
-      this.ws.onerror = (e) => reject(e);
+  _open() {
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(this.url);
+      ws.binaryType = 'arraybuffer';
+      this.ws = ws;
+      let opened = false;
 
-      this.ws.onmessage = (e) => {
-        try {
-          const msg = JSON.parse(e.data);
-          if (msg.type === 'welcome') {
-            this.playerId = msg.playerId;
-          }
-          const handler = this.handlers.get(msg.type);
-          if (handler) handler(msg);
-        } catch (err) {
-          console.error('Bad server message:', err);
-        }
+      ws.onopen = () => {
+        opened = true;
+        this._startPings();
+        resolve();
       };
+      ws.onerror = (e) => reject(e);
+      ws.onmessage = (e) => this._onMessage(e);
 
-      this.ws.onclose = () => {
-        if (this.onClose) this.onClose();
+      ws.onclose = (e) => {
+        // A socket that never opened already rejected
+        if (!opened || this.ws !== ws) return;
+        this.ws = null;
+        if (e.code === KICK_CLOSE_CODE) {
+          console.warn('Kicked by the server:', e.reason);
+          this._closed = true;
+          if (this.onClose) this.onClose();
+          return;
+        }
+        this._dropped();
       };
     });
   }
 
+  _onMessage(e) {
+    if (e.data instanceof ArrayBuffer) {
+      const handler = this.handlers.get('binary');
+      if (handler) handler(e.data);
+      return;
+    }
+    try {
+      const msg = JSON.parse(e.data);
+      switch (msg.type) {
+        case 'welcome':
+          // While resuming, our id and token come back with 'resumed'
+          if (!this._resumeToken) {
+            this.playerId = msg.playerId;
+            this.token = msg.token || null;
+          }
+          this.reconnectGraceMs = msg.reconnectGraceMs || 0;
+          if (this._clockSamples.length === 0 && Number.isFinite(msg.serverTime)) {
+            this._clockOffset = msg.serverTime - performance.now();
+          }
+          this._hello(msg);
+          break;
+        case 'pong':
+          this._onPong(msg);
+          return;
+        case 'resumed':
+          this.playerId = msg.playerId;
+          this._resumeToken = null;
+          break;
+        case 'server:message':
+          this.announcement = { text: String(msg.text), time: performance.now() };
+          break;
+        case 'resume:failed':
+          // The server let our kart go — nothing to come back to
+          this._resumeToken = null;
+          this.close();
+          if (this.onClose) this.onClose();
+          return;
+      }
+      const handler = this.handlers.get(msg.type);
+      if (handler) handler(msg);
+    } catch (err) {
+      console.error('Bad server message:', err);
+    }
+  }
+
+  /** Answer the welcome: binary snapshots if we speak the server's version */
+  _hello(welcome) {
+    const wantsJson = new URLSearchParams(location.search).has('netjson');
+    const binary = !wantsJson
+      && (welcome.snapshotFormats || []).includes('binary')
+      && welcome.snapshotVersion === SNAPSHOT_VERSION;
+    this.snapshotFormat = binary ? 'binary' : 'json';
+    this.send({ type: 'hello', snapshotFormat: this.snapshotFormat, resumeToken: this._resumeToken || undefined });
+  }
+
+  /** The socket dropped: keep trying to resume the session while the server holds it */
+  async _dropped() {
+    if (this._closed) return;
+    if (!this.token || !this.reconnectGraceMs) {
+      if (this.onClose) this.onClose();
+      return;
+    }
+    this._resumeToken = this.token;
+
+    const giveUpAt = performance.now() + this.reconnectGraceMs;
+    while (!this._closed && performance.now() < giveUpAt) {
+      await new Promise(resolve => setTimeout(resolve, RECONNECT_INTERVAL));
+      if (this._closed) return;
+      try {
+        await this._open();
+        return; // the hello carries the token
+      } catch (e) {
+        // Server still unreachable — try again
+      }
+    }
+    if (!this._closed && this.onClose) this.onClose();
+  }
+
+  /** Ping a few times in quick succession for a first offset, then every PING_INTERVAL */
+  _startPings() {
+    clearTimeout(this._pingTimer);
+    let sent = 0;
+    const ping = () => {
+      if (this._closed || !this.connected) return;
+      const id = this._nextPingId++;
+      this._pingsSent.set(id, performance.now());
+      this.send({ type: 'ping', id });
+      sent++;
+      this._pingTimer = setTimeout(ping, sent < FAST_PINGS ? FAST_PING_INTERVAL : PING_INTERVAL);
+    };
+    ping();
+  }
+
+  _onPong(msg) {
+    const sentAt = this._pingsSent.get(msg.id);
+    if (sentAt === undefined || !Number.isFinite(msg.serverTime)) return;
+    for (const id of this._pingsSent.keys()) if (id <= msg.id) this._pingsSent.delete(id);
+    const now = performance.now();
+    const rtt = now - sentAt;
+    this._clockSamples.push({ rtt, offset: msg.serverTime + rtt / 2 - now });
+    if (this._clockSamples.length > CLOCK_SAMPLES) this._clockSamples.shift();
+
+    let best = this._clockSamples[0];
+    for (const s of this._clockSamples) if (s.rtt < best.rtt) best = s;
+    this._clockOffset = best.offset;
+    this.rtt = this._clockSamples.reduce((sum, s) => sum + s.rtt, 0) / this._clockSamples.length;
+  }
+
+  /** The server's performance.now(), estimated */
+  serverNow() {
+    return performance.now() + this._clockOffset;
+  }
+
   on(type, handler) {
     this.handlers.set(type, handler);
   }
@@ -50,6 +212,8 @@ export class Connection {
   }
 
   close() {
+    this._closed = true;
+    clearTimeout(this._pingTimer);
     if (this.ws) {
       this.ws.close();
       this.ws = null;
@@ -59,4 +223,9 @@ export class Connection {
   get connected() {
     return this.ws && this.ws.readyState === WebSocket.OPEN;
   }
+
+  /** Socket lost, trying to get our session back */
+  get reconnecting() {
+    return this._resumeToken !== null;
+  }
 }
@@ -1,5 +1,9 @@
 /**
- * In-game networking: send inputs at 20Hz, receive snapshots, accumulate tap inputs
+ * In-game networking: one input per simulation step, batched and sent at 20Hz
+ * along with the newest snapshot tick decoded (the server's delta baseline)
+ * and the tick remote karts were shown at (for lag-compensated item hits);
+ * receive snapshots (JSON objects or binary ArrayBuffers) and the final results.
+ * Spectators queue no inputs and send the ack on its own.
  */
 const SEND_RATE = 20; // Hz
 const SEND_INTERVAL = 1000 / SEND_RATE;
@@ -10,56 +14,76 @@ export class GameClient {
     this.seq = 0;
     this.lastSendTime = 0;
     this.onSnapshot = null;
+    this.onResults = null;
+    this.ackTick = -1; // newest snapshot tick decoded
+    this._sentAckTick = -1; // ackTick the server last heard about
+    this.viewTick = null; // server tick remote karts are currently drawn at
 
-    // Tap accumulation: latch between sends
-    this._pendingHopZTap = false;
-    this._pendingHopXTap = false;
-    this._pendingItemUseTap = false;
+    // Inputs queued since the last send — consecutive seqs starting at _pendingSeq
+    this._pending = [];
+    this._pendingSeq = 0;
+    this._pendingViewTick = null; // viewTick when _pending[0] was made
 
     this.conn.on('snapshot', (msg) => {
       if (this.onSnapshot) this.onSnapshot(msg);
     });
+    this.conn.on('binary', (buffer) => {
+      if (this.onSnapshot) this.onSnapshot(buffer);
+    });
+    this.conn.on('game:results', (msg) => {
+      if (this.onResults) this.onResults(msg.results, msg.cup || null);
+    });
+  }
+
+  /** Sequence number for the next simulation step's input */
+  nextSeq() {
+    return ++this.seq;
+  }
+
+  /** Queue the input used for simulation step `seq` */
+  queueInput(seq, input) {
+    if (this._pending.length === 0) {
+      this._pendingSeq = seq;
+      this._pendingViewTick = this.viewTick;
+    }
+    this._pending.push(input);
+  }
+
+  /** Tell the server a snapshot was decoded, so later ones can be deltas against it */
+  ackSnapshot(tick) {
+    if (tick > this.ackTick) this.ackTick = tick;
   }
 
   /**
-   * Called every frame with current input state.
-   * Accumulates taps and sends at 20Hz.
+   * Called every frame. Sends queued inputs at 20Hz as
+   * { type: 'input', seq: <first seq>, inputs: [...], ack: <snapshot tick>, view: <tick> },
+   * or just { type: 'ack', ack } when there are no inputs but a newer snapshot.
    */
-  maybeSendInput(input, now) {
-    // Accumulate taps
-    if (input.hopZTap) this._pendingHopZTap = true;
-    if (input.hopXTap) this._pendingHopXTap = true;
-    if (input.itemUseTap) this._pendingItemUseTap = true;
-
-    if (now - this.lastSendTime < SEND_INTERVAL) return null;
+  flush(now) {
+    if (now - this.lastSendTime < SEND_INTERVAL) return;
+    if (this._pending.length === 0) {
+      if (this.ackTick === this._sentAckTick) return;
+      this.lastSendTime = now;
+      this._sentAckTick = this.ackTick;
+      this.conn.send({ type: 'ack', ack: this.ackTick });
+      return;
+    }
     this.lastSendTime = now;
-
-    this.seq++;
-    const payload = {
-      accel: input.accel,
-      steer: input.steer,
-      hopZ: input.hopZ,
-      hopX: input.hopX,
-      hopZTap: this._pendingHopZTap,
-      hopXTap: this._pendingHopXTap,
-      itemUseTap: this._pendingItemUseTap,
-    };
+    this._sentAckTick = this.ackTick;
 
     this.conn.send({
       type: 'input',
-      seq: this.seq,
-      input: payload,
+      seq: this._pendingSeq,
+      inputs: this._pending,
+      ack: this.ackTick,
+      view: this._pendingViewTick ?? undefined,
     });
-
-    // Clear tap accumulation
-    this._pendingHopZTap = false;
-    this._pendingHopXTap = false;
-    this._pendingItemUseTap = false;
-
-    return { seq: this.seq, input: payload };
+    this._pending = [];
   }
 
   destroy() {
     this.conn.off('snapshot');
+    this.conn.off('binary');
+    this.conn.off('game:results');
   }
 }
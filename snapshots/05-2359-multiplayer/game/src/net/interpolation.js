@@ -1,21 +1,58 @@
 /**
- * Snapshot buffer + lerp between two snapshots at 100ms delay
+ * Snapshot buffer + lerp between two snapshots, a little behind the server.
+ * Binary snapshots are decoded here, into the same shape JSON ones have.
+ *
+ * Snapshots are placed on the server clock by the time stamped on them, and
+ * rendered at the estimated server time minus a delay, so arrival jitter
+ * doesn't bend the timeline. The delay follows the measured jitter: one
+ * snapshot interval plus JITTER_HEADROOM jitters, eased toward over a second
+ * or so to avoid visible jumps.
  */
-const INTERP_DELAY = 100; // ms behind latest snapshot
+import { SnapshotDecoder } from './snapshot-codec.js';
+
+const SNAPSHOT_INTERVAL = 50; // ms between server snapshots (20Hz)
+const MIN_DELAY = SNAPSHOT_INTERVAL + 10; // ms behind the server clock
+const MAX_DELAY = 250;
+const JITTER_HEADROOM = 3; // jitters of delay on top of one snapshot interval
+const DELAY_ADAPT_RATE = 1; // per second, fraction of the gap to the target delay closed
 
 export class InterpolationBuffer {
-  constructor() {
+  /**
+   * @param {string[]} kartIds - in grid order, to name the karts of binary snapshots
+   * @param {() => number} serverNow - estimated server clock, ms (Connection.serverNow)
+   */
+  constructor(kartIds, serverNow) {
+    this.decoder = new SnapshotDecoder(kartIds);
+    this.serverNow = serverNow;
     this.snapshots = []; // { serverTime, karts, race, events, eventsConsumed }
     this.snapshotCount = 0;
+    this.jitter = 0; // ms, smoothed variation in snapshot transit time (RFC 3550)
+    this.delay = MIN_DELAY; // ms the render time trails the server clock
+    this._lastTransit = null;
+    this._lastRenderAt = null;
     this._lastReconcileTick = -1;
   }
 
+  /**
+   * @param {object|ArrayBuffer} snapshot - JSON snapshot message or binary frame
+   * @returns {number|null} the snapshot's tick, null if it couldn't be decoded
+   */
   push(snapshot) {
-    const now = performance.now();
+    if (snapshot instanceof ArrayBuffer) {
+      snapshot = this.decoder.decode(snapshot);
+      if (!snapshot) return null;
+    }
     this.snapshotCount++;
 
+    // Transit time is off by the clock offset's error, but that cancels out in the jitter
+    const transit = this.serverNow() - snapshot.time;
+    if (this._lastTransit !== null) {
+      this.jitter += (Math.abs(transit - this._lastTransit) - this.jitter) / 16;
+    }
+    this._lastTransit = transit;
+
     this.snapshots.push({
-      serverTime: now,
+      serverTime: snapshot.time,
       karts: snapshot.karts,
       race: snapshot.race,
       events: snapshot.events || [],
@@ -28,6 +65,7 @@ export class InterpolationBuffer {
     if (this.snapshots.length > 30) {
       this.snapshots.shift();
     }
+    return snapshot.tick;
   }
 
   /**
@@ -40,12 +78,26 @@ export class InterpolationBuffer {
         const snap = this.snapshots[0];
         const events = snap.eventsConsumed ? [] : snap.events;
         snap.eventsConsumed = true;
-        return { karts: snap.karts, race: snap.race, events, tick: snap.tick, lastInputSeq: snap.lastInputSeq, t: 1 };
+        return {
+          karts: snap.karts,
+          race: snap.race,
+          events,
+          tick: snap.tick,
+          renderTick: snap.tick,
+          lastInputSeq: snap.lastInputSeq,
+          t: 1,
+        };
       }
       return null;
     }
 
-    const renderTime = performance.now() - INTERP_DELAY;
+    const now = performance.now();
+    if (this._lastRenderAt !== null) {
+      const target = Math.max(MIN_DELAY, Math.min(MAX_DELAY, SNAPSHOT_INTERVAL + JITTER_HEADROOM * this.jitter));
+      this.delay += (target - this.delay) * Math.min(1, (now - this._lastRenderAt) / 1000 * DELAY_ADAPT_RATE);
+    }
+    this._lastRenderAt = now;
+    const renderTime = this.serverNow() - this.delay;
 
     // Find the two snapshots to interpolate between
     let from = this.snapshots[0];
@@ -86,6 +138,11 @@ export class InterpolationBuffer {
         boostTimer: fromK.boostTimer + (toK.boostTimer - fromK.boostTimer) * t,
         grounded: t >= 0.5 ? toK.grounded : fromK.grounded,
         heldItem: toK.heldItem,
+        heldCount: toK.heldCount,
+        reserveItem: toK.reserveItem,
+        reserveCount: toK.reserveCount,
+        itemRoulette: toK.itemRoulette,
+        shieldTimer: toK.shieldTimer,
         velocityY: fromK.velocityY + (toK.velocityY - fromK.velocityY) * t,
       };
     });
@@ -95,7 +152,7 @@ export class InterpolationBuffer {
     for (const snap of this.snapshots) {
       if (!snap.eventsConsumed && snap.events.length > 0) {
         // Only consume events from snapshots we've passed in render time
-        if (snap.serverTime <= renderTime + INTERP_DELAY * 0.5) {
+        if (snap.serverTime <= renderTime + this.delay * 0.5) {
           events.push(...snap.events);
           snap.eventsConsumed = true;
         }
@@ -107,6 +164,7 @@ export class InterpolationBuffer {
       race: to.race,
       events,
       tick: to.tick,
+      renderTick: from.tick + (to.tick - from.tick) * t, // server tick the remote karts are shown at
       lastInputSeq: to.lastInputSeq,
       t,
     };
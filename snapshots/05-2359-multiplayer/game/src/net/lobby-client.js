@@ -1,5 +1,6 @@
 /**
- * Lobby protocol — create/join/list rooms, ready state
+ * Lobby protocol — create/join/watch/list rooms, room settings and map votes,
+ * kart picks, ready state
  */
 export class LobbyClient {
   constructor(connection) {
@@ -7,6 +8,7 @@ export class LobbyClient {
     this.onRooms = null;
     this.onJoined = null;
     this.onUpdate = null;
+    this.onClosed = null;
     this.onGameInit = null;
     this.onError = null;
 
@@ -15,11 +17,16 @@ export class LobbyClient {
     });
 
     this.conn.on('lobby:joined', (msg) => {
-      if (this.onJoined) this.onJoined(msg.roomId, msg.playerId);
+      if (this.onJoined) this.onJoined(msg.roomId, msg.playerId, !!msg.spectator);
     });
 
     this.conn.on('lobby:update', (msg) => {
-      if (this.onUpdate) this.onUpdate(msg.players);
+      if (this.onUpdate) this.onUpdate(msg.players, msg.settings, !!msg.uniqueKarts, msg.spectators || 0);
+    });
+
+    // The room we were watching closed
+    this.conn.on('lobby:closed', (msg) => {
+      if (this.onClosed) this.onClosed(msg.roomId);
     });
 
     this.conn.on('lobby:error', (msg) => {
@@ -35,18 +42,51 @@ export class LobbyClient {
     this.conn.send({ type: 'lobby:list' });
   }
 
-  createRoom(name, mapId) {
-    this.conn.send({ type: 'lobby:create', name, mapId });
+  /**
+   * @param {string} [cupId] - race a whole cup instead of mapId
+   * @param {object} [opts]
+   * @param {number} [opts.kartIndex] - our kart
+   * @param {boolean} [opts.uniqueKarts] - no two players on the same kart
+   * @param {string} [opts.password] - needed to join; '' = open room
+   */
+  createRoom(name, mapId, cupId, { kartIndex, uniqueKarts = false, password = '' } = {}) {
+    this.conn.send({ type: 'lobby:create', name, mapId, cupId, kartIndex, uniqueKarts, password });
+  }
+
+  /**
+   * @param {number} [kartIndex] - preferred kart, if it's free
+   * @param {string} [password] - for locked rooms
+   */
+  joinRoom(roomId, kartIndex, password) {
+    this.conn.send({ type: 'lobby:join', roomId, kartIndex, password });
+  }
+
+  /** Join as a spectator — also allowed while the room is racing or full */
+  watchRoom(roomId, password) {
+    this.conn.send({ type: 'lobby:join', roomId, spectate: true, password });
   }
 
-  joinRoom(roomId) {
-    this.conn.send({ type: 'lobby:join', roomId });
+  setKart(kartIndex) {
+    this.conn.send({ type: 'lobby:kart', kartIndex });
   }
 
   leaveRoom() {
     this.conn.send({ type: 'lobby:leave' });
   }
 
+  /**
+   * Host only — change some room settings for the next race
+   * @param {object} settings - any of { mapId, rules: { laps, botDifficulty }, maxRacers, bots, items, password }
+   */
+  setSettings(settings) {
+    this.conn.send({ type: 'lobby:settings', settings });
+  }
+
+  /** Vote for the next map */
+  voteMap(mapId) {
+    this.conn.send({ type: 'lobby:vote', mapId });
+  }
+
   toggleReady() {
     this.conn.send({ type: 'lobby:ready' });
   }
@@ -55,6 +95,7 @@ export class LobbyClient {
     this.conn.off('lobby:rooms');
     this.conn.off('lobby:joined');
     this.conn.off('lobby:update');
+    this.conn.off('lobby:closed');
     this.conn.off('lobby:error');
     this.conn.off('game:init');
   }
@@ -1,70 +1,121 @@
 /**
- * Client-side prediction for local player.
+ * Client-side prediction for local player, with rewind-and-replay.
  *
- * Runs local physics for instant feedback. On each server snapshot,
- * compares predicted position to authoritative position:
- *   - Small error (<SNAP_THRESHOLD): ignore, prediction is good enough
- *   - Large error: smoothly blend toward server position over time
+ * The local kart is advanced one fixed simulation step per input, and each
+ * input is kept in a ring buffer keyed by its seq. The server applies exactly
+ * one input per tick and reports the last one applied (lastInputSeq) with each
+ * snapshot. On a snapshot we reset the local kart to the authoritative state
+ * and re-simulate every input the server hasn't applied yet.
  *
- * No input replay — avoids timing mismatches between 60fps client
- * and 20Hz send rate that cause systematic divergence.
+ * What's left of the correction after the replay is blended out on the
+ * sprite only — physics state always stays exactly on the replayed path.
  */
 import * as THREE from 'three';
 import { KartPhysics } from '../physics.js';
+import { getGroundNormal } from '../track.js';
+import { SIM_DT } from '../sim/simulation.js';
 
-const SNAP_THRESHOLD = 3.0;   // ignore corrections smaller than this
-const BLEND_RATE = 5;          // units/sec blend speed for large corrections
+const INPUT_BUFFER_SIZE = 128; // ~2s of inputs at 60Hz
+const SNAP_THRESHOLD = 3.0;    // larger corrections snap instead of blending
+const SMOOTH_RATE = 10;        // 1/s decay of the visual correction
+
+const _up = new THREE.Vector3(0, 1, 0);
+const _localOffset = new THREE.Vector3();
 
 export class Prediction {
   constructor(obstacles) {
     this.physics = new KartPhysics(obstacles);
-    this._offset = new THREE.Vector3(); // smoothing offset being blended out
+    this.inputs = new Array(INPUT_BUFFER_SIZE).fill(null); // ring buffer of { seq, input }
+    this.latestSeq = 0;
+    this.lastAckSeq = 0;
+    this._visualOffset = new THREE.Vector3(); // sprite-only smoothing offset, world space
+    this._spriteBase = null;
+    this._prevPos = new THREE.Vector3();
   }
 
   /**
-   * Apply local physics prediction for instant feedback
+   * Advance the local kart one simulation step and remember the input for replay.
+   * @param {object} kart
+   * @param {number} seq - input sequence number (one per step)
+   * @param {object} input
+   * @param {boolean} frozen - race countdown running; record the input but don't move
    */
-  applyLocal(kart, input, dt) {
-    this.physics.update(kart, input, dt);
-
-    // Blend out any correction offset
-    if (this._offset.lengthSq() > 0.0001) {
-      const blendStep = BLEND_RATE * dt;
-      const len = this._offset.length();
-      if (len <= blendStep) {
-        // Close enough — apply remaining offset
-        kart.position.add(this._offset);
-        this._offset.set(0, 0, 0);
-      } else {
-        // Blend a fraction
-        const fraction = blendStep / len;
-        kart.position.addScaledVector(this._offset, fraction);
-        this._offset.multiplyScalar(1 - fraction);
-      }
-    }
+  step(kart, seq, input, frozen) {
+    this.inputs[seq % INPUT_BUFFER_SIZE] = { seq, input };
+    this.latestSeq = seq;
+    if (!frozen) this.physics.update(kart, input, SIM_DT);
   }
 
   /**
-   * Compare predicted state with server snapshot.
-   * Only corrects if error is large enough to matter.
+   * Reconcile with the server: rewind to the authoritative state at
+   * lastInputSeq and replay the inputs the server hasn't applied yet.
+   * @param {object} kart
+   * @param {object} serverState - this kart's entry in the snapshot
+   * @param {number} lastInputSeq - last input seq the server applied
+   * @param {boolean} frozen - race still frozen on the server
    */
-  onServerState(kart, serverState) {
-    const dx = serverState.x - kart.position.x;
-    const dz = serverState.z - kart.position.z;
-    const dist = Math.sqrt(dx * dx + dz * dz);
+  onServerState(kart, serverState, lastInputSeq, frozen) {
+    if (lastInputSeq < this.lastAckSeq) return; // out-of-date snapshot
+    this.lastAckSeq = lastInputSeq;
+
+    this._prevPos.copy(kart.position);
+    this._applyServerState(kart, serverState);
 
-    // Always sync non-position state from server (items, boost, slide)
-    kart.userData.heldItem = serverState.heldItem;
-    kart.userData.boostSpeed = serverState.boostSpeed;
-    kart.userData.boostTimer = serverState.boostTimer;
+    // Replay unacknowledged inputs on top of the authoritative state
+    if (!frozen) {
+      const first = Math.max(lastInputSeq + 1, this.latestSeq - INPUT_BUFFER_SIZE + 1);
+      for (let seq = first; seq <= this.latestSeq; seq++) {
+        const entry = this.inputs[seq % INPUT_BUFFER_SIZE];
+        if (!entry || entry.seq !== seq) continue;
+        this.physics.update(kart, entry.input, SIM_DT);
+      }
+    }
 
-    if (dist < SNAP_THRESHOLD) {
-      // Close enough — prediction is fine, don't touch position
-      return;
+    // Keep the sprite where it was drawn and blend the difference out
+    this._visualOffset.add(this._prevPos).sub(kart.position);
+    if (this._visualOffset.length() > SNAP_THRESHOLD) {
+      this._visualOffset.set(0, 0, 0);
     }
+  }
+
+  /** Decay the visual correction and offset the kart sprite by it */
+  updateVisual(kart, dt) {
+    const sprite = kart.getObjectByName('kartSprite');
+    if (!sprite) return;
+    if (!this._spriteBase) this._spriteBase = sprite.position.clone();
+
+    this._visualOffset.multiplyScalar(Math.exp(-SMOOTH_RATE * dt));
+    if (this._visualOffset.lengthSq() < 0.0001) this._visualOffset.set(0, 0, 0);
+    // The sprite is a child of the kart group, which is turned by rotation.y
+    _localOffset.copy(this._visualOffset).applyAxisAngle(_up, -kart.rotation.y);
+    sprite.position.copy(this._spriteBase).add(_localOffset);
+  }
+
+  _applyServerState(kart, s) {
+    const ud = kart.userData;
+    kart.position.set(s.x, s.y, s.z);
+    kart.rotation.y = s.ry;
+    ud.velocity.set(s.vx, s.velocityY, s.vz);
+    ud.speed = s.speed;
+    ud.steerAngle = s.steerAngle;
+    ud.grounded = s.grounded;
+    ud.slideActive = s.slideActive;
+    ud.slideButton = s.slideButton;
+    ud.slideDir = s.slideDir;
+    ud.slideAngle = s.slideAngle;
+    ud.slideTimer = s.slideTimer;
+    ud.slideBoosts = s.slideBoosts;
+    ud.boostTimer = s.boostTimer;
+    ud.boostSpeed = s.boostSpeed;
+    // Item slots aren't predicted — the server's word stands until the next snapshot
+    ud.heldItem = s.heldItem;
+    ud.heldCount = s.heldCount;
+    ud.reserveItem = s.reserveItem;
+    ud.reserveCount = s.reserveCount;
+    ud.itemRoulette = s.itemRoulette;
+    ud.shieldTimer = s.shieldTimer;
 
-    // Large error — set correction offset to blend toward server position
-    // Instead of snapping, we'll smoothly move there
-    this._offset.set(dx, serverState.y - kart.position.y, dz);
+    const gn = getGroundNormal(s.x, s.z);
+    this.physics.groundNormal.set(gn.x, gn.y, gn.z);
   }
 }
@@ -0,0 +1,313 @@
+/**
+ * Binary snapshot wire format, shared by the server's GameRoom (encode) and
+ * the client's InterpolationBuffer (decode). Clients that ask for JSON in the
+ * welcome handshake get the plain objects instead — handy in the devtools.
+ *
+ * Kart fields are quantized to fixed point (positions 1/1024 unit, angles
+ * 1/4096 rad, speeds 1/100) and only the fields that changed since the
+ * snapshot the client last acknowledged are sent, behind a per-kart bitmask.
+ *
+ * Layout (little-endian), version SNAPSHOT_VERSION:
+ *   u8 version, u8 flags (DELTA | FROZEN | EVENTS), u32 tick,
+ *   [u32 baseTick if DELTA], u32 lastInputSeq, f64 time (server clock, ms), i8 countdownValue,
+ *   u8 kartCount, per kart: u32 changed-field mask + changed fields in KART_FIELDS order,
+ *   u8 racerCount, per racer: u8 lap, u8 position, u16 checkpointsPassed, u8 bits (finished, wrongWay),
+ *   [u32 length + UTF-8 JSON events if EVENTS]
+ * Karts and racers are in grid order — the order of game:init's kartAssignments.
+ */
+import { ITEMS } from '../sim/item-registry.js';
+
+export const SNAPSHOT_VERSION = 7;
+export const SNAPSHOT_HISTORY = 32; // snapshots kept on both ends as delta baselines
+
+const FLAG_DELTA = 1;
+const FLAG_FROZEN = 2;
+const FLAG_EVENTS = 4;
+
+const POS_SCALE = 1024;
+const ANGLE_SCALE = 4096;
+const SPEED_SCALE = 100;
+const TIMER_SCALE = 1000;
+const TWO_PI = Math.PI * 2;
+
+const HELD_ITEMS = [null, ...ITEMS.map(item => item.id)];
+const SLIDE_BUTTONS = [null, 'z', 'x'];
+
+// Wire types: byte size and value range
+const TYPES = {
+  i32: { size: 4, min: -0x80000000, max: 0x7fffffff },
+  i16: { size: 2, min: -0x8000, max: 0x7fff },
+  u16: { size: 2, min: 0, max: 0xffff },
+  i8: { size: 1, min: -0x80, max: 0x7f },
+  u8: { size: 1, min: 0, max: 0xff },
+};
+
+/**
+ * Every kart field as { key, type, toWire(kartState) → int, fromWire(int, out) }
+ */
+function scaled(key, type, scale) {
+  return {
+    key,
+    type,
+    toWire: (k) => Math.round(k[key] * scale),
+    fromWire: (v, out) => { out[key] = v / scale; },
+  };
+}
+function enumerated(key, values) {
+  return {
+    key,
+    type: 'u8',
+    toWire: (k) => Math.max(0, values.indexOf(k[key])),
+    fromWire: (v, out) => { out[key] = values[v] ?? null; },
+  };
+}
+
+const KART_FIELDS = [
+  scaled('x', 'i32', POS_SCALE),
+  scaled('y', 'i32', POS_SCALE),
+  scaled('z', 'i32', POS_SCALE),
+  {
+    key: 'ry',
+    type: 'u16',
+    toWire: (k) => Math.round((((k.ry % TWO_PI) + TWO_PI) % TWO_PI) / TWO_PI * 0x10000) & 0xffff,
+    fromWire: (v, out) => { out.ry = (v / 0x10000) * TWO_PI; },
+  },
+  scaled('speed', 'i16', SPEED_SCALE),
+  scaled('steerAngle', 'i16', ANGLE_SCALE),
+  scaled('vx', 'i16', SPEED_SCALE),
+  scaled('velocityY', 'i16', SPEED_SCALE),
+  scaled('vz', 'i16', SPEED_SCALE),
+  scaled('slideAngle', 'i16', ANGLE_SCALE),
+  scaled('slideTimer', 'u16', TIMER_SCALE),
+  scaled('boostTimer', 'u16', TIMER_SCALE),
+  scaled('boostSpeed', 'u16', SPEED_SCALE),
+  scaled('slideBoosts', 'u8', 1),
+  scaled('slideDir', 'i8', 1),
+  enumerated('slideButton', SLIDE_BUTTONS),
+  enumerated('heldItem', HELD_ITEMS),
+  scaled('heldCount', 'u8', 1),
+  enumerated('reserveItem', HELD_ITEMS),
+  scaled('reserveCount', 'u8', 1),
+  scaled('itemRoulette', 'u16', TIMER_SCALE),
+  scaled('shieldTimer', 'u16', TIMER_SCALE),
+  {
+    key: 'flags',
+    type: 'u8',
+    toWire: (k) => (k.slideActive ? 1 : 0) | (k.grounded ? 2 : 0),
+    fromWire: (v, out) => {
+      out.slideActive = (v & 1) !== 0;
+      out.grounded = (v & 2) !== 0;
+    },
+  },
+];
+const FIELD_COUNT = KART_FIELDS.length;
+const MAX_KART_BYTES = 4 + KART_FIELDS.reduce((n, f) => n + TYPES[f.type].size, 0);
+
+/**
+ * Snapshot kart states → quantized wire values, FIELD_COUNT per kart.
+ * Quantize once per snapshot; the result is both what gets encoded and the
+ * baseline later deltas compare against.
+ * @param {object[]} kartStates - in grid order, fields as in GameRoom._sendSnapshot
+ * @returns {Int32Array}
+ */
+export function quantizeKarts(kartStates) {
+  const out = new Int32Array(kartStates.length * FIELD_COUNT);
+  kartStates.forEach((k, i) => {
+    for (let f = 0; f < FIELD_COUNT; f++) {
+      const field = KART_FIELDS[f];
+      const { min, max } = TYPES[field.type];
+      out[i * FIELD_COUNT + f] = Math.max(min, Math.min(max, field.toWire(k) || 0));
+    }
+  });
+  return out;
+}
+
+function writeValue(view, pos, type, v) {
+  switch (type) {
+    case 'i32': view.setInt32(pos, v, true); break;
+    case 'i16': view.setInt16(pos, v, true); break;
+    case 'u16': view.setUint16(pos, v, true); break;
+    case 'i8': view.setInt8(pos, v); break;
+    case 'u8': view.setUint8(pos, v); break;
+  }
+  return pos + TYPES[type].size;
+}
+
+function readValue(view, pos, type) {
+  switch (type) {
+    case 'i32': return view.getInt32(pos, true);
+    case 'i16': return view.getInt16(pos, true);
+    case 'u16': return view.getUint16(pos, true);
+    case 'i8': return view.getInt8(pos);
+    case 'u8': return view.getUint8(pos);
+  }
+  return 0;
+}
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * @param {object} snap
+ * @param {number} snap.tick
+ * @param {number} snap.lastInputSeq
+ * @param {number} snap.time - server clock (ms) when the tick ran
+ * @param {Int32Array} snap.karts - from quantizeKarts()
+ * @param {object} snap.race - { countdownValue, frozen, racers: [{ lap, position, finished, wrongWay, checkpointsPassed }] }
+ * @param {object[]} [snap.events]
+ * @param {{tick: number, karts: Int32Array}|null} baseline - snapshot the client acknowledged; null = send everything
+ * @returns {Uint8Array}
+ */
+export function encodeSnapshot({ tick, lastInputSeq, time, karts, race, events }, baseline) {
+  const kartCount = karts.length / FIELD_COUNT;
+  const eventBytes = events && events.length > 0 ? textEncoder.encode(JSON.stringify(events)) : null;
+  const buf = new ArrayBuffer(24 + kartCount * MAX_KART_BYTES + 1 + race.racers.length * 5
+    + (eventBytes ? 4 + eventBytes.length : 0));
+  const view = new DataView(buf);
+
+  let flags = 0;
+  if (baseline) flags |= FLAG_DELTA;
+  if (race.frozen) flags |= FLAG_FROZEN;
+  if (eventBytes) flags |= FLAG_EVENTS;
+
+  let pos = 0;
+  view.setUint8(pos++, SNAPSHOT_VERSION);
+  view.setUint8(pos++, flags);
+  view.setUint32(pos, tick, true); pos += 4;
+  if (baseline) { view.setUint32(pos, baseline.tick, true); pos += 4; }
+  view.setUint32(pos, lastInputSeq, true); pos += 4;
+  view.setFloat64(pos, time, true); pos += 8;
+  view.setInt8(pos++, race.countdownValue);
+
+  view.setUint8(pos++, kartCount);
+  for (let i = 0; i < kartCount; i++) {
+    const base = i * FIELD_COUNT;
+    const maskPos = pos;
+    pos += 4;
+    let mask = 0;
+    for (let f = 0; f < FIELD_COUNT; f++) {
+      const v = karts[base + f];
+      if (baseline && baseline.karts[base + f] === v) continue;
+      mask |= 1 << f;
+      pos = writeValue(view, pos, KART_FIELDS[f].type, v);
+    }
+    view.setUint32(maskPos, mask >>> 0, true);
+  }
+
+  view.setUint8(pos++, race.racers.length);
+  for (const r of race.racers) {
+    view.setUint8(pos++, Math.min(255, r.lap));
+    view.setUint8(pos++, r.position);
+    view.setUint16(pos, Math.min(0xffff, r.checkpointsPassed), true); pos += 2;
+    view.setUint8(pos++, (r.finished ? 1 : 0) | (r.wrongWay ? 2 : 0));
+  }
+
+  if (eventBytes) {
+    view.setUint32(pos, eventBytes.length, true); pos += 4;
+    new Uint8Array(buf, pos, eventBytes.length).set(eventBytes);
+    pos += eventBytes.length;
+  }
+
+  return new Uint8Array(buf, 0, pos);
+}
+
+/**
+ * Client end: turns binary snapshots back into the objects the JSON format
+ * carries, applying deltas to the quantized snapshots it decoded before.
+ */
+export class SnapshotDecoder {
+  /** @param {string[]} kartIds - in grid order */
+  constructor(kartIds) {
+    this.kartIds = kartIds;
+    this.history = new Map(); // tick → Int32Array of quantized kart fields
+  }
+
+  /**
+   * @param {ArrayBuffer} buffer
+   * @returns {object|null} { tick, lastInputSeq, time, karts, race, events }; null if the
+   *   version is unknown or the delta's baseline is gone
+   */
+  decode(buffer) {
+    const view = new DataView(buffer);
+    let pos = 0;
+    const version = view.getUint8(pos++);
+    if (version !== SNAPSHOT_VERSION) {
+      console.warn(`Unsupported snapshot version: ${version}`);
+      return null;
+    }
+    const flags = view.getUint8(pos++);
+    const tick = view.getUint32(pos, true); pos += 4;
+    let baseline = null;
+    if (flags & FLAG_DELTA) {
+      const baseTick = view.getUint32(pos, true); pos += 4;
+      baseline = this.history.get(baseTick);
+      if (!baseline) {
+        console.warn(`Snapshot ${tick}: baseline ${baseTick} not in history`);
+        return null;
+      }
+    }
+    const lastInputSeq = view.getUint32(pos, true); pos += 4;
+    const time = view.getFloat64(pos, true); pos += 8;
+    const countdownValue = view.getInt8(pos++);
+
+    const kartCount = view.getUint8(pos++);
+    const quantized = new Int32Array(kartCount * FIELD_COUNT);
+    const karts = [];
+    for (let i = 0; i < kartCount; i++) {
+      const base = i * FIELD_COUNT;
+      const mask = view.getUint32(pos, true); pos += 4;
+      const kart = { id: this.kartIds[i] };
+      for (let f = 0; f < FIELD_COUNT; f++) {
+        const field = KART_FIELDS[f];
+        let v;
+        if (mask & (1 << f)) {
+          v = readValue(view, pos, field.type);
+          pos += TYPES[field.type].size;
+        } else {
+          v = baseline ? baseline[base + f] : 0;
+        }
+        quantized[base + f] = v;
+        field.fromWire(v, kart);
+      }
+      karts.push(kart);
+    }
+
+    const racerCount = view.getUint8(pos++);
+    const racers = [];
+    for (let i = 0; i < racerCount; i++) {
+      const lap = view.getUint8(pos++);
+      const position = view.getUint8(pos++);
+      const checkpointsPassed = view.getUint16(pos, true); pos += 2;
+      const bits = view.getUint8(pos++);
+      racers.push({
+        kartId: this.kartIds[i],
+        lap,
+        position,
+        finished: (bits & 1) !== 0,
+        wrongWay: (bits & 2) !== 0,
+        checkpointsPassed,
+      });
+    }
+
+    let events;
+    if (flags & FLAG_EVENTS) {
+      const length = view.getUint32(pos, true); pos += 4;
+      events = JSON.parse(textDecoder.decode(new Uint8Array(buffer, pos, length)));
+    }
+
+    this.history.set(tick, quantized);
+    for (const t of this.history.keys()) {
+      if (this.history.size <= SNAPSHOT_HISTORY) break;
+      this.history.delete(t); // Map keeps insertion order — oldest first
+    }
+
+    return {
+      tick,
+      lastInputSeq,
+      time,
+      karts,
+      race: { countdownValue, frozen: (flags & FLAG_FROZEN) !== 0, racers },
+      events,
+    };
+  }
+}
@@ -23,6 +23,7 @@ export const KART_DEFAULTS = {
   boostSpeeds: [10, 15, 20],     // speed bonus per charge level
   boostDurations: [0.5, 0.8, 1.2], // duration per charge level
   radius: 1.0,
+  weight: 1.0,             // collision mass — heavier karts get shoved less
 };
 
 // Sweet spot windows per charge level [start, end] as fraction of meter
@@ -370,3 +371,24 @@ export class KartPhysics {
     }
   }
 }
+
+/**
+ * Launch a kart into the air after an item hit — cancels slide and boost.
+ * @param {object} kart
+ * @param {number} launchVelY - upward velocity
+ */
+export function explodeKart(kart, launchVelY) {
+  const ud = kart.userData;
+  ud.velocity.set(0, launchVelY, 0);
+  kart.position.y += 0.5; // escape ground snap zone
+  ud.speed = 0;
+  ud.grounded = false;
+  ud.slideActive = false;
+  ud.slideButton = null;
+  ud.slideDir = 0;
+  ud.slideAngle = 0;
+  ud.slideTimer = 0;
+  ud.slideBoosts = 0;
+  ud.boostTimer = 0;
+  ud.boostSpeed = 0;
+}
@@ -1,32 +1,110 @@
 /**
- * Race state manager — countdown, laps, checkpoints, finish-line crossing
+ * Race state manager — countdown, laps, checkpoints, finish-line crossing,
+ * lap times, checkpoint splits and the per-racer stats behind the results screen
  */
 
-const TOTAL_LAPS = 3;
-const CP_HIT_RADIUS = 30;
 const CP_LOOKAHEAD = 4; // check this many checkpoints ahead
-const COUNTDOWN_DURATION = 4; // seconds: 3, 2, 1, GO
-const MIN_CP_FRACTION = 0.5; // must pass at least half the checkpoints before a line crossing counts
+const MAX_GATE_STEP = 10; // world units per update — longer moves are respawns, not crossings
 export const FINISH_LINE_WIDTH = 60; // world units — must match visual decal
 
+/** Rules used when neither map.json nor the race settings override them */
+export const DEFAULT_RULES = Object.freeze({
+  laps: 3,
+  countdown: 4,               // seconds: 3, 2, 1, GO
+  checkpointRadius: 30,       // world units
+  minCheckpointFraction: 0.5, // share of checkpoints to pass before a line crossing counts
+  finishTimeout: 30,          // seconds after the first finisher before the race ends for everyone
+  botDifficulty: 1,           // index into BOT_DIFFICULTIES (bot-input.js): 0 easy, 1 normal, 2 hard
+});
+
+// [min, max, integer] per rule
+const RULE_LIMITS = {
+  laps: [1, 10, true],
+  countdown: [1, 10, false],
+  checkpointRadius: [5, 200, false],
+  minCheckpointFraction: [0, 1, false],
+  finishTimeout: [5, 120, false],
+  botDifficulty: [0, 2, true],
+};
+
+// Simulation event type → racer stat it counts toward
+const EVENT_STATS = {
+  item_use: 'itemsUsed',
+  item_hit: 'hitsTaken',
+};
+
+/**
+ * Known rules from an untrusted source (map.json, menu, network), clamped
+ * to their limits. Unknown keys and non-numbers are dropped.
+ * @returns {object} partial rules
+ */
+export function sanitizeRules(source) {
+  const rules = {};
+  if (!source) return rules;
+  for (const [key, [min, max, integer]] of Object.entries(RULE_LIMITS)) {
+    let v = source[key];
+    if (typeof v !== 'number' || !Number.isFinite(v)) continue;
+    if (integer) v = Math.round(v);
+    rules[key] = Math.max(min, Math.min(max, v));
+  }
+  return rules;
+}
+
+/**
+ * Final rules for a race: defaults ← map.json fields ← per-race overrides
+ * @param {object} mapData - loaded map (laps, checkpointRadius, ... at top level)
+ * @param {object} [overrides] - from the menu or room settings
+ */
+export function resolveRaceRules(mapData, overrides) {
+  return { ...DEFAULT_RULES, ...sanitizeRules(mapData), ...sanitizeRules(overrides) };
+}
+
+/**
+ * Whether a move from (x0,z0) to (x1,z1) passes a checkpoint. Gates count a
+ * forward crossing of their segment; legacy point checkpoints count arriving
+ * within `radius` of the point.
+ * @param {{x, z, halfWidth?, nx?, nz?}} cp - from getWorldCheckpoints()
+ */
+export function passesCheckpoint(cp, x0, z0, x1, z1, radius) {
+  if (!cp.halfWidth) return Math.hypot(cp.x - x1, cp.z - z1) < radius;
+
+  // Signed distance along the gate normal: negative = before the gate
+  const d0 = (x0 - cp.x) * cp.nx + (z0 - cp.z) * cp.nz;
+  const d1 = (x1 - cp.x) * cp.nx + (z1 - cp.z) * cp.nz;
+  if (d0 >= 0 || d1 < 0) return false;
+  if (Math.hypot(x1 - x0, z1 - z0) > MAX_GATE_STEP) return false;
+
+  // Lateral offset of the crossing point along the gate
+  const t = d0 / (d0 - d1);
+  const cx = x0 + (x1 - x0) * t - cp.x;
+  const cz = z0 + (z1 - z0) * t - cp.z;
+  return Math.abs(cx * -cp.nz + cz * cp.nx) <= cp.halfWidth;
+}
+
 export class RaceManager {
   /**
-   * @param {Array<{x,z}>} checkpoints - world-space checkpoint positions
-   * @param {Array<{kart, isPlayer}>} racers - racer objects
+   * @param {Array<{x,z}>} checkpoints - world-space checkpoints (points or gates)
+   * @param {Array<{kart, isPlayer, id?}>} racers - racer objects
    * @param {{x,z,nx,nz}} finishLine - finish line origin + forward normal
+   * @param {object} [rules] - from resolveRaceRules()
    */
-  constructor(checkpoints, racers, finishLine) {
+  constructor(checkpoints, racers, finishLine, rules = DEFAULT_RULES) {
     this.checkpoints = checkpoints;
     this.finishLine = finishLine; // {x, z, nx, nz} — normal points in race direction
-    this.totalLaps = TOTAL_LAPS;
-    this.countdownTimer = COUNTDOWN_DURATION;
-    this.countdownValue = 3; // 3, 2, 1, 0(GO), -1(done)
+    this.rules = rules;
+    this.totalLaps = rules.laps;
+    this.countdownTimer = rules.countdown;
+    this.countdownValue = Math.ceil(rules.countdown) - 1; // ..., 2, 1, 0(GO), -1(done)
+    this.raceTime = 0; // seconds since GO
+    this.firstFinishTime = null;
+    this.over = false; // everyone finished, or finishTimeout ran out
 
     this.racers = racers.map(r => {
       // Initial signed distance from finish line (should be positive — behind the line)
       const prevSide = this._signedDist(r.kart.position.x, r.kart.position.z);
       return {
         kart: r.kart,
+        id: r.id,
         isPlayer: r.isPlayer || false,
         nextCheckpoint: 0,
         lap: 1,
@@ -36,6 +114,14 @@ export class RaceManager {
         finished: false,
         position: 1,
         prevSide, // signed distance to finish line last frame
+        prevX: r.kart.position.x, // position last frame, for gate crossings
+        prevZ: r.kart.position.z,
+        lapStartTime: 0,
+        lapTimes: [], // seconds per completed lap
+        splits: [], // raceTime at each checkpoint passed, indexed by checkpointsPassed - 1
+        finishTime: null,
+        itemsUsed: 0,
+        hitsTaken: 0,
       };
     });
   }
@@ -55,43 +141,40 @@ export class RaceManager {
     // Countdown
     if (this.countdownTimer > 0) {
       this.countdownTimer -= dt;
-      if (this.countdownTimer > 3) this.countdownValue = 3;
-      else if (this.countdownTimer > 2) this.countdownValue = 2;
-      else if (this.countdownTimer > 1) this.countdownValue = 1;
-      else if (this.countdownTimer > 0) this.countdownValue = 0; // GO
-      else this.countdownValue = -1; // countdown done
+      // Last second is GO (0)
+      this.countdownValue = this.countdownTimer > 0 ? Math.ceil(this.countdownTimer) - 1 : -1;
     } else {
       this.countdownValue = -1;
     }
 
     if (this.isFrozen()) return;
-    if (this.checkpoints.length < 2) return;
+    this.raceTime += dt;
+    if (this.over || this.checkpoints.length < 2) return;
 
     const cpCount = this.checkpoints.length;
-    const minCPs = Math.floor(cpCount * MIN_CP_FRACTION);
+    const minCPs = Math.floor(cpCount * this.rules.minCheckpointFraction);
 
     for (const r of this.racers) {
       if (r.finished) continue;
 
       // --- Checkpoint advancement (lookahead) ---
+      const { x, z } = r.kart.position;
       let bestAdvance = -1;
       for (let look = 0; look < CP_LOOKAHEAD; look++) {
-        const cpIdx = (r.nextCheckpoint + look) % cpCount;
-        const cp = this.checkpoints[cpIdx];
-        const dx = cp.x - r.kart.position.x;
-        const dz = cp.z - r.kart.position.z;
-        const dist = Math.sqrt(dx * dx + dz * dz);
-
-        if (dist < CP_HIT_RADIUS) {
+        const cp = this.checkpoints[(r.nextCheckpoint + look) % cpCount];
+        if (passesCheckpoint(cp, r.prevX, r.prevZ, x, z, this.rules.checkpointRadius)) {
           bestAdvance = look;
         }
       }
+      r.prevX = x;
+      r.prevZ = z;
 
       if (bestAdvance >= 0) {
         const steps = bestAdvance + 1;
         r.nextCheckpoint = (r.nextCheckpoint + steps) % cpCount;
         r.checkpointsPassed += steps;
         r.cpThisLap += steps;
+        while (r.splits.length < r.checkpointsPassed) r.splits.push(this.raceTime);
       }
 
       // --- Finish line crossing ---
@@ -105,10 +188,14 @@ export class RaceManager {
         if (r.prevSide < 0 && curSide >= 0 && r.cpThisLap >= minCPs && withinLine) {
           r.cpThisLap = 0;
           r.nextCheckpoint = 0;
+          r.lapTimes.push(this.raceTime - r.lapStartTime);
+          r.lapStartTime = this.raceTime;
           r.lap++;
           if (r.lap > this.totalLaps) {
             r.finished = true;
+            r.finishTime = this.raceTime;
             r.lap = this.totalLaps;
+            if (this.firstFinishTime === null) this.firstFinishTime = this.raceTime;
           }
         }
         r.prevSide = curSide;
@@ -130,11 +217,46 @@ export class RaceManager {
     }
 
     this._updatePositions();
+
+    if (this.firstFinishTime !== null) {
+      this.over = this.racers.every(r => r.finished)
+        || this.raceTime - this.firstFinishTime >= this.rules.finishTimeout;
+    }
+  }
+
+  /** Count item uses and hits from a simulation step's events */
+  recordEvents(events) {
+    for (const evt of events) {
+      const stat = EVENT_STATS[evt.type];
+      if (!stat) continue;
+      const r = this.racers.find(r => r.id === evt.kartId);
+      if (r && !r.finished) r[stat]++;
+    }
+  }
+
+  /**
+   * Standings for the results screen: finishers in finishing order, then
+   * anyone still on track by race position. Plain data, safe to send.
+   */
+  getResults() {
+    return [...this.racers]
+      .sort((a, b) => a.position - b.position)
+      .map(r => ({
+        id: r.id,
+        position: r.position,
+        finished: r.finished,
+        time: r.finishTime,
+        bestLap: r.lapTimes.length > 0 ? Math.min(...r.lapTimes) : null,
+        lapTimes: r.lapTimes.slice(),
+        itemsUsed: r.itemsUsed,
+        hitsTaken: r.hitsTaken,
+      }));
   }
 
   _updatePositions() {
     const sorted = [...this.racers].sort((a, b) => {
       if (a.finished !== b.finished) return a.finished ? -1 : 1;
+      if (a.finished) return a.finishTime - b.finishTime;
       if (a.lap !== b.lap) return b.lap - a.lap;
       if (a.checkpointsPassed !== b.checkpointsPassed) return b.checkpointsPassed - a.checkpointsPassed;
       const cpA = this.checkpoints[a.nextCheckpoint];
@@ -0,0 +1,359 @@
+/**
+ * Replay playback — parallel to singleplayer startGame().
+ *
+ * Re-runs the recorded race through RaceSimulation (every racer driven by its
+ * recorded input) and renders it with the normal scene/kart/HUD path.
+ * Scrubbing backwards restarts the simulation and fast-forwards headlessly.
+ *
+ * Controls: Space pause · [ ] speed · ←/→ skip 5s · Home restart ·
+ * Tab next racer · C free/follow camera · Esc exit.
+ * Free camera: WASD move, R/F up/down, drag mouse to look.
+ */
+import * as THREE from 'three';
+import { createTrackMesh, getGroundHeight, TrackData } from './track.js';
+import { createKart, updateKartFrame, getKartProfile } from './kart.js';
+import { kartStatsFromProfile } from './kart-stats.js';
+import { CameraController } from './camera.js';
+import {
+  RaceSimulation, FixedStepLoop, SIM_RATE,
+  getStartPose, getGridPositions, initKartState,
+} from './sim/simulation.js';
+import { getReplayInputs } from './sim/replay.js';
+import { resolveRaceRules } from './race.js';
+import { createStartLine } from './start-line.js';
+import { RaceHUD } from './hud.js';
+import { createBoostPads } from './boost-pad.js';
+import { createItemBoxes } from './item-boxes.js';
+import { createSkidMarks } from './skid-marks.js';
+import { createBoostVisuals } from './boost-visual.js';
+import { createItemVisuals } from './item-visuals.js';
+import { updateKartVisuals } from './kart-visuals.js';
+
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+const SKIP_SECONDS = 5;
+const FREE_CAM_SPEED = 40;      // units/s
+const FREE_CAM_FAST = 3;        // multiplier while Shift is held
+const FREE_CAM_LOOK = 0.004;    // radians per dragged pixel
+
+const _move = new THREE.Vector3();
+
+function formatTime(ticks) {
+  const s = ticks / SIM_RATE;
+  const m = Math.floor(s / 60);
+  return `${m}:${(s - m * 60).toFixed(1).padStart(4, '0')}`;
+}
+
+/**
+ * Play back a decoded replay
+ * @param {object} opts
+ * @param {THREE.WebGLRenderer} opts.renderer
+ * @param {InputManager} opts.input
+ * @param {object} opts.replay - from decodeReplay() / ReplayRecorder.finish()
+ * @param {object} opts.mapData - the replay's map, already loaded
+ * @param {() => void} opts.onExit
+ * @returns {() => void} cleanup
+ */
+export function startReplay({ renderer, input, replay, mapData, onExit }) {
+  const scene = new THREE.Scene();
+  scene.background = new THREE.Color(0x87ceeb);
+
+  const sun = new THREE.DirectionalLight(0xffffff, 1.5);
+  sun.position.set(30, 50, 20);
+  sun.castShadow = true;
+  sun.shadow.mapSize.set(2048, 2048);
+  sun.shadow.camera.near = 1;
+  sun.shadow.camera.far = 250;
+  sun.shadow.camera.left = -100;
+  sun.shadow.camera.right = 100;
+  sun.shadow.camera.top = 100;
+  sun.shadow.camera.bottom = -100;
+  scene.add(sun);
+  scene.add(new THREE.AmbientLight(0x88aacc, 0.6));
+
+  // Track
+  const track = createTrackMesh(mapData);
+  scene.add(track);
+  const trackData = new TrackData(mapData);
+
+  const startLine = createStartLine(mapData);
+  if (startLine) scene.add(startLine);
+
+  const boostPads = createBoostPads(mapData);
+  for (const mesh of boostPads.meshes) scene.add(mesh);
+
+  const itemBoxes = createItemBoxes(replay.items ? mapData : { itemBoxes: [] });
+  for (const mesh of itemBoxes.meshes) scene.add(mesh);
+
+  // Karts in the recorded grid order
+  const start = getStartPose(mapData);
+  const gridPositions = getGridPositions(start, getGroundHeight, replay.racers.length, replay.grid);
+  const allKarts = replay.racers.map((r) => {
+    const k = createKart(r.kartIndex);
+    scene.add(k);
+    scene.add(k.userData.shadow);
+    return k;
+  });
+
+  function createSim() {
+    allKarts.forEach((k, slot) => {
+      const sp = gridPositions[slot];
+      k.position.set(sp.x, sp.y, sp.z);
+      k.rotation.set(0, start.angle, 0);
+      const r = replay.racers[slot];
+      initKartState(k, sp, kartStatsFromProfile(r.profile || getKartProfile(r.kartIndex)));
+    });
+    return new RaceSimulation({
+      mapData,
+      trackData,
+      racers: replay.racers.map((r, slot) => ({ id: r.id, kart: allKarts[slot], isPlayer: r.isPlayer })),
+      seed: replay.seed,
+      items: replay.items,
+      rules: resolveRaceRules(mapData, replay.rules),
+    });
+  }
+
+  let sim = createSim();
+  const stepLoop = new FixedStepLoop(() => {
+    if (sim.tick >= replay.ticks) return;
+    const events = sim.step(getReplayInputs(replay, sim.tick));
+    for (const evt of events) handleEvent(evt);
+  });
+
+  // Skid marks + boost visuals
+  const skidMarks = createSkidMarks(allKarts);
+  for (const mesh of skidMarks.meshes) scene.add(mesh);
+
+  const boostVisuals = createBoostVisuals(allKarts);
+  for (const mesh of boostVisuals.meshes) scene.add(mesh);
+
+  const itemVisuals = createItemVisuals(scene);
+
+  function handleEvent(evt) {
+    if (evt.type === 'item_pickup') itemBoxes.pickup(evt.boxIndex);
+    itemVisuals.handleEvent(evt);
+  }
+
+  /** Jump to a tick — backwards restarts the sim, then steps without rendering */
+  function seek(tick) {
+    tick = Math.max(0, Math.min(replay.ticks, Math.round(tick)));
+    if (tick < sim.tick) sim = createSim();
+    while (sim.tick < tick) sim.step(getReplayInputs(replay, sim.tick));
+    stepLoop.accumulator = 0;
+
+    // Event-driven visuals missed the skipped steps — rebuild them from sim state
+    itemVisuals.reset(sim.items.entities());
+    itemBoxes.sync(sim.itemBoxes.boxes);
+  }
+
+  // Playback state
+  let paused = false;
+  let speedIndex = SPEEDS.indexOf(1);
+  let followIndex = Math.max(0, replay.racers.findIndex(r => r.isPlayer));
+  let freeCam = false;
+
+  // Cameras
+  const camera = new THREE.PerspectiveCamera(65, window.innerWidth / window.innerHeight, 0.1, 2000);
+  let cameraCtrl = new CameraController(camera, allKarts[followIndex]);
+  const free = { yaw: 0, pitch: -0.4, dragging: false, lastX: 0, lastY: 0 };
+
+  function enterFreeCam() {
+    freeCam = true;
+    // Start from the follow camera's view
+    const dir = camera.getWorldDirection(new THREE.Vector3());
+    free.yaw = Math.atan2(-dir.x, -dir.z);
+    free.pitch = Math.asin(Math.max(-1, Math.min(1, dir.y)));
+  }
+
+  function updateFreeCam(dt) {
+    const keys = input.keys;
+    const speed = FREE_CAM_SPEED * (keys['ShiftLeft'] || keys['ShiftRight'] ? FREE_CAM_FAST : 1) * dt;
+    const fx = -Math.sin(free.yaw);
+    const fz = -Math.cos(free.yaw);
+    _move.set(0, 0, 0);
+    if (keys['KeyW']) _move.add({ x: fx, y: 0, z: fz });
+    if (keys['KeyS']) _move.add({ x: -fx, y: 0, z: -fz });
+    if (keys['KeyA']) _move.add({ x: fz, y: 0, z: -fx });
+    if (keys['KeyD']) _move.add({ x: -fz, y: 0, z: fx });
+    if (keys['KeyR']) _move.y += 1;
+    if (keys['KeyF']) _move.y -= 1;
+    camera.position.addScaledVector(_move, speed);
+    camera.rotation.set(free.pitch, free.yaw, 0, 'YXZ');
+  }
+
+  // HUD
+  const hud = new RaceHUD();
+  hud.setupMinimap(mapData, sim.finishLine);
+
+  // Playback controls — bottom bar
+  const controls = document.createElement('div');
+  controls.style.cssText = 'position:fixed;left:50%;bottom:12px;transform:translateX(-50%);width:min(720px,90vw);z-index:60;'
+    + 'background:rgba(0,0,0,0.6);border-radius:8px;padding:8px 12px;font-family:monospace;color:#eee;font-size:13px;';
+  controls.innerHTML = `
+    <div style="display:flex;align-items:center;gap:10px;">
+      <span data-el="state" style="width:72px;"></span>
+      <input data-el="scrub" type="range" min="0" max="${replay.ticks}" value="0" style="flex:1;">
+      <span data-el="time" style="width:110px;text-align:right;"></span>
+    </div>
+    <div data-el="info" style="margin-top:4px;color:#aaa;"></div>
+    <div style="margin-top:2px;color:#666;font-size:11px;">
+      Space pause · [ ] speed · ←/→ ${SKIP_SECONDS}s · Home restart · Tab racer · C camera · Esc exit
+    </div>
+  `;
+  document.body.appendChild(controls);
+  const stateEl = controls.querySelector('[data-el="state"]');
+  const scrubEl = controls.querySelector('[data-el="scrub"]');
+  const timeEl = controls.querySelector('[data-el="time"]');
+  const infoEl = controls.querySelector('[data-el="info"]');
+
+  let scrubbing = false;
+  scrubEl.addEventListener('pointerdown', () => { scrubbing = true; });
+  scrubEl.addEventListener('pointerup', () => { scrubbing = false; });
+  scrubEl.addEventListener('input', () => seek(Number(scrubEl.value)));
+  // Keep keyboard shortcuts working after clicking the slider
+  scrubEl.addEventListener('keydown', (e) => e.preventDefault());
+
+  // Events
+  const onResize = () => {
+    camera.aspect = window.innerWidth / window.innerHeight;
+    camera.updateProjectionMatrix();
+    renderer.setSize(window.innerWidth, window.innerHeight);
+  };
+  window.addEventListener('resize', onResize);
+
+  const onKeyDown = (e) => {
+    switch (e.code) {
+      case 'Escape':
+        onExit();
+        return;
+      case 'Space':
+        e.preventDefault();
+        if (sim.tick >= replay.ticks) seek(0);
+        paused = !paused;
+        break;
+      case 'BracketLeft':
+        speedIndex = Math.max(0, speedIndex - 1);
+        break;
+      case 'BracketRight':
+        speedIndex = Math.min(SPEEDS.length - 1, speedIndex + 1);
+        break;
+      case 'ArrowLeft':
+        seek(sim.tick - SKIP_SECONDS * SIM_RATE);
+        break;
+      case 'ArrowRight':
+        seek(sim.tick + SKIP_SECONDS * SIM_RATE);
+        break;
+      case 'Home':
+        seek(0);
+        break;
+      case 'Tab':
+        e.preventDefault();
+        followIndex = (followIndex + 1) % allKarts.length;
+        cameraCtrl = new CameraController(camera, allKarts[followIndex]);
+        freeCam = false;
+        break;
+      case 'KeyC':
+        if (freeCam) {
+          freeCam = false;
+          cameraCtrl = new CameraController(camera, allKarts[followIndex]);
+        } else {
+          enterFreeCam();
+        }
+        break;
+    }
+  };
+  window.addEventListener('keydown', onKeyDown);
+
+  const canvas = renderer.domElement;
+  const onPointerDown = (e) => {
+    if (!freeCam) return;
+    free.dragging = true;
+    free.lastX = e.clientX;
+    free.lastY = e.clientY;
+  };
+  const onPointerMove = (e) => {
+    if (!free.dragging) return;
+    free.yaw -= (e.clientX - free.lastX) * FREE_CAM_LOOK;
+    free.pitch -= (e.clientY - free.lastY) * FREE_CAM_LOOK;
+    free.pitch = Math.max(-1.5, Math.min(1.5, free.pitch));
+    free.lastX = e.clientX;
+    free.lastY = e.clientY;
+  };
+  const onPointerUp = () => { free.dragging = false; };
+  canvas.addEventListener('pointerdown', onPointerDown);
+  window.addEventListener('pointermove', onPointerMove);
+  window.addEventListener('pointerup', onPointerUp);
+
+  // Render loop
+  let lastTime = performance.now();
+  let animFrame = null;
+
+  function loop(now) {
+    animFrame = requestAnimationFrame(loop);
+    const dt = Math.min((now - lastTime) / 1000, 0.05);
+    lastTime = now;
+
+    input.poll(); // Q/E orbit for the follow camera
+
+    // 1. Simulation at playback speed
+    if (!paused && !scrubbing) {
+      stepLoop.advance(dt * SPEEDS[speedIndex]);
+      if (sim.tick >= replay.ticks) paused = true;
+    }
+
+    // 2. Item visuals
+    const visualDt = paused ? 0 : dt * SPEEDS[speedIndex];
+    itemBoxes.update(visualDt);
+    itemVisuals.sync(sim.items);
+    itemVisuals.update(visualDt, allKarts);
+
+    // 3. Camera
+    const followed = sim.racers[followIndex];
+    if (freeCam) updateFreeCam(dt);
+    else cameraCtrl.update(dt, input);
+
+    // 4. Kart sprites + visuals
+    for (const r of sim.racers) {
+      updateKartFrame(r.kart, camera, r.input);
+      updateKartVisuals(r.kart, camera);
+    }
+    skidMarks.update(allKarts, visualDt);
+    boostVisuals.update(allKarts, visualDt);
+
+    renderer.render(scene, camera);
+
+    // 5. HUD for the followed racer
+    const race = sim.race;
+    const rs = race.racers[followIndex];
+    hud.updateCountdown(race.countdownValue);
+    hud.updateLap(Math.min(rs.lap, race.totalLaps), race.totalLaps);
+    hud.updatePosition(rs.position);
+    hud.updateWrongWay(rs.wrongWay);
+    hud.updateBoost(followed.kart.userData);
+    hud.updateItem(followed.kart.userData);
+    hud.updateShield(followed.kart.userData.shieldTimer);
+    hud.updateIncoming(followed.kart, itemVisuals.threats(followed.id));
+    hud.updateMinimap(allKarts, followed.kart);
+
+    // 6. Playback controls
+    stateEl.textContent = paused ? 'PAUSED' : `${SPEEDS[speedIndex]}x`;
+    if (!scrubbing) scrubEl.value = String(sim.tick);
+    timeEl.textContent = `${formatTime(sim.tick)} / ${formatTime(replay.ticks)}`;
+    infoEl.textContent = `${replay.mapId} · ${freeCam ? 'free camera' : `following ${followed.id}`}`
+      + (rs.finished ? ' · finished' : '');
+  }
+
+  animFrame = requestAnimationFrame(loop);
+
+  return () => {
+    if (animFrame) cancelAnimationFrame(animFrame);
+    window.removeEventListener('resize', onResize);
+    window.removeEventListener('keydown', onKeyDown);
+    canvas.removeEventListener('pointerdown', onPointerDown);
+    window.removeEventListener('pointermove', onPointerMove);
+    window.removeEventListener('pointerup', onPointerUp);
+    controls.remove();
+    hud.destroy();
+    boostVisuals.destroy();
+    itemVisuals.destroy();
+  };
+}
@@ -1,14 +1,19 @@
 /**
- * Headless boost pad triggers — same logic as client boost-pad.js without meshes.
+ * Boost pad triggers — pure logic shared by single-player and the server.
+ * Meshes live in ../boost-pad.js.
  */
+import { CELL_SIZE } from '../track.js';
 
-const CELL_SIZE = 3;
-const PAD_TRIGGER_RADIUS = 4;
-const PAD_COOLDOWN = 1.5;
-const BOOST_SPEED = 20;
+const PAD_TRIGGER_RADIUS = 4; // how close kart center needs to be
+const PAD_COOLDOWN = 1.5; // seconds before same pad can re-trigger per kart
+const BOOST_SPEED = 20; // same as max slide boost (level 3)
 const BOOST_DURATION = 1.2;
 
-export function createServerBoostPads(mapData, trackData) {
+/**
+ * @param {object} mapData
+ * @returns {{ update: (racers: Array<{id, kart}>, dt: number) => object[] }}
+ */
+export function createSimBoostPads(mapData) {
   if (!mapData.boostPads || mapData.boostPads.length === 0) {
     return { update() { return []; } };
   }
@@ -16,10 +21,10 @@ export function createServerBoostPads(mapData, trackData) {
   const pads = mapData.boostPads.map(pad => ({
     x: (pad.x - mapData.width / 2) * mapData.scale * CELL_SIZE,
     z: (pad.y - mapData.height / 2) * mapData.scale * CELL_SIZE,
-    cooldowns: new Map(),
+    cooldowns: new Map(), // kartId → remaining cooldown time
   }));
 
-  function update(karts, dt) {
+  function update(racers, dt) {
     const events = [];
     for (const pad of pads) {
       for (const [kartId, t] of pad.cooldowns) {
@@ -28,8 +33,7 @@ export function createServerBoostPads(mapData, trackData) {
         else pad.cooldowns.set(kartId, remaining);
       }
 
-      for (const kart of karts) {
-        const id = kart.id;
+      for (const { id, kart } of racers) {
         if (pad.cooldowns.has(id)) continue;
 
         const dx = kart.position.x - pad.x;
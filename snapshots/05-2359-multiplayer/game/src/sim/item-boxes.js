@@ -0,0 +1,65 @@
+/**
+ * Item box pickups — pure logic shared by single-player and the server.
+ * Meshes and the bob/spin animation live in ../item-boxes.js.
+ */
+import { CELL_SIZE } from '../track.js';
+import { ITEMS } from './item-registry.js';
+import { ROULETTE_TIME, rollItem } from './item-table.js';
+import { canPickUpItem, giveItem } from './item-slots.js';
+
+const PICKUP_RADIUS = 4; // proximity trigger
+export const RESPAWN_TIME = 5; // seconds
+export const ITEM_TYPES = ITEMS.map(item => item.id);
+
+/** Known item types from an untrusted list, in ITEM_TYPES order */
+export function sanitizeItemTypes(list) {
+  return Array.isArray(list) ? ITEM_TYPES.filter(t => list.includes(t)) : [...ITEM_TYPES];
+}
+
+/**
+ * @param {object} mapData
+ * @param {() => number} rng - seeded random source
+ * @param {string[]} [itemTypes] - items the boxes hand out; none = no boxes
+ * @returns {{ boxes: object[], update: (racers: Array<{id, kart, position}>, dt: number) => object[] }}
+ */
+export function createSimItemBoxes(mapData, rng, itemTypes = ITEM_TYPES) {
+  if (!mapData.itemBoxes || mapData.itemBoxes.length === 0 || itemTypes.length === 0) {
+    return { boxes: [], update() { return []; } };
+  }
+
+  const boxes = mapData.itemBoxes.map((ib, i) => ({
+    x: (ib.x - mapData.width / 2) * mapData.scale * CELL_SIZE,
+    z: (ib.y - mapData.height / 2) * mapData.scale * CELL_SIZE,
+    respawnTimer: 0, // 0 = available
+    index: i,
+  }));
+
+  function update(racers, dt) {
+    const events = [];
+    for (const box of boxes) {
+      if (box.respawnTimer > 0) {
+        box.respawnTimer -= dt;
+        if (box.respawnTimer < 0) box.respawnTimer = 0;
+        continue;
+      }
+
+      for (const { id, kart, position } of racers) {
+        if (!canPickUpItem(kart.userData)) continue; // both slots full, or still rolling
+
+        const dx = kart.position.x - box.x;
+        const dz = kart.position.z - box.z;
+        if (dx * dx + dz * dz < PICKUP_RADIUS * PICKUP_RADIUS) {
+          const { item, count } = rollItem(itemTypes, position, racers.length, rng);
+          giveItem(kart.userData, item, count);
+          kart.userData.itemRoulette = ROULETTE_TIME;
+          box.respawnTimer = RESPAWN_TIME;
+          events.push({ type: 'item_pickup', kartId: id, item, count, boxIndex: box.index });
+          break; // only one kart picks up per tick
+        }
+      }
+    }
+    return events;
+  }
+
+  return { boxes, update };
+}
@@ -0,0 +1,112 @@
+/**
+ * Item registry — every item type the simulation knows, shared by
+ * single-player and the server.
+ *
+ * An item is one module in ./items/ exporting a definition:
+ *   { id, name, icon, hint?, weights, stack?, synced?, create(ctx) }
+ * `name`, `icon`, `hint` and `weights` feed the item table (item-table.js), and
+ * `stack: { count, weights, hint? }` adds a box roll for several at once, used
+ * one at a time (item-slots.js). `create(ctx)`
+ * gets the race context passed to createSimItems() and returns the item's
+ * per-race instance:
+ *   onUse(racer, view)      use the item; returns fields for its item_use event
+ *   update(racers, dt, hit, remove)
+ *                           optional, every step; call hit(racer, entity) when
+ *                           something the item left on the track hits a kart,
+ *                           remove(entity) when it goes off without hitting one
+ *   onHit(kart)             optional, what a hit does to the kart
+ *   block(racer, entity, itemId)
+ *                           optional, asked before any item's hit lands on a
+ *                           kart; true stops it (and spends whatever blocked it)
+ *   entities()              optional, what's on the track, for resyncing visuals
+ * `synced` items move in ways clients can't follow from events alone; the
+ * server sends their entities() with every snapshot (syncedEntities()).
+ * Visuals are optional and client-only — see ../item-visuals.js.
+ *
+ * Events: { type: 'item_use', item, kartId, ...onUse() fields },
+ * { type: 'item_hit', item, id, kartId, x, z } with the hitting entity's id,
+ * item_block with the same fields plus `by`, the item that stopped it, and
+ * { type: 'item_destroy', item, id, x, z } for remove().
+ */
+import { BOOST_ITEM } from './items/boost.js';
+import { SHIELD_ITEM } from './items/shield.js';
+import { TNT_ITEM } from './items/tnt.js';
+import { MISSILE_ITEM } from './items/missile.js';
+
+// Order is part of the deterministic state: items update, and get to block
+// hits, in this order
+export const ITEMS = [BOOST_ITEM, SHIELD_ITEM, TNT_ITEM, MISSILE_ITEM];
+
+/** Definition for an item id, or null */
+export function getItem(id) {
+  return ITEMS.find(item => item.id === id) || null;
+}
+
+/**
+ * Per-race instances of every item.
+ * @param {object} [ctx] - passed to every item's create()
+ * @param {Array<{x, z}>} [ctx.checkpoints] - world-space, in race order
+ * @param {object} [ctx.race] - RaceManager
+ * @param {object} [ctx.trackData] - terrain and ground height queries
+ * @returns {{ use: (racer: {id, kart}, itemId: string, view?: object[]) => object,
+ *   update: (racers: Array<{id, kart}>, dt: number) => object[],
+ *   get: (itemId: string) => object, entities: () => Object<string, object[]>,
+ *   syncedEntities: () => Object<string, object[]>|null }}
+ */
+export function createSimItems(ctx = {}) {
+  const instances = new Map(ITEMS.map(def => [def.id, def.create(ctx)]));
+  let events = [];
+
+  // One hit callback per item, bound to its instance
+  const hits = new Map([...instances].map(([itemId, item]) => [itemId, (racer, entity) => {
+    const evt = { type: 'item_hit', item: itemId, id: entity.id, kartId: racer.id, x: entity.x, z: entity.z };
+    for (const [blockerId, blocker] of instances) {
+      if (blocker.block && blocker.block(racer, entity, itemId)) {
+        events.push({ ...evt, type: 'item_block', by: blockerId });
+        return;
+      }
+    }
+    if (item.onHit) item.onHit(racer.kart);
+    events.push(evt);
+  }]));
+
+  // One remove callback per item, for entities that go off on their own
+  const removes = new Map([...instances.keys()].map(itemId => [itemId, (entity) => {
+    events.push({ type: 'item_destroy', item: itemId, id: entity.id, x: entity.x, z: entity.z });
+  }]));
+
+  function use(racer, itemId, view = null) {
+    const item = instances.get(itemId);
+    const fields = item ? item.onUse(racer, view) : {};
+    return { type: 'item_use', item: itemId, kartId: racer.id, ...fields };
+  }
+
+  function update(racers, dt) {
+    events = [];
+    for (const [itemId, item] of instances) {
+      if (item.update) item.update(racers, dt, hits.get(itemId), removes.get(itemId));
+    }
+    return events;
+  }
+
+  function entities() {
+    const out = {};
+    for (const [itemId, item] of instances) {
+      if (item.entities) out[itemId] = item.entities();
+    }
+    return out;
+  }
+
+  /** entities() of the `synced` items only, or null if there are none */
+  function syncedEntities() {
+    let out = null;
+    for (const def of ITEMS) {
+      if (!def.synced) continue;
+      out = out || {};
+      out[def.id] = instances.get(def.id).entities();
+    }
+    return out;
+  }
+
+  return { use, update, get: (itemId) => instances.get(itemId), entities, syncedEntities };
+}
@@ -0,0 +1,54 @@
+/**
+ * Item slots — what a kart carries, on kart.userData: the item in hand
+ * (heldItem, with heldCount uses left) and one in reserve (reserveItem,
+ * reserveCount). Pure logic shared by single-player and the server.
+ *
+ * A box fills the hand if it's empty, else the reserve. The roulette
+ * (itemRoulette) spins for the newest item: until it stops there are no more
+ * pickups or swaps, and the hand can't be used if it's the one spinning.
+ * Once the hand is used up, the reserve moves into it.
+ */
+
+/** True while the item in hand hasn't come out of the roulette yet */
+function handRolling(ud) {
+  return ud.itemRoulette > 0 && !ud.reserveItem;
+}
+
+/** True if a box can give the kart an item: a free slot and no roulette spinning */
+export function canPickUpItem(ud) {
+  return !(ud.itemRoulette > 0) && !(ud.heldItem && ud.reserveItem);
+}
+
+/** Put `count` of `item` in the hand, or in reserve if the hand is full */
+export function giveItem(ud, item, count) {
+  if (!ud.heldItem) {
+    ud.heldItem = item;
+    ud.heldCount = count;
+  } else {
+    ud.reserveItem = item;
+    ud.reserveCount = count;
+  }
+}
+
+/** True if the item in hand can be used now */
+export function canUseItem(ud) {
+  return !!ud.heldItem && !handRolling(ud);
+}
+
+/** Take one use off the item in hand; the reserve moves up when it runs out */
+export function spendItem(ud) {
+  ud.heldCount--;
+  if (ud.heldCount > 0) return;
+  ud.heldItem = ud.reserveItem;
+  ud.heldCount = ud.reserveCount;
+  ud.reserveItem = null;
+  ud.reserveCount = 0;
+}
+
+/** Swap the hand and the reserve; false if there's no reserve or the roulette is spinning */
+export function swapItems(ud) {
+  if (!ud.reserveItem || ud.itemRoulette > 0) return false;
+  [ud.heldItem, ud.reserveItem] = [ud.reserveItem, ud.heldItem];
+  [ud.heldCount, ud.reserveCount] = [ud.reserveCount, ud.heldCount];
+  return true;
+}
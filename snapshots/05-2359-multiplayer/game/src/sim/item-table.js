@@ -0,0 +1,66 @@
+/**
+ * Item table — every item the boxes can hand out, shared by single-player,
+ * the server and the HUD. Built from the item definitions in item-registry.js.
+ *
+ * Each item has one weight per position band, from the leader to last place.
+ * Leaders mostly roll TNT and shields to defend; the back of the field gets
+ * boosts and missiles to catch up. An item with a `stack` also has a stacked
+ * entry (three boosts, three TNT) with weights of its own.
+ */
+import { ITEMS } from './item-registry.js';
+
+export const POSITION_BANDS = 4; // weights per item: 1st, front, back, last
+export const ROULETTE_TIME = 1.2; // seconds the roulette spins before the item can be used
+
+/** Every entry a box can roll: { id, item, count, name, icon, hint, weights } */
+export const ITEM_TABLE = ITEMS.flatMap(({ id, name, icon, hint, weights, stack }) => {
+  const single = { id, item: id, count: 1, name, icon, hint, weights };
+  if (!stack) return [single];
+  return [single, {
+    id: `${id}x${stack.count}`,
+    item: id,
+    count: stack.count,
+    name,
+    icon: icon.repeat(stack.count),
+    hint: stack.hint || hint,
+    weights: stack.weights,
+  }];
+});
+
+/** Table entry for an entry id (a single item's is the item id), or null */
+export function getItemDef(id) {
+  return ITEM_TABLE.find(item => item.id === id) || null;
+}
+
+/** Position band for a race position: 0 = leader … POSITION_BANDS - 1 = last */
+export function getPositionBand(position, racerCount) {
+  if (racerCount <= 1) return 0;
+  const t = (Math.min(position, racerCount) - 1) / (racerCount - 1);
+  return Math.round(t * (POSITION_BANDS - 1));
+}
+
+/**
+ * Weighted pick for a racer's position, among the entries for the allowed
+ * items. Draws exactly one number from rng. If none of them has any weight
+ * at that position, every one is equally likely.
+ * @param {string[]} itemTypes - allowed item ids, non-empty
+ * @param {number} position - 1-based race position
+ * @param {number} racerCount
+ * @param {() => number} rng - seeded random source
+ * @returns {object} ITEM_TABLE entry
+ */
+export function rollItem(itemTypes, position, racerCount, rng) {
+  const band = getPositionBand(position, racerCount);
+  const entries = ITEM_TABLE.filter(entry => itemTypes.includes(entry.item));
+  const weights = entries.map(entry => entry.weights[band]);
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  const roll = rng();
+  if (total <= 0) return entries[Math.floor(roll * entries.length)];
+
+  let left = roll * total;
+  for (let i = 0; i < entries.length; i++) {
+    left -= weights[i];
+    if (left < 0) return entries[i];
+  }
+  return entries[entries.length - 1];
+}
@@ -0,0 +1,20 @@
+/**
+ * Boost — an instant burst of speed, nothing left on the track.
+ */
+const BOOST_SPEED = 15;
+const BOOST_DURATION = 1.6;
+
+export const BOOST_ITEM = {
+  id: 'boost',
+  name: 'BOOST',
+  icon: '⚡',
+  weights: [2, 4, 5, 5],
+  stack: { count: 3, weights: [0, 1, 2, 3] },
+  create: () => ({
+    onUse({ kart }) {
+      kart.userData.boostSpeed = BOOST_SPEED;
+      kart.userData.boostTimer = BOOST_DURATION;
+      return {};
+    },
+  }),
+};
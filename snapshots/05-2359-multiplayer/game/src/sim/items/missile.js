@@ -0,0 +1,217 @@
+/**
+ * Missiles — chase the racer one place ahead of the shooter along the
+ * checkpoint path, and home in once they're close. They blow up on walls
+ * (inaccessible terrain) and slopes too steep to fly over.
+ * Pure logic shared by single-player and the server. Meshes and trails live
+ * in ../../items/missile.js; the server sends every missile's position with
+ * each snapshot since clients can't predict the path.
+ */
+import { explodeKart } from '../../physics.js';
+
+export const MISSILE_SPEED = 55;
+const TURN_RATE = 4;            // rad/s, enough to take the path's corners
+const HIT_RADIUS = 2.5;
+export const LIFETIME = 6;
+const EXPLODE_VEL_Y = 20;
+const CONE_COS = Math.cos(Math.PI / 3); // 60° half-angle = 120° total
+const LOCK_DISTANCE = 30;       // leaves the path and homes in on its target within this
+const WAYPOINT_RADIUS = 12;     // close enough to a checkpoint to head for the next
+const MAX_SLOPE = 1.2;          // height change per unit flown that counts as hitting a slope
+const TERRAIN_INACCESSIBLE = 2;
+
+export const MISSILE_ITEM = {
+  id: 'missile',
+  name: 'MISSILE',
+  icon: '🚀',
+  weights: [0, 2, 4, 6],
+  synced: true,
+  create: createSimMissiles,
+};
+
+/**
+ * @param {object} ctx
+ * @param {Array<{x, z}>} ctx.checkpoints - world-space, in race order
+ * @param {object} ctx.race - RaceManager, for positions and checkpoint progress
+ * @param {object} ctx.trackData - terrain and ground height queries
+ */
+function createSimMissiles({ checkpoints = [], race = null, trackData = null } = {}) {
+  const active = [];
+  let nextId = 1;
+
+  /**
+   * @param {{id, kart}} racer - shooter
+   * @param {Array<{id, x, z}>} [view] - other karts where the shooter saw them
+   *   (server lag compensation); one within reach of the launch point is hit at once
+   */
+  function onUse({ id, kart }, view = null) {
+    const angle = kart.rotation.y;
+    // Fire from front of kart
+    const spawnDist = 2.5;
+    const wx = kart.position.x - Math.sin(angle) * spawnDist;
+    const wz = kart.position.z - Math.cos(angle) * spawnDist;
+    const shooter = race && race.racers.find(r => r.id === id);
+
+    const missile = {
+      id: nextId++,
+      ownerId: id,
+      targetId: shooter ? findTarget(shooter) : null,
+      waypoint: shooter ? shooter.nextCheckpoint : 0,
+      angle,
+      lifetime: LIFETIME,
+      x: wx,
+      z: wz,
+      groundY: trackData ? trackData.getGroundHeight(wx, wz) : 0,
+      pointBlankId: view ? closestWithin(view, wx, wz, HIT_RADIUS) : null,
+    };
+    active.push(missile);
+
+    return { id: missile.id, x: wx, z: wz, angle, targetId: missile.targetId };
+  }
+
+  /** The closest racer still on track ahead of `shooter` in the standings, or null for the leader */
+  function findTarget(shooter) {
+    let target = null;
+    for (const r of race.racers) {
+      if (r.finished || r.position >= shooter.position) continue;
+      if (!target || r.position > target.position) target = r;
+    }
+    return target ? target.id : null;
+  }
+
+  function update(racers, dt, hit, remove) {
+    for (let i = active.length - 1; i >= 0; i--) {
+      const m = active[i];
+      m.lifetime -= dt;
+
+      if (m.lifetime <= 0) {
+        active.splice(i, 1);
+        continue;
+      }
+
+      // Hit in the shooter's view as it was fired
+      const pointBlank = m.pointBlankId && racers.find(r => r.id === m.pointBlankId);
+      if (pointBlank) {
+        hit(pointBlank, m);
+        active.splice(i, 1);
+        continue;
+      }
+
+      const goal = lockedTarget(m, racers) || nextWaypoint(m);
+      if (goal) steerToward(m, goal.x, goal.z, dt);
+
+      // Move forward
+      m.x -= Math.sin(m.angle) * MISSILE_SPEED * dt;
+      m.z -= Math.cos(m.angle) * MISSILE_SPEED * dt;
+
+      if (hitsTerrain(m, dt)) {
+        remove(m);
+        active.splice(i, 1);
+        continue;
+      }
+
+      // Hit detection
+      for (const racer of racers) {
+        if (racer.id === m.ownerId) continue;
+        const dx = racer.kart.position.x - m.x;
+        const dz = racer.kart.position.z - m.z;
+        if (dx * dx + dz * dz < HIT_RADIUS * HIT_RADIUS) {
+          hit(racer, m);
+          active.splice(i, 1);
+          break;
+        }
+      }
+    }
+  }
+
+  /** The target's kart position, once it's close and in front of the missile */
+  function lockedTarget(m, racers) {
+    const target = m.targetId && racers.find(r => r.id === m.targetId);
+    if (!target) {
+      // No target (fired by the leader, or it left): anyone close ahead will do
+      return checkpoints.length === 0 ? closestInCone(m, racers) : null;
+    }
+    const dx = target.kart.position.x - m.x;
+    const dz = target.kart.position.z - m.z;
+    const dist = Math.sqrt(dx * dx + dz * dz);
+    if (dist > LOCK_DISTANCE || dist < 0.1) return null;
+    const dot = (dx * -Math.sin(m.angle) + dz * -Math.cos(m.angle)) / dist;
+    return dot >= CONE_COS ? target.kart.position : null;
+  }
+
+  function closestInCone(m, racers) {
+    const fwdX = -Math.sin(m.angle);
+    const fwdZ = -Math.cos(m.angle);
+    let closest = null;
+    let closestDist = LOCK_DISTANCE * LOCK_DISTANCE;
+    for (const { id, kart } of racers) {
+      if (id === m.ownerId) continue;
+      const dx = kart.position.x - m.x;
+      const dz = kart.position.z - m.z;
+      const dist = dx * dx + dz * dz;
+      if (dist < 0.01 || dist >= closestDist) continue;
+      if ((dx * fwdX + dz * fwdZ) / Math.sqrt(dist) < CONE_COS) continue;
+      closestDist = dist;
+      closest = kart.position;
+    }
+    return closest;
+  }
+
+  /** Checkpoint the missile is heading for, moving on once it's reached or passed */
+  function nextWaypoint(m) {
+    if (checkpoints.length === 0) return null;
+    for (let n = 0; n < checkpoints.length; n++) {
+      const cp = checkpoints[m.waypoint];
+      const next = checkpoints[(m.waypoint + 1) % checkpoints.length];
+      const dx = m.x - cp.x;
+      const dz = m.z - cp.z;
+      const reached = dx * dx + dz * dz < WAYPOINT_RADIUS * WAYPOINT_RADIUS;
+      const passed = dx * (next.x - cp.x) + dz * (next.z - cp.z) > 0;
+      if (!reached && !passed) return cp;
+      m.waypoint = (m.waypoint + 1) % checkpoints.length;
+    }
+    return checkpoints[m.waypoint];
+  }
+
+  /** True if the missile flew into a wall or a slope too steep to follow */
+  function hitsTerrain(m, dt) {
+    if (!trackData) return false;
+    if (trackData.getTerrainType(m.x, m.z) === TERRAIN_INACCESSIBLE) return true;
+    const groundY = trackData.getGroundHeight(m.x, m.z);
+    const slope = Math.abs(groundY - m.groundY) / (MISSILE_SPEED * dt);
+    m.groundY = groundY;
+    return slope > MAX_SLOPE;
+  }
+
+  function onHit(kart) {
+    explodeKart(kart, EXPLODE_VEL_Y);
+  }
+
+  function entities() {
+    return active.map(m => ({ id: m.id, x: m.x, z: m.z, angle: m.angle, lifetime: m.lifetime, targetId: m.targetId }));
+  }
+
+  return { onUse, update, onHit, entities, active };
+}
+
+function steerToward(m, tx, tz, dt) {
+  let angleDiff = Math.atan2(-(tx - m.x), -(tz - m.z)) - m.angle;
+  // Normalize to -PI..PI
+  angleDiff = ((angleDiff + Math.PI) % (Math.PI * 2) + Math.PI * 2) % (Math.PI * 2) - Math.PI;
+  m.angle += Math.sign(angleDiff) * Math.min(Math.abs(angleDiff), TURN_RATE * dt);
+}
+
+/** Id of the closest entry in `view` within `radius` of (x, z), or null */
+export function closestWithin(view, x, z, radius) {
+  let bestId = null;
+  let bestDistSq = radius * radius;
+  for (const v of view) {
+    const dx = v.x - x;
+    const dz = v.z - z;
+    const distSq = dx * dx + dz * dz;
+    if (distSq < bestDistSq) {
+      bestDistSq = distSq;
+      bestId = v.id;
+    }
+  }
+  return bestId;
+}
@@ -0,0 +1,32 @@
+/**
+ * Shield — a bubble around the kart that absorbs the next TNT or missile
+ * hit, or wears off after a few seconds. Pure logic; the bubble is drawn by
+ * ../../items/shield.js from the kart's shieldTimer.
+ */
+export const SHIELD_DURATION = 6; // seconds
+
+export const SHIELD_ITEM = {
+  id: 'shield',
+  name: 'SHIELD',
+  icon: '🛡',
+  weights: [4, 3, 2, 1],
+  create: () => ({
+    onUse({ kart }) {
+      kart.userData.shieldTimer = SHIELD_DURATION;
+      return {};
+    },
+
+    update(racers, dt) {
+      for (const { kart } of racers) {
+        const ud = kart.userData;
+        if (ud.shieldTimer > 0) ud.shieldTimer = Math.max(0, ud.shieldTimer - dt);
+      }
+    },
+
+    block({ kart }) {
+      if (!(kart.userData.shieldTimer > 0)) return false;
+      kart.userData.shieldTimer = 0; // one hit and it pops
+      return true;
+    },
+  }),
+};
@@ -0,0 +1,125 @@
+/**
+ * TNT — dropped behind the kart, goes off when a kart drives into it.
+ * Until it's dropped it trails behind the kart that holds it and takes the
+ * hit for any missile coming from behind. Triple TNT orbits the kart instead
+ * and stops missiles from any side, one TNT per missile.
+ * Pure logic shared by single-player and the server; meshes live in
+ * ../../items/tnt.js and follow the emitted events.
+ */
+import { explodeKart } from '../../physics.js';
+import { closestWithin } from './missile.js';
+import { canUseItem, spendItem } from '../item-slots.js';
+
+const TRIGGER_RADIUS = 2.5;
+const EXPLODE_VEL_Y = 22;       // upward launch force
+export const LIFETIME = 30;      // seconds before auto-despawn
+const OWNER_IMMUNITY = 0.8;      // seconds the placer can't trigger its own TNT
+export const HOLD_DISTANCE = 3;  // behind the kart's center, held or dropped
+
+export const TNT_ITEM = {
+  id: 'tnt',
+  name: 'TNT',
+  icon: '💣',
+  hint: 'HELD BEHIND',
+  weights: [6, 4, 2, 1],
+  stack: { count: 3, hint: 'ORBITING', weights: [2, 2, 1, 0] },
+  create: createSimTNT,
+};
+
+/** True if the kart has TNT out (in hand, roulette stopped, not dropped) */
+export function isHoldingTNT(kart) {
+  return kart.userData.heldItem === 'tnt' && canUseItem(kart.userData);
+}
+
+/** True if the kart's held TNT orbits it rather than trailing behind: more than one left */
+export function isOrbitingTNT(kart) {
+  return isHoldingTNT(kart) && kart.userData.heldCount > 1;
+}
+
+function createSimTNT() {
+  const placed = [];
+  let nextId = 1;
+
+  /**
+   * @param {{id, kart}} racer - placer
+   * @param {Array<{id, x, z}>} [view] - other karts where the placer saw them
+   *   (server lag compensation); one on the drop point sets it off at once
+   */
+  function onUse({ id, kart }, view = null) {
+    const angle = kart.rotation.y;
+    const wx = kart.position.x + Math.sin(angle) * HOLD_DISTANCE;
+    const wz = kart.position.z + Math.cos(angle) * HOLD_DISTANCE;
+
+    const tnt = {
+      id: nextId++,
+      x: wx,
+      z: wz,
+      ownerId: id,
+      immuneTimer: OWNER_IMMUNITY,
+      lifetime: LIFETIME,
+      pointBlankId: view ? closestWithin(view, wx, wz, TRIGGER_RADIUS) : null,
+    };
+    placed.push(tnt);
+
+    return { id: tnt.id, x: wx, z: wz };
+  }
+
+  function update(racers, dt, hit) {
+    for (let i = placed.length - 1; i >= 0; i--) {
+      const tnt = placed[i];
+      tnt.lifetime -= dt;
+      if (tnt.immuneTimer > 0) tnt.immuneTimer -= dt;
+
+      if (tnt.lifetime <= 0) {
+        placed.splice(i, 1);
+        continue;
+      }
+
+      // Dropped on a kart in the placer's view
+      const pointBlank = tnt.pointBlankId && racers.find(r => r.id === tnt.pointBlankId);
+      if (pointBlank) {
+        hit(pointBlank, tnt);
+        placed.splice(i, 1);
+        continue;
+      }
+
+      for (const racer of racers) {
+        // Skip owner during immunity
+        if (tnt.immuneTimer > 0 && racer.id === tnt.ownerId) continue;
+
+        const dx = racer.kart.position.x - tnt.x;
+        const dz = racer.kart.position.z - tnt.z;
+        if (dx * dx + dz * dz < TRIGGER_RADIUS * TRIGGER_RADIUS) {
+          hit(racer, tnt);
+          placed.splice(i, 1);
+          break;
+        }
+      }
+    }
+  }
+
+  function onHit(kart) {
+    explodeKart(kart, EXPLODE_VEL_Y);
+  }
+
+  /**
+   * Held TNT stops a missile that reaches the kart from behind, orbiting TNT
+   * one from any side; the missile and one TNT are spent
+   */
+  function block({ kart }, entity, itemId) {
+    if (itemId !== 'missile' || !isHoldingTNT(kart)) return false;
+    if (!isOrbitingTNT(kart)) {
+      const backX = Math.sin(kart.rotation.y);
+      const backZ = Math.cos(kart.rotation.y);
+      if ((entity.x - kart.position.x) * backX + (entity.z - kart.position.z) * backZ <= 0) return false;
+    }
+    spendItem(kart.userData);
+    return true;
+  }
+
+  function entities() {
+    return placed.map(t => ({ id: t.id, x: t.x, z: t.z, lifetime: t.lifetime }));
+  }
+
+  return { onUse, update, onHit, block, entities, placed };
+}
@@ -0,0 +1,219 @@
+/**
+ * Race replays — map id, seed and every racer's per-step input.
+ *
+ * Playback re-runs RaceSimulation with the recorded inputs for every racer,
+ * bots included, so a replay stays valid even if the bot AI changes later.
+ *
+ * File format (JSON):
+ *   { version, mapId, seed, items, rules, grid, ticks, racers: [{ id, kartIndex, isPlayer, profile }], inputs: [base64, ...] }
+ * `profile` is the kart's stats profile at recording time (older replays: none,
+ * look it up by kartIndex). `grid` is the starting grid layout (older replays:
+ * none, they started side by side). Replays older than ITEM_RULES_VERSION are
+ * rejected unless they had no items (time trials, ghosts).
+ * One input stream per racer, run-length encoded as repeated
+ * [run (varint), accel (int8), steer (int8), flags (uint8)] — inputs are
+ * already int8-quantized by the simulation, so nothing is lost.
+ */
+import { EMPTY_INPUT, GRID_LAYOUTS } from './simulation.js';
+import { sanitizeRules } from '../race.js';
+import { sanitizeProfile } from '../kart-stats.js';
+import { sanitizeItemTypes } from './item-boxes.js';
+
+export const REPLAY_VERSION = 5;
+const ITEM_RULES_VERSION = 5; // oldest version whose item races still reproduce
+
+// Flag bits
+const HOP_Z = 1;
+const HOP_X = 2;
+const HOP_Z_TAP = 4;
+const HOP_X_TAP = 8;
+const ITEM_USE_TAP = 16;
+const ITEM_SWAP_TAP = 32;
+
+/** Quantized input → 24-bit frame: accel | steer << 8 | flags << 16 */
+function packInput(input) {
+  const accel = Math.round(input.accel * 127) & 0xff;
+  const steer = Math.round(input.steer * 127) & 0xff;
+  let flags = 0;
+  if (input.hopZ) flags |= HOP_Z;
+  if (input.hopX) flags |= HOP_X;
+  if (input.hopZTap) flags |= HOP_Z_TAP;
+  if (input.hopXTap) flags |= HOP_X_TAP;
+  if (input.itemUseTap) flags |= ITEM_USE_TAP;
+  if (input.itemSwapTap) flags |= ITEM_SWAP_TAP;
+  return accel | (steer << 8) | (flags << 16);
+}
+
+function unpackInput(frame) {
+  const flags = frame >> 16;
+  return {
+    accel: ((frame << 24) >> 24) / 127, // sign-extend int8
+    steer: ((frame << 16) >> 24) / 127,
+    hopZ: (flags & HOP_Z) !== 0,
+    hopX: (flags & HOP_X) !== 0,
+    hopZTap: (flags & HOP_Z_TAP) !== 0,
+    hopXTap: (flags & HOP_X_TAP) !== 0,
+    itemUseTap: (flags & ITEM_USE_TAP) !== 0,
+    itemSwapTap: (flags & ITEM_SWAP_TAP) !== 0,
+  };
+}
+
+function encodeStream(frames) {
+  const bytes = [];
+  let i = 0;
+  while (i < frames.length) {
+    let run = 1;
+    while (i + run < frames.length && frames[i + run] === frames[i]) run++;
+    // varint run length
+    let n = run;
+    while (n >= 0x80) {
+      bytes.push((n & 0x7f) | 0x80);
+      n >>>= 7;
+    }
+    bytes.push(n);
+    bytes.push(frames[i] & 0xff, (frames[i] >> 8) & 0xff, (frames[i] >> 16) & 0xff);
+    i += run;
+  }
+  let binary = '';
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary);
+}
+
+function decodeStream(base64, ticks) {
+  const binary = atob(base64);
+  const frames = new Int32Array(ticks);
+  let pos = 0;
+  let t = 0;
+  while (pos < binary.length && t < ticks) {
+    let run = 0;
+    let shift = 0;
+    let b;
+    do {
+      b = binary.charCodeAt(pos++);
+      run |= (b & 0x7f) << shift;
+      shift += 7;
+    } while (b & 0x80);
+    const frame = binary.charCodeAt(pos)
+      | (binary.charCodeAt(pos + 1) << 8)
+      | (binary.charCodeAt(pos + 2) << 16);
+    pos += 3;
+    const end = Math.min(ticks, t + run);
+    frames.fill(frame, t, end);
+    t = end;
+  }
+  if (t < ticks) throw new Error('Replay input stream is truncated');
+  return frames;
+}
+
+/**
+ * Records the input each racer used on every simulation step.
+ * Call capture(sim) right after each sim.step().
+ */
+export class ReplayRecorder {
+  /**
+   * @param {object} opts
+   * @param {string} opts.mapId
+   * @param {number} opts.seed - the simulation's seed
+   * @param {Array<{id: string, kartIndex: number, isPlayer: boolean, profile: object}>} opts.racers - in grid order
+   * @param {boolean|string[]} [opts.items] - item boxes were active, or the item types they handed out
+   * @param {object} [opts.rules] - the simulation's race rules
+   * @param {string} [opts.grid] - the getGridPositions() layout the racers started on
+   */
+  constructor({ mapId, seed, racers, items = true, rules = null, grid = 'staggered' }) {
+    this.mapId = mapId;
+    this.seed = seed >>> 0;
+    this.items = items;
+    this.rules = rules;
+    this.grid = grid;
+    this.racers = racers.map(r => ({
+      id: r.id,
+      kartIndex: r.kartIndex,
+      isPlayer: !!r.isPlayer,
+      profile: sanitizeProfile(r.profile),
+    }));
+    this.frames = this.racers.map(() => []);
+  }
+
+  get ticks() {
+    return this.frames[0] ? this.frames[0].length : 0;
+  }
+
+  capture(sim) {
+    for (let i = 0; i < this.racers.length; i++) {
+      this.frames[i].push(packInput(sim.racers[i].input));
+    }
+  }
+
+  /** @returns {object} replay, as returned by decodeReplay() */
+  finish() {
+    return {
+      version: REPLAY_VERSION,
+      mapId: this.mapId,
+      seed: this.seed,
+      items: this.items,
+      rules: this.rules,
+      grid: this.grid,
+      ticks: this.ticks,
+      racers: this.racers,
+      frames: this.frames.map(f => Int32Array.from(f)),
+    };
+  }
+}
+
+/** Replay → JSON string for saving */
+export function encodeReplay(replay) {
+  return JSON.stringify({
+    version: replay.version,
+    mapId: replay.mapId,
+    seed: replay.seed,
+    items: replay.items,
+    rules: replay.rules,
+    grid: replay.grid,
+    ticks: replay.ticks,
+    racers: replay.racers,
+    inputs: replay.frames.map(encodeStream),
+  });
+}
+
+/**
+ * Parse a saved replay. Throws on unknown versions or malformed data.
+ * @returns {{ version, mapId, seed, items, rules, grid, ticks, racers, frames: Int32Array[] }}
+ */
+export function decodeReplay(text) {
+  const data = JSON.parse(text);
+  if (!(data.version >= 1 && data.version <= REPLAY_VERSION)) {
+    throw new Error(`Unsupported replay version: ${data.version}`);
+  }
+  const items = Array.isArray(data.items) ? sanitizeItemTypes(data.items) : data.items !== false;
+  if (data.version < ITEM_RULES_VERSION && (items === true || items.length > 0)) {
+    throw new Error('Replay is from an older item system and can no longer be played');
+  }
+  if (!data.mapId || !Array.isArray(data.racers) || !Array.isArray(data.inputs)
+    || data.inputs.length !== data.racers.length) {
+    throw new Error('Malformed replay file');
+  }
+  return {
+    version: data.version,
+    mapId: data.mapId,
+    seed: data.seed >>> 0,
+    items,
+    rules: data.rules ? sanitizeRules(data.rules) : null, // null = the map's defaults
+    grid: GRID_LAYOUTS.includes(data.grid) ? data.grid : 'side-by-side',
+    ticks: data.ticks,
+    racers: data.racers,
+    frames: data.inputs.map(s => decodeStream(s, data.ticks)),
+  };
+}
+
+/**
+ * Inputs for simulation step `tick` (0-based: the step run when sim.tick === tick)
+ * @returns {Map<string, object>}
+ */
+export function getReplayInputs(replay, tick) {
+  const inputs = new Map();
+  for (let i = 0; i < replay.racers.length; i++) {
+    const frames = replay.frames[i];
+    inputs.set(replay.racers[i].id, tick < frames.length ? unpackInput(frames[tick]) : EMPTY_INPUT);
+  }
+  return inputs;
+}
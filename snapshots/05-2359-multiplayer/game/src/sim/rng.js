@@ -0,0 +1,24 @@
+/**
+ * Seeded PRNG (mulberry32). The simulation never calls Math.random() so
+ * that a seed plus the recorded inputs always reproduce the same race.
+ */
+
+/**
+ * @param {number} seed - 32-bit unsigned integer
+ * @returns {() => number} random number in [0, 1)
+ */
+export function createRng(seed) {
+  let state = seed >>> 0;
+  return function rng() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Fresh seed for a new race (the only place randomness enters the sim) */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
@@ -0,0 +1,374 @@
+/**
+ * Deterministic race simulation — fixed 1/60 s steps, seeded randomness.
+ *
+ * Advances physics, kart-to-kart collisions, boost pads, item boxes, items
+ * (item-registry.js) and race state for every racer. Shared by the
+ * single-player loop and the server's GameRoom: the same map, seed and
+ * per-tick inputs always reproduce the same race. No rendering, no
+ * Math.random().
+ */
+import * as THREE from 'three';
+import { CELL_SIZE } from '../track.js';
+import { KartPhysics, KART_DEFAULTS } from '../physics.js';
+import { resolveKartCollisions } from '../kart-collision.js';
+import { RaceManager, resolveRaceRules } from '../race.js';
+import { BotInput, BotController, BOT_DIFFICULTIES } from '../bot-input.js';
+import { createRng } from './rng.js';
+import { createSimBoostPads } from './boost-pads.js';
+import { createSimItemBoxes, ITEM_TYPES } from './item-boxes.js';
+import { createSimItems } from './item-registry.js';
+import { canUseItem, spendItem, swapItems } from './item-slots.js';
+
+export const SIM_RATE = 60;
+export const SIM_DT = 1 / SIM_RATE;
+const MAX_CATCH_UP_STEPS = 5; // drop backlog beyond this instead of spiralling
+
+export const EMPTY_INPUT = Object.freeze({
+  accel: 0,
+  steer: 0,
+  hopZ: false,
+  hopX: false,
+  hopZTap: false,
+  hopXTap: false,
+  itemUseTap: false,
+  itemSwapTap: false,
+});
+
+// --- Map setup helpers (shared so client and server build identical grids) ---
+
+/**
+ * Start position and Three.js heading from map.json `start`
+ * @returns {{x, z, angle}}
+ */
+export function getStartPose(mapData) {
+  if (!mapData.start) return { x: 0, z: 0, angle: 0 };
+  return {
+    x: (mapData.start.x - mapData.width / 2) * mapData.scale * CELL_SIZE,
+    z: (mapData.start.y - mapData.height / 2) * mapData.scale * CELL_SIZE,
+    // Map editor stores atan2(dy,dx) where 0=+X; convert to Three.js rotation.y where 0=-Z
+    angle: -(mapData.start.angle || 0) - Math.PI / 2,
+  };
+}
+
+export const MAX_RACERS = 12; // most karts a grid takes
+export const GRID_LAYOUTS = ['staggered', 'side-by-side'];
+
+/**
+ * Spawn positions behind the start line: two lanes, slot 0 on pole. The
+ * 'staggered' grid puts each right-lane kart half a row behind its partner;
+ * 'side-by-side' is the original square grid, kept for older replays.
+ * @param {{x, z, angle}} start - from getStartPose()
+ * @param {(x: number, z: number) => number} getGroundHeight
+ * @param {number} [count] - number of slots
+ * @param {string} [layout] - one of GRID_LAYOUTS
+ * @returns {Array<{x, y, z}>}
+ */
+export function getGridPositions(start, getGroundHeight, count = 4, layout = 'staggered') {
+  // Grid offsets: perpendicular and parallel to start angle
+  const perpX = Math.cos(start.angle);
+  const perpZ = -Math.sin(start.angle);
+  const paraX = -Math.sin(start.angle);
+  const paraZ = -Math.cos(start.angle);
+  const LATERAL = 3;
+  const FORWARD = 4; // row spacing
+  const stagger = layout === 'side-by-side' ? 0 : FORWARD / 2;
+
+  const positions = [];
+  for (let slot = 0; slot < count; slot++) {
+    const right = slot % 2 === 1;
+    const lat = right ? LATERAL : -LATERAL;
+    const fwd = -Math.floor(slot / 2) * FORWARD - (right ? stagger : 0);
+    const x = start.x + perpX * lat + paraX * fwd;
+    const z = start.z + perpZ * lat + paraZ * fwd;
+    positions.push({ x, y: getGroundHeight(x, z) + 1, z });
+  }
+  return positions;
+}
+
+/**
+ * Map-space checkpoints → world-space {x, z}. Gates (a `width` in map.json)
+ * also get {halfWidth, nx, nz}: half their length and the race-forward normal.
+ */
+export function getWorldCheckpoints(mapData) {
+  const unit = mapData.scale * CELL_SIZE;
+  return (mapData.checkpoints || []).map(cp => {
+    const world = {
+      x: (cp.x - mapData.width / 2) * unit,
+      z: (cp.y - mapData.height / 2) * unit,
+    };
+    if (cp.width > 0) {
+      // Map angle is atan2(dy,dx) with map y → world z
+      const angle = cp.angle || 0;
+      world.halfWidth = (cp.width * unit) / 2;
+      world.nx = Math.cos(angle);
+      world.nz = Math.sin(angle);
+    }
+    return world;
+  });
+}
+
+/**
+ * Finish line: perpendicular to start direction, at the start position.
+ * Normal points in the race-forward direction (the way karts face at start).
+ */
+export function getFinishLine(start) {
+  return {
+    x: start.x,
+    z: start.z,
+    nx: -Math.sin(start.angle),
+    nz: -Math.cos(start.angle),
+  };
+}
+
+/**
+ * Reset a kart's simulation state (userData) at a spawn point
+ * @param {object} [stats] - from kartStatsFromProfile(); KART_DEFAULTS if omitted
+ */
+export function initKartState(kart, spawnPoint, stats = KART_DEFAULTS) {
+  kart.userData.velocity = new THREE.Vector3();
+  kart.userData.speed = 0;
+  kart.userData.steerAngle = 0;
+  kart.userData.grounded = false;
+  kart.userData.stats = { ...stats };
+  kart.userData.spawnPoint = { x: spawnPoint.x, y: spawnPoint.y, z: spawnPoint.z };
+  kart.userData.slideActive = false;
+  kart.userData.slideButton = null;
+  kart.userData.slideDir = 0;
+  kart.userData.slideAngle = 0;
+  kart.userData.slideTimer = 0;
+  kart.userData.slideBoosts = 0;
+  kart.userData.boostTimer = 0;
+  kart.userData.boostSpeed = 0;
+  kart.userData.heldItem = null;
+  kart.userData.heldCount = 0; // uses left of heldItem
+  kart.userData.reserveItem = null; // second item, swapped in or moved up when heldItem runs out
+  kart.userData.reserveCount = 0;
+  kart.userData.itemRoulette = 0; // seconds until the newest item (reserve if any, else held) comes out
+  kart.userData.shieldTimer = 0; // seconds of shield left; absorbs one hit
+}
+
+// --- Input handling ---
+
+/**
+ * Analog axes are quantized to int8 steps (x/127) before the simulation sees
+ * them, so replays and the network carry exactly the values that were simulated.
+ */
+export function quantizeInput(input) {
+  return {
+    accel: Math.round(Math.max(-1, Math.min(1, input.accel || 0)) * 127) / 127,
+    steer: Math.round(Math.max(-1, Math.min(1, input.steer || 0)) * 127) / 127,
+    hopZ: !!input.hopZ,
+    hopX: !!input.hopX,
+    hopZTap: !!input.hopZTap,
+    hopXTap: !!input.hopXTap,
+    itemUseTap: !!input.itemUseTap,
+    itemSwapTap: !!input.itemSwapTap,
+  };
+}
+
+/**
+ * Collects input between simulation steps. Held state is the latest sample;
+ * taps are latched until the next take() so a tap is seen by exactly one
+ * step, whether zero or several steps run per render frame or packet.
+ */
+export class InputLatch {
+  constructor() {
+    this.current = { ...EMPTY_INPUT };
+  }
+
+  sample(input) {
+    const c = this.current;
+    c.accel = input.accel;
+    c.steer = input.steer;
+    c.hopZ = input.hopZ;
+    c.hopX = input.hopX;
+    c.hopZTap = c.hopZTap || input.hopZTap;
+    c.hopXTap = c.hopXTap || input.hopXTap;
+    c.itemUseTap = c.itemUseTap || input.itemUseTap;
+    c.itemSwapTap = c.itemSwapTap || input.itemSwapTap;
+  }
+
+  /** Input for one step — clears the latched taps */
+  take() {
+    const out = { ...this.current };
+    this.current.hopZTap = false;
+    this.current.hopXTap = false;
+    this.current.itemUseTap = false;
+    this.current.itemSwapTap = false;
+    return out;
+  }
+}
+
+// --- Simulation ---
+
+export class RaceSimulation {
+  /**
+   * @param {object} opts
+   * @param {object} opts.mapData - loaded map data
+   * @param {object} opts.trackData - TrackData instance for ground queries
+   * @param {Array<{id: string, kart: object, isPlayer?: boolean, isBot?: boolean}>} opts.racers
+   *   - in grid order; order is part of the deterministic state
+   * @param {number} opts.seed - 32-bit seed for all randomness
+   * @param {boolean|string[]} [opts.items] - item boxes active (off for time trials),
+   *   or the item types they hand out
+   * @param {object} [opts.rules] - race rules from resolveRaceRules(); map defaults if omitted
+   */
+  constructor({ mapData, trackData, racers, seed, items = true, rules = resolveRaceRules(mapData) }) {
+    this.seed = seed >>> 0;
+    this.rng = createRng(this.seed);
+    this.tick = 0;
+    this.checkpoints = getWorldCheckpoints(mapData);
+
+    const obstacles = trackData.getObstacles();
+    this.racers = racers.map(r => ({
+      id: r.id,
+      kart: r.kart,
+      isPlayer: r.isPlayer || false,
+      physics: new KartPhysics(obstacles, trackData),
+      bot: null,
+      input: EMPTY_INPUT, // quantized input used on the last step
+    }));
+    this.karts = this.racers.map(r => r.kart);
+    this.rules = rules;
+    for (const r of racers) {
+      if (r.isBot) this.setBot(r.id);
+    }
+
+    const start = getStartPose(mapData);
+    this.finishLine = getFinishLine(start);
+    this.race = new RaceManager(this.checkpoints, this.racers, this.finishLine, rules);
+
+    this.boostPads = createSimBoostPads(mapData);
+    this.itemBoxes = createSimItemBoxes(mapData, this.rng, items === true ? ITEM_TYPES : items || []);
+    this.items = createSimItems({ checkpoints: this.checkpoints, race: this.race, trackData });
+
+    // Server lag compensation: (racerId) → other karts' {id, x, z} as that
+    // player saw them when making this step's input, or null for the present
+    this.getLagView = null;
+  }
+
+  getRacer(id) {
+    return this.racers.find(r => r.id === id);
+  }
+
+  /** Hand a racer's kart over to the bot AI (e.g. when a player disconnects) */
+  setBot(id) {
+    const index = this.racers.findIndex(r => r.id === id);
+    const r = this.racers[index];
+    if (!r || r.bot) return;
+    // Each bot draws from its own stream so item rolls don't depend on who's a bot
+    const rng = createRng((this.seed + (index + 1) * 0x9e3779b9) >>> 0);
+    const input = new BotInput();
+    const skill = BOT_DIFFICULTIES[this.rules.botDifficulty] || BOT_DIFFICULTIES[1];
+    r.bot = { input, controller: new BotController(r.kart, input, this.checkpoints, rng, skill) };
+  }
+
+  /** Give a racer's kart back to its player's inputs (e.g. after a reconnect) */
+  setHuman(id) {
+    const r = this.getRacer(id);
+    if (r) r.bot = null;
+  }
+
+  /**
+   * Advance the whole race by one fixed step.
+   * @param {Map<string, object>} [inputs] - per-player input for this step; bots ignore it
+   * @returns {object[]} events emitted during the step
+   */
+  step(inputs) {
+    const dt = SIM_DT;
+    this.tick++;
+    const events = [];
+    for (const r of this.racers) r.input = EMPTY_INPUT;
+
+    // 1. Race state (countdown, checkpoints, positions)
+    this.race.update(dt);
+    if (this.race.isFrozen()) return events;
+
+    // 2. Bot AI
+    for (const r of this.racers) {
+      if (r.bot) r.bot.controller.update(dt);
+    }
+
+    // 3. Physics for each kart
+    for (const r of this.racers) {
+      r.input = quantizeInput(r.bot ? r.bot.input : (inputs && inputs.get(r.id)) || EMPTY_INPUT);
+      r.physics.update(r.kart, r.input, dt);
+    }
+
+    // 4. Kart-to-kart collisions
+    resolveKartCollisions(this.karts);
+
+    // 5. Boost pads + item box pickups
+    events.push(...this.boostPads.update(this.racers, dt));
+    events.push(...this.itemBoxes.update(this.race.racers, dt));
+
+    // 6. Item swaps and activation, once the roulette has stopped
+    for (const r of this.racers) {
+      const ud = r.kart.userData;
+      if (ud.itemRoulette > 0) {
+        ud.itemRoulette = Math.max(0, ud.itemRoulette - dt);
+      } else if (r.input.itemSwapTap) {
+        swapItems(ud);
+      }
+      if (r.input.itemUseTap && canUseItem(ud)) {
+        events.push(this._useItem(r));
+      }
+    }
+
+    // 7. Items on the track (TNT, missiles, ...)
+    events.push(...this.items.update(this.racers, dt));
+
+    // 8. Item/hit stats for the results screen
+    this.race.recordEvents(events);
+
+    return events;
+  }
+
+  _useItem(r) {
+    const item = r.kart.userData.heldItem;
+    spendItem(r.kart.userData);
+    return this.items.use(r, item, this.getLagView && this.getLagView(r.id));
+  }
+}
+
+// --- Fixed-step driver ---
+
+/**
+ * Accumulates variable frame time and runs the step callback in fixed
+ * SIM_DT increments. Leftover time carries to the next advance().
+ */
+export class FixedStepLoop {
+  /**
+   * @param {() => void} step - runs one simulation step
+   * @param {number} [maxSteps] - cap per advance() after a stall
+   */
+  constructor(step, maxSteps = MAX_CATCH_UP_STEPS) {
+    this.step = step;
+    this.maxSteps = maxSteps;
+    this.accumulator = 0;
+  }
+
+  /**
+   * @param {number} elapsed - seconds since the last call
+   * @returns {number} steps run
+   */
+  advance(elapsed) {
+    this.accumulator += elapsed;
+    let steps = 0;
+    while (this.accumulator >= SIM_DT && steps < this.maxSteps) {
+      this.accumulator -= SIM_DT;
+      this.step();
+      steps++;
+    }
+    // Fell too far behind — drop the backlog rather than fast-forwarding
+    if (steps === this.maxSteps && this.accumulator >= SIM_DT) {
+      this.accumulator = 0;
+    }
+    return steps;
+  }
+
+  /** Fraction of a step left in the accumulator, for render interpolation */
+  get alpha() {
+    return this.accumulator / SIM_DT;
+  }
+}
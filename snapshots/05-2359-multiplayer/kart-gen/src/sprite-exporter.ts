@@ -154,6 +154,7 @@ export async function exportAllToFolder(
 
 - **sprites.png** — sprite sheet with all karts and steering variants
 - **sprites.json** — metadata describing the layout
+- **stats.json** — hand-edited speed/accel/handling/weight ratings per kart name (not written by the exporter)
 
 ## Sprite Sheet Layout
 
@@ -359,6 +359,31 @@ export class Editor {
       const sy = panY + (cp.y + 0.5) * zoom;
       const r = Math.max(8, zoom * 0.8);
 
+      // Gate: line across the track plus an arrow in the race direction
+      if (cp.width !== undefined) {
+        const angle = cp.angle ?? 0;
+        const half = (cp.width / 2) * zoom;
+        const ax = -Math.sin(angle) * half;
+        const ay = Math.cos(angle) * half;
+        ctx.beginPath();
+        ctx.moveTo(sx - ax, sy - ay);
+        ctx.lineTo(sx + ax, sy + ay);
+        ctx.strokeStyle = "rgba(255, 200, 0, 0.9)";
+        ctx.lineWidth = 3;
+        ctx.stroke();
+
+        const tipX = sx + Math.cos(angle) * r * 2.2;
+        const tipY = sy + Math.sin(angle) * r * 2.2;
+        ctx.beginPath();
+        ctx.moveTo(sx, sy);
+        ctx.lineTo(tipX, tipY);
+        ctx.lineTo(tipX - Math.cos(angle - 0.5) * r * 0.8, tipY - Math.sin(angle - 0.5) * r * 0.8);
+        ctx.moveTo(tipX, tipY);
+        ctx.lineTo(tipX - Math.cos(angle + 0.5) * r * 0.8, tipY - Math.sin(angle + 0.5) * r * 0.8);
+        ctx.lineWidth = 2;
+        ctx.stroke();
+      }
+
       // Circle
       ctx.beginPath();
       ctx.arc(sx, sy, r, 0, Math.PI * 2);
@@ -116,6 +116,8 @@ function mapToJSON(map: MapState): string {
       boostPads: map.boostPads,
       itemBoxes: map.itemBoxes,
       terrainColors: map.terrainColors,
+      ...(map.laps !== null && { laps: map.laps }),
+      ...(map.checkpointRadius !== null && { checkpointRadius: map.checkpointRadius }),
       decalImages: map.decalImages.map((di) => ({ id: di.id, name: di.name })),
       decals: map.decals,
     },
@@ -233,6 +235,8 @@ export async function loadMap(name: string): Promise<MapState> {
     boostPads?: MapState["boostPads"];
     itemBoxes?: MapState["itemBoxes"];
     terrainColors?: Record<number, string>;
+    laps?: number;
+    checkpointRadius?: number;
     decalImages?: { id: string; name: string }[];
     decals?: MapState["decals"];
   };
@@ -242,6 +246,8 @@ export async function loadMap(name: string): Promise<MapState> {
   map.checkpoints = meta.checkpoints;
   map.boostPads = meta.boostPads || [];
   map.itemBoxes = meta.itemBoxes || [];
+  map.laps = meta.laps ?? null;
+  map.checkpointRadius = meta.checkpointRadius ?? null;
   if (meta.terrainColors) {
     map.terrainColors = { ...DEFAULT_TERRAIN_COLORS, ...meta.terrainColors };
   }
@@ -26,6 +26,10 @@ export type EditorMode = "terrain" | "height" | "color" | "checkpoint" | "start"
 export interface Checkpoint {
   x: number;
   y: number;
+  /** Gate length in map pixels; absent = legacy point checkpoint */
+  width?: number;
+  /** Direction racers pass through the gate, radians (0 = right, PI/2 = down) */
+  angle?: number;
 }
 
 export interface StartLine {
@@ -88,6 +92,10 @@ export interface MapState {
   itemBoxes: ItemBox[];
   /** Custom visual colors per terrain type (overrides defaults for rendering/color.png) */
   terrainColors: Record<number, string>;
+  /** Default lap count for races on this map (null = game default) */
+  laps: number | null;
+  /** Checkpoint hit radius in world units (null = game default) */
+  checkpointRadius: number | null;
   /**
    * Per-pixel color override layer. Flat RGBA array [y * width + x] * 4.
    * Alpha 0 = use terrain color, Alpha 255 = use this pixel's RGB.
@@ -135,6 +143,8 @@ export function createMap(width: number, height: number, name: string): MapState
     boostPads: [],
     itemBoxes: [],
     terrainColors: { ...DEFAULT_TERRAIN_COLORS },
+    laps: null,
+    checkpointRadius: null,
     colorLayer: new Uint8Array(width * height * 4),
     decalImages: [],
     decalSprites: [],
@@ -192,6 +202,8 @@ export function resizeMap(map: MapState, newWidth: number, newHeight: number): M
     boostPads,
     itemBoxes,
     terrainColors: { ...map.terrainColors },
+    laps: map.laps,
+    checkpointRadius: map.checkpointRadius,
     colorLayer: newColorLayer,
     decalImages: [...map.decalImages],
     decalSprites: [...map.decalSprites],
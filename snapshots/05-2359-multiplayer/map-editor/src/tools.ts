@@ -126,6 +126,37 @@ export function addCheckpoint(map: MapState, x: number, y: number): void {
   map.checkpoints.push({ x, y });
 }
 
+/**
+ * Turn a checkpoint into a gate spanning (ax,ay)→(bx,by), drawn from the
+ * driver's left to their right. Too short a drag leaves a point checkpoint.
+ */
+export function setCheckpointGate(
+  cp: Checkpoint,
+  ax: number,
+  ay: number,
+  bx: number,
+  by: number,
+): void {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const width = Math.hypot(dx, dy);
+  cp.x = (ax + bx) / 2;
+  cp.y = (ay + by) / 2;
+  if (width < 1) {
+    delete cp.width;
+    delete cp.angle;
+    return;
+  }
+  cp.width = width;
+  cp.angle = Math.atan2(-dx, dy);
+}
+
+/** Reverse the direction racers must pass a gate */
+export function flipCheckpointGate(cp: Checkpoint): void {
+  if (cp.width === undefined) return;
+  cp.angle = Math.atan2(-Math.sin(cp.angle ?? 0), -Math.cos(cp.angle ?? 0));
+}
+
 /** Remove a checkpoint by index */
 export function removeCheckpoint(map: MapState, index: number): void {
   map.checkpoints.splice(index, 1);
@@ -253,6 +284,9 @@ export function createToolHandler(
 ): ToolHandler {
   let isDrawing = false;
   let dragCheckpointIdx = -1;
+  let gateCheckpointIdx = -1; // checkpoint being drawn as a gate
+  let gateStartX = 0;
+  let gateStartY = 0;
   let isSettingDirection = false;
   let dragBoostPadIdx = -1;
   let isSettingBoostDir = false;
@@ -301,12 +335,17 @@ export function createToolHandler(
             const idx = findCheckpointAt(map, editor, e.offsetX, e.offsetY);
             if (idx >= 0) removeCheckpoint(map, idx);
           } else if (e.button === 0) {
-            // Left-click: drag existing or add new
+            // Left-click: drag existing (shift: flip gate) or add new — drag to draw a gate
             const idx = findCheckpointAt(map, editor, e.offsetX, e.offsetY);
-            if (idx >= 0) {
+            if (idx >= 0 && e.shiftKey) {
+              flipCheckpointGate(map.checkpoints[idx]!);
+            } else if (idx >= 0) {
               dragCheckpointIdx = idx;
             } else {
               addCheckpoint(map, mx, my);
+              gateCheckpointIdx = map.checkpoints.length - 1;
+              gateStartX = mx;
+              gateStartY = my;
             }
           }
           break;
@@ -434,7 +473,7 @@ export function createToolHandler(
     },
 
     onMove(mx: number, my: number, e: PointerEvent) {
-      if (!isDrawing && dragCheckpointIdx < 0 && !isSettingDirection && !isSettingBoostDir && dragItemBoxIdx < 0 && dragDecalCorner < 0 && !isDraggingDecal && !isRotatingDecal && !isScalingDecal) return;
+      if (!isDrawing && dragCheckpointIdx < 0 && gateCheckpointIdx < 0 && !isSettingDirection && !isSettingBoostDir && dragItemBoxIdx < 0 && dragDecalCorner < 0 && !isDraggingDecal && !isRotatingDecal && !isScalingDecal) return;
 
       switch (editorState.mode) {
         case "terrain": {
@@ -461,6 +500,9 @@ export function createToolHandler(
           if (dragCheckpointIdx >= 0) {
             const cp = map.checkpoints[dragCheckpointIdx];
             if (cp) moveCheckpoint(cp, mx, my);
+          } else if (gateCheckpointIdx >= 0) {
+            const cp = map.checkpoints[gateCheckpointIdx];
+            if (cp) setCheckpointGate(cp, gateStartX, gateStartY, mx, my);
           }
           break;
         }
@@ -536,6 +578,7 @@ export function createToolHandler(
     onUp(_e: PointerEvent) {
       isDrawing = false;
       dragCheckpointIdx = -1;
+      gateCheckpointIdx = -1;
       isSettingDirection = false;
       dragBoostPadIdx = -1;
       isSettingBoostDir = false;
@@ -181,6 +181,26 @@ export function initUI(
     editor.map.name = nameInput.value;
   });
 
+  // Race rule defaults — blank input = game default
+  const lapsInput = document.getElementById("map-laps") as HTMLInputElement;
+  const cpRadiusInput = document.getElementById("map-cp-radius") as HTMLInputElement;
+  function parseOptional(input: HTMLInputElement): number | null {
+    const v = parseFloat(input.value);
+    return Number.isFinite(v) ? v : null;
+  }
+  function syncRuleInputs(): void {
+    lapsInput.value = editor.map.laps === null ? "" : String(editor.map.laps);
+    cpRadiusInput.value = editor.map.checkpointRadius === null ? "" : String(editor.map.checkpointRadius);
+  }
+  syncRuleInputs();
+  lapsInput.addEventListener("input", () => {
+    const laps = parseOptional(lapsInput);
+    editor.map.laps = laps === null ? null : Math.round(laps);
+  });
+  cpRadiusInput.addEventListener("input", () => {
+    editor.map.checkpointRadius = parseOptional(cpRadiusInput);
+  });
+
   // Map size
   const sizeSelect = document.getElementById("map-size") as HTMLSelectElement;
   sizeSelect.value = String(map.width);
@@ -222,6 +242,7 @@ export function initUI(
       activeMapName = name;
       onMapReplaced(newMap);
       nameInput.value = newMap.name;
+      syncRuleInputs();
       sizeSelect.value = String(newMap.width);
       buildColorPickers();
       updateSwatchColors();
@@ -255,6 +276,7 @@ export function initUI(
     activeMapName = "";
     onMapReplaced(newMap);
     nameInput.value = newMap.name;
+    syncRuleInputs();
   });
 
   // 3D Preview floating box
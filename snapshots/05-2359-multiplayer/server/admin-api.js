@@ -0,0 +1,140 @@
+/**
+ * Admin HTTP API — health, rooms with their players and tick stats, and admin
+ * actions, plus the status page that uses them. Reading is open; actions need
+ * `Authorization: Bearer <ADMIN_TOKEN>` and are off when ADMIN_TOKEN is unset.
+ *
+ *   GET  /health                 uptime, room and client counts
+ *   GET  /counters               message, violation and kick counts
+ *   GET  /api/rooms              every room, with its players and tick stats
+ *   GET  /api/rooms/:id          one room, with its settings and race standings
+ *   POST /api/rooms/:id/close    end the room; everyone in it goes back to the room list
+ *   POST /api/players/:id/kick   disconnect a player for good
+ *   POST /api/broadcast          { text, roomId? } — message to everyone, or one room
+ *   GET  /status                 HTML status page
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+
+const MAX_BODY_BYTES = 4096;
+const MAX_BROADCAST_LENGTH = 200;
+const STATUS_PAGE = fs.readFileSync(new URL('./status.html', import.meta.url));
+
+/**
+ * @param {import('./lobby.js').LobbyManager} lobby
+ * @param {object} [opts]
+ * @param {string} [opts.token] - admin token; none = admin actions disabled
+ * @returns {(req: import('http').IncomingMessage, res: import('http').ServerResponse) => void} request handler
+ */
+export function createAdminHandler(lobby, { token = process.env.ADMIN_TOKEN || '' } = {}) {
+  const startTime = Date.now();
+
+  // [method, path, handler(path param, JSON body), needs the admin token]
+  const routes = [
+    ['GET', /^\/health$/, () => ({
+      ok: true,
+      uptime: (Date.now() - startTime) / 1000,
+      rooms: lobby.rooms.size,
+      racing: [...lobby.rooms.values()].filter(r => r.running).length,
+      clients: lobby.clients.size,
+      adminActions: token !== '',
+    })],
+    ['GET', /^\/counters$/, () => lobby.counters],
+    ['GET', /^\/api\/rooms$/, () => [...lobby.rooms.values()].map(room => room.getStatus())],
+    ['GET', /^\/api\/rooms\/([^/]+)$/, (roomId) => {
+      const room = lobby.rooms.get(roomId);
+      if (!room) throw new HttpError(404, `No room ${roomId}`);
+      return room.getStatus(true);
+    }],
+    ['POST', /^\/api\/rooms\/([^/]+)\/close$/, (roomId) => {
+      if (!lobby.closeRoom(roomId)) throw new HttpError(404, `No room ${roomId}`);
+      return { closed: roomId };
+    }, true],
+    ['POST', /^\/api\/players\/([^/]+)\/kick$/, (playerId) => {
+      if (!lobby.kickPlayer(playerId)) throw new HttpError(404, `No player ${playerId}`);
+      return { kicked: playerId };
+    }, true],
+    ['POST', /^\/api\/broadcast$/, (_, body) => {
+      if (typeof body.text !== 'string' || !body.text.trim()) throw new HttpError(400, 'Missing text');
+      if (body.roomId && !lobby.rooms.has(body.roomId)) throw new HttpError(404, `No room ${body.roomId}`);
+      const sent = lobby.broadcast(body.text.trim().slice(0, MAX_BROADCAST_LENGTH), body.roomId || null);
+      return { sent };
+    }, true],
+  ];
+
+  return async (req, res) => {
+    const path = new URL(req.url, 'http://localhost').pathname;
+    if (req.method === 'GET' && path === '/status') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(STATUS_PAGE);
+      return;
+    }
+
+    const route = routes.find(([method, pattern]) => method === req.method && pattern.test(path));
+    if (!route) {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('Kart game server');
+      return;
+    }
+    const [, pattern, handler, admin] = route;
+
+    try {
+      if (admin && !token) throw new HttpError(403, 'Admin actions are off — set ADMIN_TOKEN');
+      if (admin && !isAuthorized(req, token)) throw new HttpError(403, 'Admin token required');
+      const param = decodeParam(path.match(pattern)[1] || '');
+      const body = req.method === 'POST' ? await readJson(req) : null;
+      sendJson(res, 200, handler(param, body));
+    } catch (err) {
+      if (!(err instanceof HttpError)) console.error('Admin API error:', err);
+      sendJson(res, err.status || 500, { error: err instanceof HttpError ? err.message : 'Internal error' });
+    }
+  };
+}
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/** URL path segment → string; a bad percent-escape is the client's fault */
+function decodeParam(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (e) {
+    throw new HttpError(400, 'Malformed URL');
+  }
+}
+
+function isAuthorized(req, token) {
+  const given = Buffer.from((req.headers.authorization || '').replace(/^Bearer /, ''));
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new HttpError(413, 'Body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        const data = JSON.parse(body || '{}');
+        resolve(data && typeof data === 'object' ? data : {});
+      } catch (e) {
+        reject(new HttpError(400, 'Body is not JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
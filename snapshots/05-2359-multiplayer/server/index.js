@@ -1,30 +1,45 @@
 /**
- * HTTP + WebSocket server entry point
+ * HTTP + WebSocket server entry point. HTTP serves the admin API and status
+ * page (admin-api.js); set ADMIN_TOKEN to allow admin actions.
  */
 import http from 'http';
 import { WebSocketServer } from 'ws';
-import { LobbyManager } from './lobby.js';
+import { LobbyManager, RECONNECT_GRACE_MS } from './lobby.js';
+import { createAdminHandler } from './admin-api.js';
+import { SNAPSHOT_VERSION } from '../game/src/net/snapshot-codec.js';
 
 const PORT = parseInt(process.env.PORT || '3001', 10);
+const MAX_MESSAGE_BYTES = 16 * 1024; // larger frames close the connection
 
-const server = http.createServer((req, res) => {
-  res.writeHead(200, { 'Content-Type': 'text/plain' });
-  res.end('Kart game server');
-});
-
-const wss = new WebSocketServer({ server });
 const lobby = new LobbyManager();
+const server = http.createServer(createAdminHandler(lobby));
+const wss = new WebSocketServer({ server, maxPayload: MAX_MESSAGE_BYTES });
 
 wss.on('connection', (ws) => {
-  const playerId = lobby.addClient(ws);
-  console.log(`Player connected: ${playerId}`);
-
-  // Send welcome with playerId
-  ws.send(JSON.stringify({ type: 'welcome', playerId }));
+  const client = lobby.addClient(ws);
+  console.log(`Player connected: ${client.playerId}`);
+
+  // Send welcome with playerId and session token; the client answers with a
+  // hello picking its snapshot format, and the token of a dropped session to resume
+  ws.send(JSON.stringify({
+    type: 'welcome',
+    playerId: client.playerId,
+    token: client.token,
+    reconnectGraceMs: RECONNECT_GRACE_MS,
+    snapshotFormats: ['binary', 'json'],
+    snapshotVersion: SNAPSHOT_VERSION,
+    serverTime: performance.now(), // first guess at the clock offset, until pings refine it
+  }));
 
   ws.on('message', (data) => {
+    let msg;
+    try {
+      msg = JSON.parse(data);
+    } catch (e) {
+      lobby.flagViolation(ws, 'unparseable message');
+      return;
+    }
     try {
-      const msg = JSON.parse(data);
       lobby.handleMessage(ws, msg);
     } catch (e) {
       console.error('Bad message:', e.message);
@@ -32,15 +47,16 @@ wss.on('connection', (ws) => {
   });
 
   ws.on('close', () => {
-    console.log(`Player disconnected: ${playerId}`);
+    console.log(`Player disconnected: ${client.playerId}`);
     lobby.removeClient(ws);
   });
 
   ws.on('error', (err) => {
-    console.error(`WebSocket error for ${playerId}:`, err.message);
+    console.error(`WebSocket error for ${client.playerId}:`, err.message);
   });
 });
 
 server.listen(PORT, () => {
   console.log(`Kart server listening on port ${PORT}`);
+  if (!process.env.ADMIN_TOKEN) console.log('ADMIN_TOKEN not set — admin actions are off');
 });
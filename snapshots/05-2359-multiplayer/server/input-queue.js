@@ -0,0 +1,91 @@
+/**
+ * InputQueue — per-player input buffer. Clients send one input per
+ * simulation step (batched at 20Hz); the room applies exactly one per tick
+ * so the client can replay unacknowledged inputs on the same step boundaries.
+ *
+ * Nothing from the client is trusted: batches must move the seq forward,
+ * axes are clamped to [-1, 1] and quantized like the client's own, and item
+ * use and swap taps faster than anyone can press are dropped.
+ */
+import { EMPTY_INPUT, quantizeInput } from '../game/src/sim/simulation.js';
+
+const MAX_QUEUED = 30; // ~0.5s at 60Hz — drop the oldest beyond this to bound latency
+const MAX_BATCH = MAX_QUEUED; // inputs one message may carry
+const MIN_TAP_STEPS = 6; // item taps closer together than this (0.1s) are dropped
+const THROTTLED_TAPS = ['itemUseTap', 'itemSwapTap'];
+const AXES = ['accel', 'steer'];
+const BUTTONS = ['hopZ', 'hopX', 'hopZTap', 'hopXTap', 'itemUseTap', 'itemSwapTap'];
+
+/** Whether a client's input is what an honest client sends: axes in range, buttons boolean */
+function isWellFormed(input) {
+  if (!input || typeof input !== 'object') return false;
+  for (const axis of AXES) {
+    if (typeof input[axis] !== 'number' || !(Math.abs(input[axis]) <= 1)) return false;
+  }
+  for (const button of BUTTONS) {
+    if (input[button] !== undefined && typeof input[button] !== 'boolean') return false;
+  }
+  return true;
+}
+
+export class InputQueue {
+  constructor() {
+    this.queue = [];        // { seq, input, viewTick }
+    this.lastQueuedSeq = 0; // newest seq received
+    this.lastSeq = 0;       // newest seq applied to a tick (acked in snapshots)
+    this.lastViewTick = null; // server tick the client was rendering when it made that input
+    this.lastTapSeq = Object.fromEntries(THROTTLED_TAPS.map(tap => [tap, -Infinity])); // tap → seq last let through
+    this.held = { ...EMPTY_INPUT }; // repeated when the queue runs dry
+  }
+
+  /**
+   * @param {number} seq - seq of inputs[0]; the rest follow consecutively
+   * @param {object[]} inputs
+   * @param {number} [viewTick] - tick the client was rendering at inputs[0]; one step
+   *   later per input after that
+   * @returns {string|null} what was wrong with the batch, if anything. A batch
+   *   that is malformed or goes back in seq is dropped; bad inputs in it are
+   *   cleaned up and queued.
+   */
+  push(seq, inputs, viewTick) {
+    if (!Number.isInteger(seq) || seq < 1 || !Array.isArray(inputs) || inputs.length === 0) {
+      return 'malformed input batch';
+    }
+    if (inputs.length > MAX_BATCH) return 'input batch too long';
+    if (seq <= this.lastQueuedSeq) return 'input seq went backwards';
+
+    let problem = null;
+    const hasView = Number.isFinite(viewTick);
+    for (let i = 0; i < inputs.length; i++) {
+      const s = seq + i;
+      if (!isWellFormed(inputs[i])) problem = 'input out of range';
+      const input = quantizeInput(inputs[i] || EMPTY_INPUT);
+      for (const tap of THROTTLED_TAPS) {
+        if (!input[tap]) continue;
+        if (s - this.lastTapSeq[tap] < MIN_TAP_STEPS) {
+          input[tap] = false;
+          problem = 'item taps too fast';
+        } else {
+          this.lastTapSeq[tap] = s;
+        }
+      }
+      this.queue.push({ seq: s, input, viewTick: hasView ? viewTick + i : null });
+      this.lastQueuedSeq = s;
+    }
+    while (this.queue.length > MAX_QUEUED) {
+      this.queue.shift();
+    }
+    return problem;
+  }
+
+  /** Input for this tick — the next queued one, else the last held state without taps */
+  take() {
+    const next = this.queue.shift();
+    if (!next) return this.held;
+
+    this.lastSeq = next.seq;
+    this.lastViewTick = next.viewTick;
+    this.held = { ...next.input, hopZTap: false, hopXTap: false, itemUseTap: false, itemSwapTap: false };
+    return next.input;
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * Node-side kart definitions: reads kart-sprites/sprites.json and stats.json
+ * once, the same files the client bundles. Karts the files don't cover get the
+ * default profile, so the server still runs without exported sprites.
+ */
+import fs from 'fs';
+import path from 'path';
+import { lookupKartProfile } from '../game/src/kart-stats.js';
+
+const SPRITES_DIR = path.resolve(import.meta.dirname, '../kart-sprites');
+
+function readJSON(file) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(SPRITES_DIR, file), 'utf-8'));
+  } catch (e) {
+    console.warn(`Could not read kart-sprites/${file}: ${e.message}`);
+    return null;
+  }
+}
+
+const sheetMeta = readJSON('sprites.json');
+const statsTable = readJSON('stats.json');
+
+// Without a sheet, assume the karts kart-gen ships with
+export const KART_COUNT = sheetMeta ? sheetMeta.karts.length : 3;
+
+/** @returns {{speed, accel, handling, weight}} 1-5 ratings of a sprite sheet kart */
+export function getKartProfile(kartIndex) {
+  return lookupKartProfile(sheetMeta, statsTable, kartIndex);
+}
+
+/** A kart index a client may pick */
+export function isValidKartIndex(kartIndex) {
+  return Number.isInteger(kartIndex) && kartIndex >= 0 && kartIndex < KART_COUNT;
+}
@@ -0,0 +1,347 @@
+/**
+ * Load test — fake clients racing against a running server.
+ *
+ *   node loadtest.js [--url ws://localhost:3001] [--rooms 4] [--players 4]
+ *     [--bots 0] [--map <id>] [--duration 60] [--drive bot|script] [--json]
+ *
+ * Every room gets `players` clients over ws: the first creates it, the rest
+ * join, and they all ready up once it's full. In the race each client sends
+ * its inputs at 20Hz like the browser does, steered by the bot AI from the
+ * snapshots it decodes (--drive bot) or by a fixed weaving script. After the
+ * results they ready up again, until the duration is over. Per room:
+ *   tick      server ms per simulation tick, from room:stats
+ *   snapshot  bytes per snapshot received
+ *   down/up   kB/s per client, everything on the socket
+ *   lag       ms from sending an input to the first snapshot that acks it
+ */
+import { parseArgs } from 'util';
+import WebSocket from 'ws';
+import { SnapshotDecoder, SNAPSHOT_VERSION } from '../game/src/net/snapshot-codec.js';
+import { SIM_RATE, SIM_DT, EMPTY_INPUT, MAX_RACERS, quantizeInput, getWorldCheckpoints } from '../game/src/sim/simulation.js';
+import { BotInput, BotController } from '../game/src/bot-input.js';
+import { loadMap, listMaps } from './server-map-loader.js';
+
+const SEND_RATE = 20; // Hz, as the browser client
+const STEPS_PER_SEND = SIM_RATE / SEND_RATE;
+const STATS_INTERVAL = 2000; // ms between room:stats polls
+const RACE_AGAIN_DELAY = 2000; // ms on the results screen before readying up again
+
+const { values: opts } = parseArgs({
+  options: {
+    url: { type: 'string', default: 'ws://localhost:3001' },
+    rooms: { type: 'string', default: '4' },
+    players: { type: 'string', default: '4' },
+    bots: { type: 'string', default: '0' },
+    map: { type: 'string' },
+    duration: { type: 'string', default: '60' },
+    drive: { type: 'string', default: 'bot' },
+    json: { type: 'boolean', default: false },
+  },
+});
+const ROOMS = Math.max(1, parseInt(opts.rooms, 10) || 1);
+const PLAYERS = Math.max(1, Math.min(MAX_RACERS, parseInt(opts.players, 10) || 1));
+const BOTS = Math.max(0, Math.min(MAX_RACERS - PLAYERS, parseInt(opts.bots, 10) || 0));
+const DURATION_MS = Math.max(1, parseFloat(opts.duration) || 60) * 1000;
+
+/** Measurements for one room, shared by its clients */
+class RoomStats {
+  constructor(index) {
+    this.index = index;
+    this.roomId = null;
+    this.races = 0;
+    this.tickMs = [];
+    this.snapshotBytes = [];
+    this.lagMs = [];
+    this.bytesIn = 0;
+    this.bytesOut = 0;
+  }
+}
+
+/** One simulated player */
+class FakeClient {
+  /**
+   * @param {RoomStats} stats
+   * @param {boolean} host - creates the room and polls its tick times
+   * @param {object} mapData - for the bot driver's checkpoints
+   */
+  constructor(stats, host, mapData) {
+    this.stats = stats;
+    this.host = host;
+    this.mapData = mapData;
+    this.ws = null;
+    this.playerId = null;
+    this.snapshotFormat = 'json';
+    this.handlers = new Map(); // message type → one-off resolver
+    this.racing = false;
+    this.readySent = false;
+    this.stopped = false;
+    this.decoder = null;
+    this.seq = 0;
+    this.ackTick = -1;
+    this.sent = []; // { seq, time } of input batches not acked yet, oldest first
+    this.statsTick = 0; // newest tick room:stats has reported
+    this.sendTimer = null;
+    this.statsTimer = null;
+    this.driver = null;
+  }
+
+  connect(url) {
+    return new Promise((resolve, reject) => {
+      this.ws = new WebSocket(url);
+      this.ws.on('error', reject);
+      this.ws.on('message', (data, isBinary) => this._onMessage(data, isBinary));
+      this.next('welcome').then(resolve);
+    });
+  }
+
+  /** Resolves with the next message of this type */
+  next(type) {
+    return new Promise(resolve => this.handlers.set(type, resolve));
+  }
+
+  send(data) {
+    if (this.ws.readyState !== WebSocket.OPEN) return;
+    const text = JSON.stringify(data);
+    this.stats.bytesOut += Buffer.byteLength(text);
+    this.ws.send(text);
+  }
+
+  close() {
+    this.stopped = true;
+    this._stopRace();
+    this.ws.close();
+  }
+
+  _onMessage(data, isBinary) {
+    this.stats.bytesIn += data.length;
+    if (isBinary) {
+      if (!this.decoder) return;
+      this.stats.snapshotBytes.push(data.length);
+      const buffer = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+      const snapshot = this.decoder.decode(buffer);
+      if (snapshot) this._onSnapshot(snapshot);
+      return;
+    }
+
+    const msg = JSON.parse(data);
+    const resolve = this.handlers.get(msg.type);
+    if (resolve) {
+      this.handlers.delete(msg.type);
+      resolve(msg);
+    }
+    switch (msg.type) {
+      case 'welcome':
+        this.playerId = msg.playerId;
+        this.snapshotFormat = (msg.snapshotFormats || []).includes('binary')
+          && msg.snapshotVersion === SNAPSHOT_VERSION ? 'binary' : 'json';
+        this.send({ type: 'hello', snapshotFormat: this.snapshotFormat });
+        break;
+      case 'lobby:update':
+        this._onRoomUpdate(msg.players);
+        break;
+      case 'game:init':
+        this._startRace(msg);
+        break;
+      case 'snapshot':
+        this.stats.snapshotBytes.push(data.length);
+        this._onSnapshot(msg);
+        break;
+      case 'room:stats':
+        if (msg.tick < this.statsTick) break; // the previous race's answer
+        this.stats.tickMs.push(...msg.tickMs);
+        this.statsTick = msg.tick;
+        break;
+      case 'game:results':
+        this._stopRace();
+        if (this.host) {
+          this.stats.races++;
+          // Changing the settings is what un-readies everyone for the next race
+          setTimeout(() => { if (!this.stopped) this.send({ type: 'lobby:settings', settings: {} }); }, RACE_AGAIN_DELAY);
+        }
+        break;
+    }
+  }
+
+  /** Ready up once the room is full */
+  _onRoomUpdate(players) {
+    const me = players.find(p => p.id === this.playerId);
+    if (!me || me.ready) {
+      this.readySent = false;
+      return;
+    }
+    if (this.racing || this.readySent || this.stopped || players.length < PLAYERS) return;
+    this.readySent = true;
+    this.send({ type: 'lobby:ready' });
+  }
+
+  _startRace(init) {
+    this.racing = true;
+    this.decoder = new SnapshotDecoder(init.kartAssignments.map(a => a.playerId));
+    this.seq = 0;
+    this.ackTick = -1;
+    this.sent = [];
+    this.statsTick = 0;
+
+    if (opts.drive === 'bot') {
+      const me = init.kartAssignments.find(a => a.playerId === this.playerId);
+      const sp = init.spawnPositions[me.slot];
+      // Just what BotController reads, kept up to date from the snapshots
+      const kart = { position: { x: sp.x, z: sp.z }, rotation: { y: init.spawnAngle }, userData: { heldItem: null, heldCount: 0, reserveItem: null, reserveCount: 0, itemRoulette: 0 } };
+      const input = new BotInput();
+      this.driver = { kart, input, controller: new BotController(kart, input, getWorldCheckpoints(this.mapData)) };
+    }
+
+    this.sendTimer = setInterval(() => this._sendInputs(), 1000 / SEND_RATE);
+    if (this.host) {
+      this.statsTimer = setInterval(() => this.send({ type: 'room:stats', since: this.statsTick }), STATS_INTERVAL);
+    }
+  }
+
+  _stopRace() {
+    this.racing = false;
+    clearInterval(this.sendTimer);
+    clearInterval(this.statsTimer);
+    this.sendTimer = null;
+    this.statsTimer = null;
+  }
+
+  _sendInputs() {
+    const first = this.seq + 1;
+    const inputs = [];
+    for (let i = 0; i < STEPS_PER_SEND; i++) {
+      this.seq++;
+      if (this.driver) {
+        this.driver.controller.update(SIM_DT);
+        inputs.push(quantizeInput(this.driver.input));
+      } else {
+        inputs.push(quantizeInput(scriptedInput(this.seq)));
+      }
+    }
+    this.sent.push({ seq: this.seq, time: performance.now() });
+    this.send({ type: 'input', seq: first, inputs, ack: this.ackTick });
+  }
+
+  _onSnapshot(snapshot) {
+    if (snapshot.tick > this.ackTick) this.ackTick = snapshot.tick;
+    const now = performance.now();
+    while (this.sent.length > 0 && this.sent[0].seq <= snapshot.lastInputSeq) {
+      this.stats.lagMs.push(now - this.sent.shift().time);
+    }
+    if (this.driver) {
+      const state = snapshot.karts.find(k => k.id === this.playerId);
+      if (!state) return;
+      const kart = this.driver.kart;
+      kart.position.x = state.x;
+      kart.position.z = state.z;
+      kart.rotation.y = state.ry;
+      kart.userData.heldItem = state.heldItem;
+      kart.userData.heldCount = state.heldCount;
+      kart.userData.reserveItem = state.reserveItem;
+      kart.userData.reserveCount = state.reserveCount;
+      kart.userData.itemRoulette = state.itemRoulette;
+    }
+  }
+}
+
+/** Full throttle, weaving, with a hop now and then, items used straight away and the odd swap */
+function scriptedInput(seq) {
+  return {
+    ...EMPTY_INPUT,
+    accel: 1,
+    steer: Math.sin(seq / 90),
+    hopZTap: seq % 240 === 0,
+    itemUseTap: seq % 120 === 60,
+    itemSwapTap: seq % 300 === 150,
+  };
+}
+
+/** Create one room and fill it with its players */
+async function openRoom(index, mapData) {
+  const stats = new RoomStats(index);
+  const host = new FakeClient(stats, true, mapData);
+  await host.connect(opts.url);
+  host.send({
+    type: 'lobby:create',
+    name: `loadtest-${index + 1}`,
+    mapId: mapData.id,
+    maxRacers: PLAYERS + BOTS,
+    bots: BOTS,
+  });
+  stats.roomId = (await host.next('lobby:joined')).roomId;
+
+  const clients = [host];
+  for (let i = 1; i < PLAYERS; i++) {
+    const client = new FakeClient(stats, false, mapData);
+    await client.connect(opts.url);
+    client.send({ type: 'lobby:join', roomId: stats.roomId });
+    const reply = await Promise.race([client.next('lobby:joined'), client.next('lobby:error')]);
+    if (reply.type === 'lobby:error') throw new Error(`Joining ${stats.roomId}: ${reply.message}`);
+    clients.push(client);
+  }
+  return { stats, clients };
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return NaN;
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p / 100))];
+}
+
+/** { p50, p95, p99, max } of the samples */
+function summarize(samples) {
+  const sorted = Float64Array.from(samples).sort();
+  return {
+    p50: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+    p99: percentile(sorted, 99),
+    max: sorted.length ? sorted[sorted.length - 1] : NaN,
+  };
+}
+
+function report(rooms, seconds) {
+  const results = rooms.map(({ stats, clients }) => ({
+    room: stats.roomId,
+    clients: clients.length,
+    races: stats.races,
+    tickMs: summarize(stats.tickMs),
+    snapshotBytes: summarize(stats.snapshotBytes),
+    downKBps: stats.bytesIn / 1024 / clients.length / seconds,
+    upKBps: stats.bytesOut / 1024 / clients.length / seconds,
+    lagMs: summarize(stats.lagMs),
+  }));
+  if (opts.json) {
+    console.log(JSON.stringify(results, null, 2));
+    return;
+  }
+
+  const f = (v, digits = 1) => (Number.isNaN(v) ? '-' : v.toFixed(digits));
+  const pcts = (s, digits) => `${f(s.p50, digits)}/${f(s.p95, digits)}/${f(s.p99, digits)}/${f(s.max, digits)}`;
+  const rows = [['ROOM', 'RACES', 'TICK MS p50/95/99/max', 'SNAPSHOT B p50/95/99/max', 'DOWN kB/s', 'UP kB/s', 'LAG MS p50/95/99/max']];
+  for (const r of results) {
+    rows.push([r.room, String(r.races), pcts(r.tickMs, 2), pcts(r.snapshotBytes, 0), f(r.downKBps), f(r.upKBps), pcts(r.lagMs, 0)]);
+  }
+  const widths = rows[0].map((_, c) => Math.max(...rows.map(row => row[c].length)));
+  for (const row of rows) console.log(row.map((cell, c) => cell.padEnd(widths[c])).join('  '));
+}
+
+async function main() {
+  const mapId = opts.map || (listMaps()[0] || {}).id;
+  if (!mapId) throw new Error('No maps found — pass --map');
+  const mapData = await loadMap(mapId);
+
+  console.log(`${ROOMS} room(s) × ${PLAYERS} client(s) + ${BOTS} bot(s) on ${mapId}, ${DURATION_MS / 1000}s, ${opts.url}`);
+  const rooms = [];
+  for (let i = 0; i < ROOMS; i++) rooms.push(await openRoom(i, mapData));
+
+  // Only the race traffic counts toward bandwidth
+  for (const { stats } of rooms) stats.bytesIn = stats.bytesOut = 0;
+  const start = performance.now();
+  await new Promise(resolve => setTimeout(resolve, DURATION_MS));
+  const seconds = (performance.now() - start) / 1000;
+  for (const { clients } of rooms) for (const client of clients) client.close();
+  report(rooms, seconds);
+}
+
+main().then(() => process.exit(0), (err) => {
+  console.error('Load test failed:', err.message);
+  process.exit(1);
+});
@@ -1,44 +1,178 @@
 /**
- * LobbyManager — room creation/join, client tracking
+ * LobbyManager — room creation/join, client tracking, and resuming the
+ * session of a player whose connection dropped mid-race.
+ *
+ * Each connection gets a message rate limit. Dropped messages and bad input
+ * batches count as violations, and a client with too many of them in a
+ * short window is kicked for good. `counters` tallies it all for monitoring.
  */
-import { GameRoom } from './room.js';
+import crypto from 'crypto';
+import { GameRoom, MAX_SPECTATORS } from './room.js';
+import { listMaps } from './server-map-loader.js';
+import { getCups } from '../game/src/cup.js';
+import { isValidKartIndex } from './kart-loader.js';
 
 let nextRoomId = 1;
 
+export const RECONNECT_GRACE_MS = 30000; // a dropped racer's kart is held this long
+export const KICK_CLOSE_CODE = 4001; // close code of a kicked client — it must not reconnect
+const MESSAGE_RATE = 40; // messages per second a client may send — inputs and acks are 20
+const MESSAGE_BURST = 80; // messages it may send at once before the rate applies
+const MAX_VIOLATIONS = 20; // violations within VIOLATION_WINDOW_MS that get a client kicked
+const VIOLATION_WINDOW_MS = 10000;
+const MAX_ROOM_NAME_LENGTH = 32;
+
 export class LobbyManager {
   constructor() {
     this.rooms = new Map();    // roomId → GameRoom
-    this.clients = new Map();  // ws → { playerId, roomId }
+    this.clients = new Map();  // ws → { playerId, token, roomId, spectator, snapshotFormat, ... }
+    this.sessions = new Map(); // token → { playerId, roomId, timeout } of dropped racers
+    this.counters = {
+      messages: 0, // handled
+      kicks: 0,
+      violations: {}, // reason → count
+    };
   }
 
+  /**
+   * @returns {{playerId: string, token: string}} the client's record; `token`
+   *   resumes the session after a drop, playerId changes if it does
+   */
   addClient(ws) {
     const playerId = 'p' + Math.random().toString(36).slice(2, 8);
-    this.clients.set(ws, { playerId, roomId: null });
-    return playerId;
+    const token = crypto.randomBytes(16).toString('hex');
+    // JSON until the client's hello asks for binary
+    const client = {
+      playerId, token, roomId: null, spectator: false, snapshotFormat: 'json',
+      allowance: MESSAGE_BURST, // token bucket for MESSAGE_RATE
+      allowanceTime: Date.now(),
+      violations: 0, // in the window starting at violationTime
+      violationTime: 0,
+      kicked: false,
+    };
+    this.clients.set(ws, client);
+    return client;
   }
 
   removeClient(ws) {
     const client = this.clients.get(ws);
     if (!client) return;
+    this.clients.delete(ws);
 
-    if (client.roomId) {
-      const room = this.rooms.get(client.roomId);
-      if (room) {
-        room.removePlayer(client.playerId);
-        this._broadcastRoomUpdate(room);
-        if (room.playerCount === 0 && !room.running) {
-          this.rooms.delete(client.roomId);
-        }
+    const room = client.roomId ? this.rooms.get(client.roomId) : null;
+    if (room && room.running && !client.spectator && !client.kicked) {
+      // Mid-race: hold the kart for a reconnect with the same token
+      room.disconnectPlayer(client.playerId);
+      this.sessions.set(client.token, {
+        playerId: client.playerId,
+        roomId: client.roomId,
+        timeout: setTimeout(() => this._expireSession(client.token), RECONNECT_GRACE_MS),
+      });
+      this._broadcastRoomUpdate(room);
+      return;
+    }
+    if (client.roomId) this._leaveRoom(ws, client);
+  }
+
+  /** Nobody came back with the token — the player is gone for good */
+  _expireSession(token) {
+    const session = this.sessions.get(token);
+    if (!session) return;
+    this.sessions.delete(token);
+    const room = this.rooms.get(session.roomId);
+    if (!room) return;
+    room.removePlayer(session.playerId);
+    this._broadcastRoomUpdate(room);
+    if (room.playerCount === 0 && !room.running) this._closeRoom(room);
+  }
+
+  /**
+   * A reconnecting client's hello: take over the dropped player's id, slot
+   * and kart. The room follows up with a fresh game:init.
+   */
+  _resume(ws, client, token) {
+    // The old socket may not have timed out yet — drop it now
+    for (const [otherWs, other] of this.clients) {
+      if (other !== client && other.token === token) {
+        this.removeClient(otherWs);
+        otherWs.terminate();
       }
     }
-    this.clients.delete(ws);
+
+    const session = this.sessions.get(token);
+    const room = session && this.rooms.get(session.roomId);
+    if (!room || !room.players.has(session.playerId)) {
+      this._send(ws, { type: 'resume:failed' });
+      return;
+    }
+    clearTimeout(session.timeout);
+    this.sessions.delete(token);
+
+    client.playerId = session.playerId;
+    client.token = token;
+    client.roomId = session.roomId;
+    client.spectator = false;
+    this._send(ws, { type: 'resumed', playerId: client.playerId, roomId: client.roomId });
+    room.reconnectPlayer(client.playerId, ws, client.snapshotFormat);
+    this._broadcastRoomUpdate(room);
+  }
+
+  /**
+   * Count a client's misbehaviour; kick it after MAX_VIOLATIONS in one window.
+   * Logs the first violation of each window.
+   */
+  flagViolation(ws, reason) {
+    const client = this.clients.get(ws);
+    if (!client || client.kicked) return;
+    this.counters.violations[reason] = (this.counters.violations[reason] || 0) + 1;
+
+    const now = Date.now();
+    if (now - client.violationTime > VIOLATION_WINDOW_MS) {
+      client.violationTime = now;
+      client.violations = 0;
+    }
+    client.violations++;
+    if (client.violations === 1) console.warn(`${client.playerId}: ${reason}`);
+    if (client.violations > MAX_VIOLATIONS) this._kick(ws, client, reason);
+  }
+
+  /** Close the connection; removeClient() then drops the player without holding the kart */
+  _kick(ws, client, reason) {
+    console.warn(`Kicking ${client.playerId}: ${reason}`);
+    this.counters.kicks++;
+    client.kicked = true;
+    ws.close(KICK_CLOSE_CODE, reason);
+  }
+
+  /** Token bucket: false once the client sends faster than MESSAGE_RATE */
+  _allowMessage(client) {
+    const now = Date.now();
+    client.allowance = Math.min(MESSAGE_BURST, client.allowance + (now - client.allowanceTime) / 1000 * MESSAGE_RATE);
+    client.allowanceTime = now;
+    if (client.allowance < 1) return false;
+    client.allowance--;
+    return true;
   }
 
   handleMessage(ws, msg) {
     const client = this.clients.get(ws);
-    if (!client) return;
+    if (!client || client.kicked) return;
+    if (!this._allowMessage(client)) {
+      this.flagViolation(ws, 'message rate limit');
+      return;
+    }
+    if (!msg || typeof msg !== 'object') {
+      this.flagViolation(ws, 'malformed message');
+      return;
+    }
+    this.counters.messages++;
 
     switch (msg.type) {
+      case 'hello':
+        client.snapshotFormat = msg.snapshotFormat === 'binary' ? 'binary' : 'json';
+        if (typeof msg.resumeToken === 'string') this._resume(ws, client, msg.resumeToken);
+        break;
+
       case 'lobby:list':
         this._sendRoomList(ws);
         break;
@@ -47,11 +181,35 @@ export class LobbyManager {
         // Leave current room first
         if (client.roomId) this._leaveRoom(ws, client);
 
+        // A cup replaces the single map; cups come from the server's own map list
+        let cup = null;
+        if (msg.cupId) {
+          cup = getCups(listMaps()).find(c => c.id === msg.cupId);
+          if (!cup) {
+            this._send(ws, { type: 'lobby:error', message: `Unknown cup: ${msg.cupId}` });
+            return;
+          }
+        } else if (!listMaps().some(m => m.id === msg.mapId)) {
+          this._send(ws, { type: 'lobby:error', message: `Unknown map: ${msg.mapId}` });
+          return;
+        }
+
         const roomId = 'room' + (nextRoomId++);
-        const room = new GameRoom(roomId, msg.name || roomId, msg.mapId);
+        const name = typeof msg.name === 'string' && msg.name ? msg.name.slice(0, MAX_ROOM_NAME_LENGTH) : roomId;
+        const room = new GameRoom(roomId, name, cup ? cup.mapIds[0] : msg.mapId, cup);
+        room.setSettings({
+          rules: msg.rules, maxRacers: msg.maxRacers, bots: msg.bots, items: msg.items, password: msg.password,
+        });
+        room.uniqueKarts = !!msg.uniqueKarts;
+        room.onFinished = () => {
+          // Everyone may have left mid-race — nobody else would clean up
+          if (room.playerCount === 0) this._closeRoom(room);
+        };
         this.rooms.set(roomId, room);
-        room.addPlayer(client.playerId, ws);
+        room.addPlayer(client.playerId, ws, client.snapshotFormat);
+        if (isValidKartIndex(msg.kartIndex)) room.setKart(client.playerId, msg.kartIndex);
         client.roomId = roomId;
+        client.spectator = false;
 
         this._send(ws, { type: 'lobby:joined', roomId, playerId: client.playerId });
         this._broadcastRoomUpdate(room);
@@ -63,13 +221,34 @@ export class LobbyManager {
         if (client.roomId) this._leaveRoom(ws, client);
 
         const room = this.rooms.get(msg.roomId);
-        if (!room || room.running || room.playerCount >= 4) {
+        if (room && room.password && msg.password !== room.password) {
+          this._send(ws, { type: 'lobby:error', message: 'Wrong password' });
+          return;
+        }
+        if (msg.spectate) {
+          if (!room || room.spectatorCount >= MAX_SPECTATORS) {
+            this._send(ws, { type: 'lobby:error', message: 'Cannot watch room' });
+            return;
+          }
+          client.roomId = msg.roomId;
+          client.spectator = true;
+          this._send(ws, { type: 'lobby:joined', roomId: msg.roomId, playerId: client.playerId, spectator: true });
+          // Mid-race this sends game:init straight away
+          room.addSpectator(client.playerId, ws, client.snapshotFormat);
+          this._broadcastRoomUpdate(room);
+          this._broadcastRoomList();
+          break;
+        }
+        if (!room || room.running || room.playerCount >= room.maxRacers) {
           this._send(ws, { type: 'lobby:error', message: 'Cannot join room' });
           return;
         }
 
-        room.addPlayer(client.playerId, ws);
+        room.addPlayer(client.playerId, ws, client.snapshotFormat);
+        // Preferred kart; in a unique-karts room a taken one keeps the default
+        if (isValidKartIndex(msg.kartIndex)) room.setKart(client.playerId, msg.kartIndex);
         client.roomId = msg.roomId;
+        client.spectator = false;
         this._send(ws, { type: 'lobby:joined', roomId: msg.roomId, playerId: client.playerId });
         this._broadcastRoomUpdate(room);
         this._broadcastRoomList();
@@ -83,15 +262,51 @@ export class LobbyManager {
         }
         break;
 
+      // Host only: { mapId?, rules?, maxRacers?, bots?, items?, password? }
+      case 'lobby:settings': {
+        const room = client.roomId ? this.rooms.get(client.roomId) : null;
+        if (!room || room.running || room.hostId !== client.playerId) return;
+        room.setSettings(msg.settings || {});
+        this._broadcastRoomUpdate(room);
+        this._broadcastRoomList();
+        break;
+      }
+
+      case 'lobby:vote': {
+        const room = client.roomId ? this.rooms.get(client.roomId) : null;
+        if (!room || room.running || client.spectator) return;
+        if (room.voteMap(client.playerId, msg.mapId)) this._broadcastRoomUpdate(room);
+        break;
+      }
+
+      case 'lobby:kart': {
+        const room = client.roomId ? this.rooms.get(client.roomId) : null;
+        if (!room || room.running || client.spectator || !isValidKartIndex(msg.kartIndex)) return;
+        if (!room.setKart(client.playerId, msg.kartIndex)) {
+          this._send(ws, { type: 'lobby:error', message: 'That kart is taken' });
+        }
+        // Sent either way so a rejected picker snaps back
+        this._broadcastRoomUpdate(room);
+        break;
+      }
+
       case 'lobby:ready': {
         const room = client.roomId ? this.rooms.get(client.roomId) : null;
-        if (!room) return;
+        // running covers a cup's intermission between races too
+        if (!room || room.running || client.spectator) return;
         room.toggleReady(client.playerId);
         this._broadcastRoomUpdate(room);
 
         // Check if all players ready → start game
         if (room.allReady() && room.playerCount >= 1) {
-          room.startGame();
+          room.startGame().catch((err) => {
+            // The map went missing or broke since it was picked
+            console.error(`Room ${room.id} failed to start:`, err.message);
+            room.stop();
+            this._broadcastRoomUpdate(room);
+            this._broadcastRoomList();
+          });
+          this._broadcastRoomList(); // now listed as racing
         }
         break;
       }
@@ -99,37 +314,123 @@ export class LobbyManager {
       case 'input': {
         const room = client.roomId ? this.rooms.get(client.roomId) : null;
         if (room && room.running) {
-          room.handleInput(client.playerId, msg.seq, msg.input);
+          const problem = room.handleInput(client.playerId, msg.seq, msg.inputs, msg.ack, msg.view);
+          if (problem) this.flagViolation(ws, problem);
         }
         break;
       }
+
+      // Clock sync: the client's send time comes back with our clock
+      case 'ping':
+        this._send(ws, { type: 'pong', id: msg.id, serverTime: performance.now() });
+        break;
+
+      // Load tests: how long the room's recent ticks took
+      case 'room:stats': {
+        const room = client.roomId ? this.rooms.get(client.roomId) : null;
+        if (room && room.running) this._send(ws, { type: 'room:stats', ...room.getTickTimes(msg.since) });
+        break;
+      }
+
+      // Spectators acknowledge snapshots without inputs to carry the ack
+      case 'ack': {
+        const room = client.roomId ? this.rooms.get(client.roomId) : null;
+        if (room && room.running) room.handleAck(client.playerId, msg.ack);
+        break;
+      }
+    }
+  }
+
+  // --- Admin actions (admin-api.js) ---
+
+  /** End a room, mid-race or not; everyone in it goes back to the room list */
+  closeRoom(roomId) {
+    const room = this.rooms.get(roomId);
+    if (!room) return false;
+    room.stop();
+    for (const [token, session] of this.sessions) {
+      if (session.roomId !== roomId) continue;
+      clearTimeout(session.timeout);
+      this.sessions.delete(token);
+    }
+    this._closeRoom(room);
+    this._broadcastRoomList();
+    return true;
+  }
+
+  /** Disconnect a player for good — a dropped one loses the kart held for them */
+  kickPlayer(playerId) {
+    for (const [ws, client] of this.clients) {
+      if (client.playerId !== playerId || client.kicked) continue;
+      this._kick(ws, client, 'Kicked by an admin');
+      return true;
+    }
+    for (const [token, session] of this.sessions) {
+      if (session.playerId !== playerId) continue;
+      clearTimeout(session.timeout);
+      this._expireSession(token);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Message shown to players — everyone connected, or one room's players and spectators
+   * @returns {number} clients it went to
+   */
+  broadcast(text, roomId = null) {
+    let sent = 0;
+    for (const [ws, client] of this.clients) {
+      if (roomId && client.roomId !== roomId) continue;
+      this._send(ws, { type: 'server:message', text });
+      sent++;
     }
+    return sent;
   }
 
   _leaveRoom(ws, client) {
     const room = this.rooms.get(client.roomId);
-    if (room) {
+    client.roomId = null;
+    if (!room) return;
+    if (client.spectator) {
+      room.removeSpectator(client.playerId);
+    } else {
       room.removePlayer(client.playerId);
-      this._broadcastRoomUpdate(room);
-      if (room.playerCount === 0 && !room.running) {
-        this.rooms.delete(client.roomId);
-      }
     }
-    client.roomId = null;
+    client.spectator = false;
+    this._broadcastRoomUpdate(room);
+    if (room.playerCount === 0 && !room.running) this._closeRoom(room);
+  }
+
+  /** Remove a room; whoever is still in it (usually just spectators) goes back to the room list */
+  _closeRoom(room) {
+    this.rooms.delete(room.id);
+    for (const [ws, client] of this.clients) {
+      if (client.roomId !== room.id) continue;
+      client.roomId = null;
+      client.spectator = false;
+      this._send(ws, { type: 'lobby:closed', roomId: room.id });
+    }
+    room.spectators.clear();
   }
 
   _sendRoomList(ws) {
     const rooms = [];
     for (const [id, room] of this.rooms) {
-      if (!room.running) {
-        rooms.push({
-          id,
-          name: room.name,
-          mapId: room.mapId,
-          players: room.playerCount,
-          maxPlayers: 4,
-        });
-      }
+      // Running rooms are listed too — they can still be watched
+      rooms.push({
+        id,
+        name: room.name,
+        mapId: room.mapId,
+        cupName: room.cup ? room.cup.cup.name : null,
+        uniqueKarts: room.uniqueKarts,
+        locked: room.password !== '',
+        running: room.running,
+        players: room.playerCount,
+        maxPlayers: room.maxRacers,
+        spectators: room.spectatorCount,
+        maxSpectators: MAX_SPECTATORS,
+      });
     }
     this._send(ws, { type: 'lobby:rooms', rooms });
   }
@@ -144,9 +445,15 @@ export class LobbyManager {
 
   _broadcastRoomUpdate(room) {
     const players = room.getPlayerList();
-    const msg = { type: 'lobby:update', players };
-    for (const p of room.players.values()) {
-      if (p.ws) this._send(p.ws, msg);
+    const msg = {
+      type: 'lobby:update',
+      players,
+      settings: room.getSettings(),
+      uniqueKarts: room.uniqueKarts,
+      spectators: room.spectatorCount,
+    };
+    for (const member of [...room.players.values(), ...room.spectators.values()]) {
+      if (member.ws) this._send(member.ws, msg);
     }
   }
 
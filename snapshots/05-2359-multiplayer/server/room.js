@@ -1,79 +1,274 @@
 /**
- * GameRoom — server game loop: 60Hz tick, 20Hz snapshot broadcast
+ * GameRoom — server game loop: fixed 60Hz simulation, 20Hz snapshot broadcast,
+ * final results when the race is over, and the next map of a cup after that.
+ * A player whose socket drops mid-race keeps their slot, driven by the bot AI,
+ * until they reconnect or the lobby gives up on them.
  */
 import * as THREE from 'three';
-import { TrackData, CELL_SIZE } from '../game/src/track.js';
-import { KartPhysics, KART_DEFAULTS } from '../game/src/physics.js';
-import { resolveKartCollisions } from '../game/src/kart-collision.js';
-import { RaceManager } from '../game/src/race.js';
-import { BotInput, BotController } from '../game/src/bot-input.js';
-import { loadMap } from './server-map-loader.js';
-import { createServerBoostPads } from './server-boost-pads.js';
-import { createServerItemBoxes } from './server-items.js';
-import { createServerTNTSystem } from './server-tnt.js';
-import { createServerMissileSystem } from './server-missile.js';
-const TICK_RATE = 60;
+import { TrackData } from '../game/src/track.js';
+import {
+  RaceSimulation, FixedStepLoop, SIM_RATE,
+  getStartPose, getGridPositions, initKartState, MAX_RACERS,
+} from '../game/src/sim/simulation.js';
+import { randomSeed } from '../game/src/sim/rng.js';
+import { sanitizeRules, resolveRaceRules } from '../game/src/race.js';
+import { CupState } from '../game/src/cup.js';
+import { kartStatsFromProfile } from '../game/src/kart-stats.js';
+import { ITEM_TYPES, sanitizeItemTypes } from '../game/src/sim/item-boxes.js';
+import { loadMap, listMaps } from './server-map-loader.js';
+import { getKartProfile, KART_COUNT } from './kart-loader.js';
+import { InputQueue } from './input-queue.js';
+import { quantizeKarts, encodeSnapshot, SNAPSHOT_HISTORY } from '../game/src/net/snapshot-codec.js';
+const TICK_RATE = SIM_RATE;
 const SNAPSHOT_RATE = 20;
-const TICK_DT = 1 / TICK_RATE;
 const SNAPSHOT_INTERVAL = TICK_RATE / SNAPSHOT_RATE; // ticks between snapshots
+const CUP_INTERMISSION_MS = 12000; // results screen time before a cup's next race
+const MAX_REWIND_TICKS = Math.round(0.25 * TICK_RATE); // lag compensation reaches back at most 250ms
+const SLOT_KARTS = [1, 0, 2, 0]; // kart per grid slot for bots and newly joined players
+export const MAX_SPECTATORS = 8;
+const MIN_RACERS = 2;
+const DEFAULT_RACERS = 4;
+const MAX_PASSWORD_LENGTH = 32;
+const TICK_TIME_SAMPLES = 600; // recent tick durations kept for load tests — 10s
 
 export class GameRoom {
-  constructor(id, name, mapId) {
+  /**
+   * @param {string} id
+   * @param {string} name
+   * @param {string} mapId - first map
+   * @param {object} [cup] - from getCups(); the room then races all its maps in turn
+   */
+  constructor(id, name, mapId, cup = null) {
     this.id = id;
     this.name = name;
     this.mapId = mapId;
-    this.players = new Map(); // playerId → { ws, ready, slot }
+    this.cup = cup ? new CupState(cup) : null;
+    this.nextRaceTimeout = null;
+    this.players = new Map(); // playerId → { ws, ready, slot, kartIndex, snapshotFormat, ackTick }; ws null = dropped
+    this.spectators = new Map(); // clientId → { ws, snapshotFormat, ackTick } — watch, no kart
+    this.hostId = null; // player who changes the settings — the creator, then whoever is next
+    this.ruleOverrides = {}; // validated race rule overrides; the map's defaults fill the rest
+    this.maxRacers = DEFAULT_RACERS; // grid slots — players plus bots
+    this.botCount = DEFAULT_RACERS - 1; // empty slots filled with bots, up to this many
+    this.items = [...ITEM_TYPES]; // item types the boxes hand out; none = no item boxes
+    this.password = ''; // '' = anyone may join
+    this.mapVotes = new Map(); // playerId → mapId for the next race
+    this.uniqueKarts = false; // no two players on the same kart (set at creation)
     this.running = false;
     this.tickInterval = null;
     this.tick = 0;
 
     // Game state (populated on start)
     this.karts = [];
-    this.allKartObjects = [];
-    this.physics = [];
-    this.bots = [];
-    this.race = null;
+    this.sim = null;
+    this.loop = null;
+    this.lastUpdateTime = 0;
     this.trackData = null;
-    this.boostPads = null;
-    this.itemBoxes = null;
-    this.tntSystem = null;
-    this.missileSystem = null;
     this.events = [];
-    this.playerInputs = new Map(); // playerId → { seq, input }
-    this.playerLastSeq = new Map(); // playerId → last ack seq
+    this.playerInputs = new Map(); // playerId → InputQueue (lastSeq = ack seq)
+    this.snapshotHistory = new Map(); // tick → quantized karts, baselines for binary deltas
+    this.positionHistory = new Map(); // tick → Float32Array of kart x, z — lag compensation
+    this.gameInit = null; // game:init of the race in progress, for spectators who join late
+    this.tickTimes = new Float32Array(TICK_TIME_SAMPLES); // ms per tick, indexed by tick % TICK_TIME_SAMPLES
+    this.tickTime = 0; // performance.now() when the current tick started
+    this.onFinished = null; // () => void, after results are sent
   }
 
   get playerCount() {
     return this.players.size;
   }
 
-  addPlayer(playerId, ws) {
+  get spectatorCount() {
+    return this.spectators.size;
+  }
+
+  /** @param {'binary'|'json'} [snapshotFormat] - from the client's hello */
+  addPlayer(playerId, ws, snapshotFormat = 'json') {
     const slot = this._nextSlot();
-    this.players.set(playerId, { ws, ready: false, slot });
+    const kartIndex = this._slotKart(slot, this._takenKarts());
+    this.players.set(playerId, { ws, ready: false, slot, kartIndex, snapshotFormat, ackTick: -1 });
+    if (!this.hostId) this.hostId = playerId;
   }
 
   removePlayer(playerId) {
     const player = this.players.get(playerId);
     this.players.delete(playerId);
+    this.mapVotes.delete(playerId);
+    if (this.hostId === playerId) {
+      // Host passes to the player in the lowest slot
+      const next = [...this.players].sort((a, b) => a[1].slot - b[1].slot)[0];
+      this.hostId = next ? next[0] : null;
+    }
 
-    if (this.running && player) {
+    if (this.running && player && this.sim) {
       // Convert to bot
-      const kartObj = this.karts.find(k => k.id === playerId);
-      if (kartObj) {
-        this._convertToBot(kartObj);
-      }
+      this.sim.setBot(playerId);
+      this.playerInputs.delete(playerId);
     }
   }
 
+  /**
+   * Watch without taking a slot. Joining mid-race starts the race view
+   * right away; otherwise the game:init of the next start brings it up.
+   */
+  addSpectator(clientId, ws, snapshotFormat = 'json') {
+    this.spectators.set(clientId, { ws, snapshotFormat, ackTick: -1 });
+    if (this.gameInit && this.tickInterval) {
+      this._send(ws, { ...this.gameInit, playerId: clientId, spectator: true, state: this._itemState() });
+    }
+  }
+
+  removeSpectator(clientId) {
+    this.spectators.delete(clientId);
+  }
+
+  /** Socket gone mid-race: a bot drives the kart until reconnectPlayer() */
+  disconnectPlayer(playerId) {
+    const p = this.players.get(playerId);
+    if (!p) return;
+    p.ws = null;
+    if (this.sim) this.sim.setBot(playerId);
+    this.playerInputs.delete(playerId);
+  }
+
+  /**
+   * Back on a new socket: the kart is theirs again, with a fresh game:init
+   * carrying the live item state. Between cup races the next start brings them in.
+   * @returns {boolean} false if the player isn't in this room any more
+   */
+  reconnectPlayer(playerId, ws, snapshotFormat = 'json') {
+    const p = this.players.get(playerId);
+    if (!p) return false;
+    p.ws = ws;
+    p.snapshotFormat = snapshotFormat;
+    p.ackTick = -1;
+    if (this.gameInit && this.tickInterval) {
+      this.sim.setHuman(playerId);
+      this.playerInputs.set(playerId, new InputQueue());
+      this._send(ws, { ...this.gameInit, playerId, state: this._itemState() });
+    }
+    return true;
+  }
+
   _nextSlot() {
     const used = new Set();
     for (const p of this.players.values()) used.add(p.slot);
-    for (let i = 0; i < 4; i++) {
+    for (let i = 0; i < this.maxRacers; i++) {
       if (!used.has(i)) return i;
     }
     return 0;
   }
 
+  /** After the grid shrinks: players past the end move up into free slots */
+  _fitSlots() {
+    for (const p of this.players.values()) {
+      if (p.slot >= this.maxRacers) p.slot = this._nextSlot();
+    }
+  }
+
+  /**
+   * Change the room settings for the next start. Only the given settings
+   * change; values are validated and clamped, and everyone has to ready up
+   * again under the new settings.
+   * @param {object} settings
+   * @param {string} [settings.mapId] - a map the server has; ignored by cup rooms
+   * @param {object} [settings.rules] - race rule overrides, e.g. { laps, botDifficulty }
+   * @param {number} [settings.maxRacers] - grid size, 2-12; never below the players already in
+   * @param {number} [settings.bots] - bots in the empty slots, up to maxRacers - 1
+   * @param {string[]} [settings.items] - item types in play; [] = no items
+   * @param {string} [settings.password] - '' opens the room
+   */
+  setSettings({ mapId, rules, maxRacers, bots, items, password }) {
+    if (mapId !== undefined && !this.cup && listMaps().some(m => m.id === mapId)) {
+      this.mapId = mapId;
+      this.mapVotes.clear();
+    }
+    if (rules !== undefined) this.ruleOverrides = sanitizeRules(rules);
+    if (Number.isFinite(maxRacers)) {
+      const min = Math.max(MIN_RACERS, this.playerCount);
+      this.maxRacers = Math.max(min, Math.min(MAX_RACERS, Math.round(maxRacers)));
+      this._fitSlots();
+    }
+    if (Number.isFinite(bots)) this.botCount = Math.max(0, Math.round(bots));
+    // A smaller grid takes fewer bots too
+    this.botCount = Math.min(this.maxRacers - 1, this.botCount);
+    if (items !== undefined) this.items = sanitizeItemTypes(items);
+    if (typeof password === 'string') this.password = password.slice(0, MAX_PASSWORD_LENGTH);
+    for (const p of this.players.values()) p.ready = false;
+  }
+
+  /** Settings as the lobby shows them — the password itself stays on the server */
+  getSettings() {
+    return {
+      hostId: this.hostId,
+      mapId: this.mapId,
+      cupName: this.cup ? this.cup.cup.name : null,
+      rules: this.ruleOverrides,
+      maxRacers: this.maxRacers,
+      bots: this.botCount,
+      items: this.items,
+      locked: this.password !== '',
+      votes: Object.fromEntries(this.mapVotes),
+    };
+  }
+
+  /**
+   * A player's pick for the next map. The host's map counts as one more
+   * vote and wins ties.
+   * @returns {boolean} accepted
+   */
+  voteMap(playerId, mapId) {
+    if (this.cup || !this.players.has(playerId) || !listMaps().some(m => m.id === mapId)) return false;
+    this.mapVotes.set(playerId, mapId);
+    return true;
+  }
+
+  /** Most voted map, counting the host's current pick */
+  _votedMap() {
+    const tally = new Map([[this.mapId, 1]]);
+    for (const mapId of this.mapVotes.values()) tally.set(mapId, (tally.get(mapId) || 0) + 1);
+    let best = this.mapId;
+    for (const [mapId, n] of tally) {
+      if (n > tally.get(best)) best = mapId;
+    }
+    return best;
+  }
+
+  /**
+   * Pick a kart. With uniqueKarts, fails if another player already has it.
+   * @param {number} kartIndex - validated by the caller
+   * @returns {boolean} accepted
+   */
+  setKart(playerId, kartIndex) {
+    const p = this.players.get(playerId);
+    if (!p) return false;
+    if (this.uniqueKarts && this._takenKarts(playerId).has(kartIndex)) return false;
+    p.kartIndex = kartIndex;
+    return true;
+  }
+
+  /** Karts held by players, optionally leaving one player out */
+  _takenKarts(exceptId = null) {
+    const taken = new Set();
+    for (const [id, p] of this.players) {
+      if (id !== exceptId) taken.add(p.kartIndex);
+    }
+    return taken;
+  }
+
+  /**
+   * The slot's default kart — or with uniqueKarts, the first one nobody has,
+   * falling back to sharing once every kart is taken
+   */
+  _slotKart(slot, taken) {
+    const preferred = SLOT_KARTS[slot % SLOT_KARTS.length] % KART_COUNT;
+    if (!this.uniqueKarts || !taken.has(preferred)) return preferred;
+    for (let i = 0; i < KART_COUNT; i++) {
+      if (!taken.has(i)) return i;
+    }
+    return preferred;
+  }
+
   toggleReady(playerId) {
     const p = this.players.get(playerId);
     if (p) p.ready = !p.ready;
@@ -89,270 +284,312 @@ export class GameRoom {
   getPlayerList() {
     const list = [];
     for (const [id, p] of this.players) {
-      list.push({ id, ready: p.ready, slot: p.slot });
+      list.push({ id, ready: p.ready, slot: p.slot, kartIndex: p.kartIndex, connected: !!p.ws });
     }
     return list;
   }
 
   async startGame() {
+    // Never two tick loops, whatever called this
+    clearInterval(this.tickInterval);
+    this.tickInterval = null;
+    clearTimeout(this.nextRaceTimeout);
+    this.nextRaceTimeout = null;
     this.running = true;
+    this.karts = [];
+    this.events = [];
+    this.playerInputs = new Map();
+    this.snapshotHistory = new Map();
+    this.positionHistory = new Map();
+    this.gameInit = null;
+    if (!this.cup) {
+      this.mapId = this._votedMap();
+      this.mapVotes.clear();
+    }
+    for (const p of this.players.values()) p.ackTick = -1;
+    for (const s of this.spectators.values()) s.ackTick = -1;
 
     const mapData = await loadMap(this.mapId);
     this.trackData = new TrackData(mapData);
-    const obstacles = this.trackData.getObstacles();
-
-    // Spawn positions
-    let spawnX = 0, spawnZ = 0, spawnAngle = 0;
-    if (mapData.start) {
-      spawnX = (mapData.start.x - mapData.width / 2) * mapData.scale * CELL_SIZE;
-      spawnZ = (mapData.start.y - mapData.height / 2) * mapData.scale * CELL_SIZE;
-      spawnAngle = -(mapData.start.angle || 0) - Math.PI / 2;
-    }
-
-    const perpX = Math.cos(spawnAngle);
-    const perpZ = -Math.sin(spawnAngle);
-    const paraX = -Math.sin(spawnAngle);
-    const paraZ = -Math.cos(spawnAngle);
-    const LATERAL = 3;
-    const FORWARD = 4;
-    const gridSlots = [
-      [-LATERAL, 0],
-      [LATERAL, 0],
-      [-LATERAL, -FORWARD],
-      [LATERAL, -FORWARD],
-    ];
-
-    // World checkpoints
-    const worldCPs = (mapData.checkpoints || []).map(cp => ({
-      x: (cp.x - mapData.width / 2) * mapData.scale * CELL_SIZE,
-      z: (cp.y - mapData.height / 2) * mapData.scale * CELL_SIZE,
-    }));
 
     // Spawn positions for each slot
-    const spawnPositions = gridSlots.map(([lat, fwd]) => {
-      const sx = spawnX + perpX * lat + paraX * fwd;
-      const sz = spawnZ + perpZ * lat + paraZ * fwd;
-      const sy = this.trackData.getGroundHeight(sx, sz) + 1;
-      return { x: sx, y: sy, z: sz };
-    });
+    const start = getStartPose(mapData);
+    const spawnAngle = start.angle;
+    const spawnPositions = getGridPositions(start, (x, z) => this.trackData.getGroundHeight(x, z), this.maxRacers);
 
-    // Create kart objects for players
     const kartAssignments = [];
-    const kartIndices = [1, 0, 2, 0]; // default kart appearances
-
-    // Assign players to their slots
-    const playerEntries = [...this.players.entries()];
-    for (const [playerId, pdata] of playerEntries) {
-      const slot = pdata.slot;
-      const sp = spawnPositions[slot];
-      const kart = this._createServerKart(playerId, sp, spawnAngle, kartIndices[slot]);
-      this.karts.push(kart);
-      this.allKartObjects.push(kart);
-
-      const phys = new KartPhysics(obstacles, this.trackData);
-      this.physics.push({ kartId: playerId, physics: phys });
-
-      kartAssignments.push({ playerId, slot, kartIndex: kartIndices[slot] });
-    }
 
-    // Fill remaining slots with bots
-    const usedSlots = new Set(playerEntries.map(([, p]) => p.slot));
-    for (let slot = 0; slot < 4; slot++) {
-      if (usedSlots.has(slot)) continue;
-      const botId = 'bot' + slot;
-      const sp = spawnPositions[slot];
-      const kart = this._createServerKart(botId, sp, spawnAngle, kartIndices[slot]);
+    // Grid order — players in their slot on their pick, bots in empty slots up to botCount
+    const slotOwners = new Map();
+    for (const [playerId, pdata] of this.players) slotOwners.set(pdata.slot, playerId);
+    const taken = this._takenKarts();
+
+    const racers = [];
+    let bots = 0;
+    for (let slot = 0; slot < this.maxRacers; slot++) {
+      const playerId = slotOwners.get(slot);
+      if (!playerId && bots++ >= this.botCount) continue;
+      const id = playerId || 'bot' + slot;
+      const kartIndex = playerId ? this.players.get(playerId).kartIndex : this._slotKart(slot, taken);
+      taken.add(kartIndex);
+      const profile = getKartProfile(kartIndex);
+      const kart = this._createServerKart(id, spawnPositions[slot], spawnAngle, kartIndex, profile);
       this.karts.push(kart);
-      this.allKartObjects.push(kart);
-
-      const phys = new KartPhysics(obstacles, this.trackData);
-      this.physics.push({ kartId: botId, physics: phys });
-
-      const botInput = new BotInput();
-      const botCtrl = new BotController(kart, botInput, worldCPs);
-      this.bots.push({ id: botId, kart, input: botInput, controller: botCtrl });
-
-      kartAssignments.push({ playerId: botId, slot, kartIndex: kartIndices[slot], isBot: true });
+      // A player still disconnected when a cup race starts begins under bot control
+      const connected = playerId && this.players.get(playerId).ws;
+      racers.push({ id, kart, isPlayer: !!playerId, isBot: !connected });
+
+      // Profiles go out with the assignments so client prediction uses the server's stats
+      if (playerId) {
+        if (connected) this.playerInputs.set(playerId, new InputQueue());
+        kartAssignments.push({ playerId, slot, kartIndex, profile });
+      } else {
+        kartAssignments.push({ playerId: id, slot, kartIndex, profile, isBot: true });
+      }
     }
 
-    // Finish line
-    const finishLine = {
-      x: spawnX,
-      z: spawnZ,
-      nx: -Math.sin(spawnAngle),
-      nz: -Math.cos(spawnAngle),
+    const seed = randomSeed();
+    const rules = resolveRaceRules(mapData, this.ruleOverrides);
+    this.sim = new RaceSimulation({ mapData, trackData: this.trackData, racers, seed, rules, items: this.items });
+    this.sim.getLagView = (id) => this._lagView(id);
+
+    // Send game:init to all players, and to spectators with no kart of their own
+    this.gameInit = {
+      type: 'game:init',
+      mapId: this.mapId,
+      kartAssignments,
+      spawnPositions,
+      spawnAngle,
+      seed,
+      rules,
+      items: this.items,
     };
-
-    // Race manager
-    const racers = this.karts.map(k => ({
-      kart: k,
-      isPlayer: !k.id.startsWith('bot'),
-    }));
-    this.race = new RaceManager(worldCPs, racers, finishLine);
-
-    // Item systems
-    this.boostPads = createServerBoostPads(mapData, this.trackData);
-    this.itemBoxes = createServerItemBoxes(mapData);
-    this.tntSystem = createServerTNTSystem(this.trackData);
-    this.missileSystem = createServerMissileSystem(this.trackData);
-
-    // Send game:init to all players
     for (const [playerId, pdata] of this.players) {
-      this._send(pdata.ws, {
-        type: 'game:init',
-        mapId: this.mapId,
-        playerId,
-        kartAssignments,
-        spawnPositions,
-        spawnAngle,
-      });
+      this._send(pdata.ws, { ...this.gameInit, playerId });
+    }
+    for (const [clientId, sdata] of this.spectators) {
+      this._send(sdata.ws, { ...this.gameInit, playerId: clientId, spectator: true });
     }
 
-    // Start tick loop
+    // Start tick loop — the interval only drives the accumulator, the
+    // simulation itself always advances in fixed SIM_DT steps
     this.tick = 0;
-    this.tickInterval = setInterval(() => this._tick(), 1000 / TICK_RATE);
+    this.loop = new FixedStepLoop(() => this._tick());
+    this.lastUpdateTime = performance.now();
+    this.tickInterval = setInterval(() => this._update(), 1000 / TICK_RATE);
   }
 
-  handleInput(playerId, seq, input) {
-    this.playerInputs.set(playerId, { seq, input });
-    this.playerLastSeq.set(playerId, seq);
+  /**
+   * @param {string} playerId
+   * @param {number} seq - seq of the first input in the batch
+   * @param {object[]} inputs - one input per client simulation step
+   * @param {number} [ackTick] - newest snapshot tick the client decoded
+   * @param {number} [viewTick] - server tick the client was rendering at inputs[0]
+   * @returns {string|null} what was wrong with the inputs, from InputQueue.push()
+   */
+  handleInput(playerId, seq, inputs, ackTick, viewTick) {
+    const queue = this.playerInputs.get(playerId);
+    if (!queue) return null;
+    this.handleAck(playerId, ackTick);
+    return queue.push(seq, inputs, viewTick);
   }
 
-  _createServerKart(id, sp, angle, kartIndex) {
+  /**
+   * Newest snapshot a client decoded — sent with inputs, or on its own by
+   * spectators, who have none
+   */
+  handleAck(clientId, ackTick) {
+    const member = this.players.get(clientId) || this.spectators.get(clientId);
+    // Only ticks sent this race count — a late ack from the previous race is ignored
+    if (member && ackTick > member.ackTick && this.snapshotHistory.has(ackTick)) member.ackTick = ackTick;
+  }
+
+  _createServerKart(id, sp, angle, kartIndex, profile) {
     // Lightweight kart object matching the shape physics.js expects
     const kart = {
       id,
       kartIndex,
       position: new THREE.Vector3(sp.x, sp.y, sp.z),
       rotation: { y: angle },
-      userData: {
-        velocity: new THREE.Vector3(),
-        speed: 0,
-        steerAngle: 0,
-        grounded: false,
-        stats: { ...KART_DEFAULTS },
-        spawnPoint: { x: sp.x, y: sp.y, z: sp.z },
-        slideActive: false,
-        slideButton: null,
-        slideDir: 0,
-        slideAngle: 0,
-        slideTimer: 0,
-        slideBoosts: 0,
-        boostTimer: 0,
-        boostSpeed: 0,
-        heldItem: null,
-      },
+      userData: {},
     };
+    initKartState(kart, sp, kartStatsFromProfile(profile));
     return kart;
   }
 
-  _convertToBot(kart) {
-    const worldCPs = this.race ? this.race.checkpoints : [];
-    const botInput = new BotInput();
-    const botCtrl = new BotController(kart, botInput, worldCPs);
-    this.bots.push({ id: kart.id, kart, input: botInput, controller: botCtrl });
+  _update() {
+    const now = performance.now();
+    const elapsed = (now - this.lastUpdateTime) / 1000;
+    this.lastUpdateTime = now;
+    this.loop.advance(elapsed);
   }
 
   _tick() {
-    const dt = TICK_DT;
+    if (!this.tickInterval) return; // race ended earlier in this advance()
+    const start = performance.now();
     this.tick++;
+    this.tickTime = start; // server clock of this tick, stamped on its snapshot
+
+    // Exactly one queued input per player per step
+    const inputs = new Map();
+    for (const [playerId, queue] of this.playerInputs) {
+      inputs.set(playerId, queue.take());
+    }
 
-    // 1. Race update
-    this.race.update(dt);
+    const events = this.sim.step(inputs);
+    if (events.length > 0) this.events.push(...events);
+    this._recordPositions();
 
-    const frozen = this.race.isFrozen();
+    // Send snapshot at 20Hz
+    if (this.tick % SNAPSHOT_INTERVAL === 0) {
+      this._sendSnapshot();
+    }
+    this.tickTimes[this.tick % TICK_TIME_SAMPLES] = performance.now() - start;
 
-    if (!frozen) {
-      // 2. Bot AI update
-      for (const bot of this.bots) {
-        bot.controller.update(dt);
-      }
+    if (this.sim.race.over) this._finishRace();
+  }
 
-      // 3. Physics for each kart
-      for (const { kartId, physics } of this.physics) {
-        const kart = this.karts.find(k => k.id === kartId);
-        if (!kart) continue;
-
-        let input;
-        const bot = this.bots.find(b => b.id === kartId);
-        if (bot) {
-          input = bot.input;
-        } else {
-          const stored = this.playerInputs.get(kartId);
-          input = stored ? stored.input : { accel: 0, steer: 0, hopZ: false, hopX: false, hopZTap: false, hopXTap: false, itemUseTap: false };
-        }
-
-        physics.update(kart, input, dt);
-      }
+  /**
+   * Durations of the ticks after `since`, as far back as they're kept
+   * @param {number} [since] - newest tick the caller already has
+   * @returns {{tick: number, tickMs: number[]}} tickMs oldest first, ending at `tick`
+   */
+  getTickTimes(since = 0) {
+    const first = Math.max(since + 1, this.tick - TICK_TIME_SAMPLES + 1, 1);
+    const tickMs = [];
+    for (let t = first; t <= this.tick; t++) tickMs.push(this.tickTimes[t % TICK_TIME_SAMPLES]);
+    return { tick: this.tick, tickMs };
+  }
 
-      // 4. Kart-to-kart collisions
-      resolveKartCollisions(this.allKartObjects);
-
-      // 5. Boost pad triggers
-      const boostEvents = this.boostPads.update(this.allKartObjects, dt);
-      this.events.push(...boostEvents);
-
-      // 6. Item box pickups
-      const itemEvents = this.itemBoxes.update(this.allKartObjects, dt);
-      this.events.push(...itemEvents);
-
-      // 7. Item activation
-      for (const kart of this.allKartObjects) {
-        let useTap = false;
-        const bot = this.bots.find(b => b.id === kart.id);
-        if (bot) {
-          useTap = bot.input.itemUseTap;
-        } else {
-          const stored = this.playerInputs.get(kart.id);
-          if (stored && stored.input.itemUseTap) useTap = true;
-        }
-
-        if (useTap && kart.userData.heldItem) {
-          const item = kart.userData.heldItem;
-          kart.userData.heldItem = null;
-
-          switch (item) {
-            case 'boost':
-              kart.userData.boostSpeed = 15;
-              kart.userData.boostTimer = 1.6;
-              this.events.push({ type: 'item_use', kartId: kart.id, item: 'boost' });
-              break;
-            case 'tnt': {
-              const evt = this.tntSystem.place(kart);
-              this.events.push(evt);
-              break;
-            }
-            case 'missile': {
-              const evt = this.missileSystem.fire(kart, this.allKartObjects);
-              this.events.push(evt);
-              break;
-            }
-          }
-        }
-      }
+  /** Mean, median, p95 and worst of the kept tick durations in ms; null between races */
+  getTickStats() {
+    if (!this.running || this.tick === 0) return null;
+    const sorted = Float64Array.from(this.getTickTimes().tickMs).sort();
+    const at = (p) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+    return {
+      samples: sorted.length,
+      mean: sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length,
+      p50: at(0.5),
+      p95: at(0.95),
+      max: sorted[sorted.length - 1],
+    };
+  }
 
-      // 8. TNT update
-      const tntEvents = this.tntSystem.update(this.allKartObjects, dt);
-      this.events.push(...tntEvents);
-
-      // 9. Missile update
-      const missileEvents = this.missileSystem.update(this.allKartObjects, dt);
-      this.events.push(...missileEvents);
-
-      // 10. Clear one-frame tap flags from player inputs
-      for (const [, stored] of this.playerInputs) {
-        if (stored && stored.input) {
-          stored.input.hopZTap = false;
-          stored.input.hopXTap = false;
-          stored.input.itemUseTap = false;
-        }
-      }
+  /**
+   * Room summary for the admin API
+   * @param {boolean} [detail] - add the settings and the race standings
+   */
+  getStatus(detail = false) {
+    const status = {
+      id: this.id,
+      name: this.name,
+      mapId: this.mapId,
+      cupName: this.cup ? this.cup.cup.name : null,
+      running: this.running,
+      locked: this.password !== '',
+      maxRacers: this.maxRacers,
+      players: this.getPlayerList(),
+      spectators: this.spectatorCount,
+      tick: this.running ? this.tick : null,
+      tickStats: this.getTickStats(),
+    };
+    if (detail) {
+      status.settings = this.getSettings();
+      const race = this.running && this.sim ? this.sim.race : null;
+      status.race = race && {
+        raceTime: race.raceTime,
+        totalLaps: race.totalLaps,
+        racers: race.racers.map(r => ({ id: r.id, position: r.position, lap: r.lap, finished: r.finished })),
+      };
     }
+    return status;
+  }
 
-    // Send snapshot at 20Hz
-    if (this.tick % SNAPSHOT_INTERVAL === 0) {
-      this._sendSnapshot();
+  /**
+   * Final snapshot, then the authoritative standings (and cup points). The
+   * room stops here, unless a cup has maps left: then the next one loads
+   * after the results screen, for the same players on the same sockets.
+   */
+  _finishRace() {
+    this._sendSnapshot();
+    const results = this.sim.race.getResults();
+    let cup;
+    if (this.cup) {
+      this.cup.addRace(results);
+      cup = this.cup.getSummary();
+    }
+    for (const member of [...this.players.values(), ...this.spectators.values()]) {
+      this._send(member.ws, { type: 'game:results', results, cup });
+    }
+
+    clearInterval(this.tickInterval);
+    this.tickInterval = null;
+    if (this.cup && !this.cup.done) {
+      this.mapId = this.cup.mapId;
+      this.nextRaceTimeout = setTimeout(() => this._startNextRace(), CUP_INTERMISSION_MS);
+      return;
+    }
+
+    this.stop();
+    if (this.cup) {
+      // Ready for another run of the same cup
+      this.cup = new CupState(this.cup.cup);
+      this.mapId = this.cup.mapId;
     }
+    if (this.onFinished) this.onFinished();
+  }
+
+  _startNextRace() {
+    this.nextRaceTimeout = null;
+    if (this.playerCount === 0) {
+      this.stop();
+      if (this.onFinished) this.onFinished();
+      return;
+    }
+    this.startGame().catch((err) => {
+      console.error(`Room ${this.id} failed to start the next cup race:`, err.message);
+      this.stop();
+      if (this.onFinished) this.onFinished();
+    });
+  }
+
+  /** Item boxes and what items left on the track as they are now, for a client joining mid-race */
+  _itemState() {
+    return {
+      itemBoxes: this.sim.itemBoxes.boxes.map(b => ({ respawnTimer: b.respawnTimer })),
+      items: this.sim.items.entities(),
+    };
+  }
+
+  _recordPositions() {
+    const positions = new Float32Array(this.karts.length * 2);
+    this.karts.forEach((k, i) => {
+      positions[i * 2] = k.position.x;
+      positions[i * 2 + 1] = k.position.z;
+    });
+    this.positionHistory.set(this.tick, positions);
+    this.positionHistory.delete(this.tick - MAX_REWIND_TICKS - 1);
+  }
+
+  /**
+   * The other karts as a player saw them when making this step's input —
+   * remote karts are drawn from interpolated snapshots, behind the server.
+   * Rewinds at most MAX_REWIND_TICKS; null for bots and clients that don't
+   * report a view tick.
+   */
+  _lagView(playerId) {
+    const queue = this.playerInputs.get(playerId);
+    if (!queue || queue.lastViewTick === null) return null;
+    const latest = this.tick - 1; // last completed step
+    const viewTick = Math.max(latest - MAX_REWIND_TICKS, Math.min(latest, Math.round(queue.lastViewTick)));
+    const positions = this.positionHistory.get(viewTick);
+    if (!positions) return null;
+
+    const view = [];
+    this.karts.forEach((k, i) => {
+      if (k.id !== playerId) view.push({ id: k.id, x: positions[i * 2], z: positions[i * 2 + 1] });
+    });
+    return view;
   }
 
   _sendSnapshot() {
@@ -365,21 +602,32 @@ export class GameRoom {
       speed: k.userData.speed,
       steerAngle: k.userData.steerAngle,
       slideActive: k.userData.slideActive,
+      slideButton: k.userData.slideButton,
       slideDir: k.userData.slideDir,
       slideAngle: k.userData.slideAngle,
+      slideTimer: k.userData.slideTimer,
+      slideBoosts: k.userData.slideBoosts,
       boostSpeed: k.userData.boostSpeed,
       boostTimer: k.userData.boostTimer,
       grounded: k.userData.grounded,
       heldItem: k.userData.heldItem,
+      heldCount: k.userData.heldCount,
+      reserveItem: k.userData.reserveItem,
+      reserveCount: k.userData.reserveCount,
+      itemRoulette: k.userData.itemRoulette,
+      shieldTimer: k.userData.shieldTimer,
+      vx: k.userData.velocity.x,
       velocityY: k.userData.velocity.y,
+      vz: k.userData.velocity.z,
     }));
 
     // Race state
+    const race = this.sim.race;
     const raceState = {
-      countdownValue: this.race.countdownValue,
-      frozen: this.race.isFrozen(),
-      racers: this.race.racers.map(r => ({
-        kartId: r.kart.id,
+      countdownValue: race.countdownValue,
+      frozen: race.isFrozen(),
+      racers: race.racers.map(r => ({
+        kartId: r.id,
         lap: r.lap,
         position: r.position,
         finished: r.finished,
@@ -389,13 +637,42 @@ export class GameRoom {
     };
 
     const events = this.events.splice(0);
+    // Items whose path clients can't follow from events alone, while any are out
+    const synced = this.sim.items.syncedEntities();
+    if (synced && Object.values(synced).some(entities => entities.length > 0)) {
+      events.push({ type: 'item_sync', items: synced });
+    }
 
-    for (const [playerId, pdata] of this.players) {
-      const lastSeq = this.playerLastSeq.get(playerId) || 0;
+    // Quantized once for every binary client, and kept as a baseline for later deltas
+    const quantized = quantizeKarts(kartStates);
+    this.snapshotHistory.set(this.tick, quantized);
+    for (const tick of this.snapshotHistory.keys()) {
+      if (this.snapshotHistory.size <= SNAPSHOT_HISTORY) break;
+      this.snapshotHistory.delete(tick);
+    }
+
+    for (const [id, pdata] of [...this.players, ...this.spectators]) {
+      const queue = this.playerInputs.get(id);
+      const lastSeq = queue ? queue.lastSeq : 0;
+      if (pdata.snapshotFormat === 'binary') {
+        // Delta against the newest snapshot the client has; everything if that's unknown
+        const base = this.snapshotHistory.get(pdata.ackTick);
+        const bytes = encodeSnapshot({
+          tick: this.tick,
+          lastInputSeq: lastSeq,
+          time: this.tickTime,
+          karts: quantized,
+          race: raceState,
+          events,
+        }, base && pdata.ackTick !== this.tick ? { tick: pdata.ackTick, karts: base } : null);
+        if (pdata.ws && pdata.ws.readyState === 1) pdata.ws.send(bytes);
+        continue;
+      }
       this._send(pdata.ws, {
         type: 'snapshot',
         tick: this.tick,
         lastInputSeq: lastSeq,
+        time: this.tickTime,
         karts: kartStates,
         race: raceState,
         events: events.length > 0 ? events : undefined,
@@ -414,6 +691,9 @@ export class GameRoom {
       clearInterval(this.tickInterval);
       this.tickInterval = null;
     }
+    clearTimeout(this.nextRaceTimeout);
+    this.nextRaceTimeout = null;
+    this.gameInit = null;
     this.running = false;
   }
 }
@@ -64,7 +64,7 @@ export async function loadMap(mapId) {
     readPNG(path.join(mapDir, 'heightmap.png')),
   ]);
 
-  const { width, height, scale, start, checkpoints, boostPads, itemBoxes, name } = meta;
+  const { width, height, scale, start, checkpoints, boostPads, itemBoxes, name, laps, checkpointRadius } = meta;
 
   // Parse terrain
   const terrain = new Uint8Array(width * height);
@@ -101,6 +101,8 @@ export async function loadMap(mapId) {
     scale: scale || 1,
     start,
     checkpoints: checkpoints || [],
+    laps,
+    checkpointRadius,
     boostPads: boostPads || [],
     itemBoxes: itemBoxes || [],
     terrain,
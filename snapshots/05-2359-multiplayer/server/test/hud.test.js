@@ -0,0 +1,16 @@
+/**
+ * The HUD is client code, but its helpers are plain functions — imported
+ * here so a broken export fails the run instead of the browser.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatRaceTime, ordinal } from '../../game/src/hud.js';
+
+test('formatRaceTime formats seconds as m:ss.mmm', () => {
+  assert.equal(formatRaceTime(83.456), '1:23.456');
+  assert.equal(formatRaceTime(5), '0:05.000');
+});
+
+test('ordinal suffixes race positions', () => {
+  assert.deepEqual([1, 2, 3, 4, 11, 12, 21].map(ordinal), ['1st', '2nd', '3rd', '4th', '11th', '12th', '21st']);
+});
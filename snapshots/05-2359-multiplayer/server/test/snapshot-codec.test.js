@@ -0,0 +1,35 @@
+/**
+ * Snapshot codec round trips — client code shared with the server, so it
+ * runs under node as is.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { quantizeKarts, encodeSnapshot, SnapshotDecoder } from '../../game/src/net/snapshot-codec.js';
+
+const KART = {
+  id: 'p1', x: 12.5, y: 1, z: -40.25, ry: 1.5, speed: 20, steerAngle: 0.1,
+  slideActive: false, slideButton: null, slideDir: 0, slideAngle: 0, slideTimer: 0, slideBoosts: 0,
+  boostSpeed: 0, boostTimer: 0, grounded: true,
+  heldItem: 'tnt', heldCount: 3, reserveItem: null, reserveCount: 0, itemRoulette: 0, shieldTimer: 0,
+  vx: 1, velocityY: 0, vz: -2,
+};
+const RACE = { countdownValue: -1, frozen: false, racers: [{ lap: 2, position: 1, finished: false, wrongWay: false, checkpointsPassed: 9 }] };
+
+function roundTrip(events) {
+  const bytes = encodeSnapshot({ tick: 7, lastInputSeq: 3, time: 1000, karts: quantizeKarts([KART]), race: RACE, events }, null);
+  return new SnapshotDecoder(['p1']).decode(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+}
+
+test('a full snapshot decodes to the kart it was made from', () => {
+  const snap = roundTrip([]);
+  assert.equal(snap.tick, 7);
+  assert.equal(snap.karts[0].x, 12.5);
+  assert.equal(snap.karts[0].heldItem, 'tnt');
+  assert.equal(snap.karts[0].heldCount, 3);
+  assert.equal(snap.race.racers[0].checkpointsPassed, 9);
+});
+
+test('events over 64 KiB survive the round trip', () => {
+  const events = [{ type: 'item_sync', items: { missile: [] }, pad: 'x'.repeat(70000) }];
+  assert.deepEqual(roundTrip(events).events, events);
+});